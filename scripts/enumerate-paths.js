@@ -0,0 +1,147 @@
+// enumerate-paths.js
+// Usage:
+//   node scripts/enumerate-paths.js           -> rewrite test/golden/paths.txt from csv/rules.csv (+ niyabah_rules.csv),
+//                                                or from csv-staged/ while a sync waits for its verdicts to be accepted
+//   node scripts/enumerate-paths.js --check   -> exit 1 and print the changed verdicts if the golden file is stale
+//
+// Walks every reachable answer combination of every level (see enumeratePaths in src/lib/engine.js),
+// once per value of the cross-level vars its guards read (NIYABAT, ...), then the niyabah follow-up once
+// per proxy duty it opens for, and writes one line per path:
+//
+//   L3Q1=Yes > L3Q2=Yes > ... => END reason=K phrase=K print= [END_PHRASE=K GIFT=TRUE NIYABAT=false]
+//
+// The golden file is committed. When the scholars change the sheet, re-running this script turns any
+// verdict change into a readable diff that a reviewer approves before the new sheet goes live:
+// scripts/sync-csvs.js stages such a sheet in csv-staged/ instead of publishing it, and running this
+// script accepts the staged verdicts, after which the next sync publishes the sheet.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV, buildLogic, enumeratePaths, pathScenarios, MARJAS, DEFAULT_MARJA, NIYABAH_FLOW, NIYABAH_DUTIES } from '../src/lib/engine.js';
+import { isoToDay } from '../src/lib/calendar.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const LOCAL_CSV_DIR = path.join(ROOT, 'csv');
+export const GOLDEN_PATH = path.join(ROOT, 'test', 'golden', 'paths.txt');
+// Synced sheets whose verdicts changed, held back from csv/ until accepted (not committed)
+export const STAGED_DIR = path.join(ROOT, 'csv-staged');
+// Date answers are sampled around TODAY (a birth date for a lunar age, a loan's due date), so the
+// paths are walked as of a fixed day; otherwise the file would change from one day to the next
+const GOLDEN_TODAY = isoToDay('2026-01-01');
+
+const formatValue = (v) => (typeof v === 'string' ? v : JSON.stringify(v));
+const formatVars = (vars) => Object.keys(vars).sort()
+  .filter((k) => vars[k] !== null && vars[k] !== undefined)
+  .map((k) => `${k}=${formatValue(vars[k])}`)
+  .join(' ');
+
+// Golden text for a rules.csv body (and niyabah_rules.csv, when there is one). Marja sections are only
+// emitted when a sheet tags rows per marja.
+export function renderGolden(rulesText, niyabahRulesText = null) {
+  const marjasOf = (text) => (parseCSV(text).idx('marja') >= 0 ? Object.keys(MARJAS) : [DEFAULT_MARJA]);
+  const marjas = marjasOf(rulesText);
+  const lines = [
+    '# Golden verdicts for csv/rules.csv and csv/niyabah_rules.csv. Generated by `npm run paths`; do not edit by hand.',
+    '# One line per reachable path: answers => outcome, reason/phrase keys and resulting vars.',
+  ];
+  const pushPaths = (logic, levelId, scenario) => {
+    for (const p of enumeratePaths(logic, levelId, { TODAY: GOLDEN_TODAY, ...scenario })) {
+      const steps = p.steps.map((s) => `${s.nodeId}=${s.answer}`).join(' > ');
+      const { TODAY, ...vars } = p.vars;
+      lines.push(`${steps} => ${p.outcome} reason=${p.reason} phrase=${p.endPhrase} print=${p.print} [${formatVars(vars)}]`);
+    }
+  };
+
+  for (const marja of marjas) {
+    const logic = buildLogic({ kind: 'csv', data: rulesText }, marja);
+    const levelIds = Object.keys(logic).map(Number).sort((a, b) => a - b);
+    for (const levelId of levelIds) {
+      for (const scenario of pathScenarios(logic, levelId)) {
+        const scope = [marjas.length > 1 ? marja : '', formatVars(scenario)].filter(Boolean).join(' ');
+        lines.push('', `## Level ${levelId}${scope ? ` (${scope})` : ''}`);
+        pushPaths(logic, levelId, scenario);
+      }
+    }
+  }
+
+  if (niyabahRulesText) {
+    const niyabahMarjas = marjasOf(niyabahRulesText);
+    for (const marja of niyabahMarjas) {
+      const logic = buildLogic({ kind: 'csv', data: niyabahRulesText }, marja);
+      if (!logic[NIYABAH_FLOW]) continue;
+      for (const NIYABAT of NIYABAH_DUTIES) {
+        const scope = [niyabahMarjas.length > 1 ? marja : '', `NIYABAT=${NIYABAT}`].filter(Boolean).join(' ');
+        lines.push('', `## Niyabah follow-up (${scope})`);
+        pushPaths(logic, NIYABAH_FLOW, { NIYABAT });
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Lines only in `before` (-) or only in `after` (+); headers are kept so changes stay in context
+export function diffGolden(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const inA = new Set(a);
+  const inB = new Set(b);
+  const out = [];
+  let section = '';
+  const emit = (line) => {
+    if (section) { out.push(section); section = ''; }
+    out.push(line);
+  };
+  for (const line of b) {
+    if (line.startsWith('## ')) { section = line; continue; }
+    if (!inA.has(line)) emit(`+ ${line}`);
+  }
+  section = '';
+  for (const line of a) {
+    if (line.startsWith('## ')) { section = line; continue; }
+    if (!inB.has(line)) emit(`- ${line}`);
+  }
+  return out;
+}
+
+async function main() {
+  const check = process.argv.includes('--check');
+  // --check always tests what is published; accepting takes the staged sheets when a sync left some
+  const staged = !check && await fs.access(path.join(STAGED_DIR, 'rules.csv')).then(() => true, () => false);
+  const dir = staged ? STAGED_DIR : LOCAL_CSV_DIR;
+  const rulesText = await fs.readFile(path.join(dir, 'rules.csv'), 'utf8');
+  const niyabahRulesText = await fs.readFile(path.join(dir, 'niyabah_rules.csv'), 'utf8').catch(() => null);
+  const next = renderGolden(rulesText, niyabahRulesText);
+
+  let current = '';
+  try { current = await fs.readFile(GOLDEN_PATH, 'utf8'); } catch (e) { current = ''; }
+
+  if (check) {
+    if (current === next) {
+      console.log('Golden paths are up to date.');
+      return;
+    }
+    console.error('Verdicts changed compared to test/golden/paths.txt:');
+    for (const line of diffGolden(current, next)) console.error(line);
+    console.error('Review the changes, then run `npm run paths` to accept them.');
+    process.exit(1);
+  }
+
+  if (staged) {
+    console.log(`Accepting the verdicts of the sheets staged in ${path.relative(ROOT, STAGED_DIR)}/:`);
+    for (const line of diffGolden(current, next)) console.log(line);
+  }
+  await fs.mkdir(path.dirname(GOLDEN_PATH), { recursive: true });
+  await fs.writeFile(GOLDEN_PATH, next, 'utf8');
+  const count = next.split('\n').filter((l) => l.includes(' => ')).length;
+  console.log(`Wrote ${count} paths to ${path.relative(ROOT, GOLDEN_PATH)}`);
+  if (staged) console.log('Commit the golden diff; the next sync (npm run sync-csvs:once) publishes the staged sheets.');
+}
+
+if (path.resolve(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error('Path enumeration failed', e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,180 @@
+// sheet-versions.js
+// Usage:
+//   node scripts/sheet-versions.js list             -> every snapshot, newest first (* = published)
+//   node scripts/sheet-versions.js snapshot         -> record the current csv/*.csv as a snapshot
+//   node scripts/sheet-versions.js rollback <id>    -> publish snapshot <id> again and pin it
+//   node scripts/sheet-versions.js pin [<id>]       -> pin the published snapshot (or roll back to <id> first)
+//   node scripts/sheet-versions.js unpin            -> let sync-csvs publish the live sheets again
+//   node scripts/sheet-versions.js export <file>    -> write csv/ (or `--version <id>`) as a JSON bundle
+//
+// Snapshots live in csv/versions/<id>/<name>.csv and are listed in csv/versions/manifest.json, which is
+// copied to public/csv/versions.json for the app (see src/lib/versions.js). <id> may be any unambiguous
+// prefix. sync-csvs records a snapshot every time it publishes a sheet set.
+//
+// When a bad sheet edit goes out: `rollback` to the last good snapshot, rebuild and deploy, fix the sheet,
+// then `unpin`. While pinned, sync-csvs does not publish and the app ignores the live Google Sheets.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSheets, formatIssue } from '../src/lib/validate.js';
+import { SHEET_SOURCES, snapshotId, sheetHashes, emptyManifest, addVersion, findVersion } from '../src/lib/versions.js';
+import { csvToBundle } from '../src/lib/sources.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const LOCAL_CSV_DIR = path.join(ROOT, 'csv');
+const PUBLIC_CSV_DIR = path.join(ROOT, 'public', 'csv');
+const VERSIONS_DIR = path.join(LOCAL_CSV_DIR, 'versions');
+const MANIFEST_PATH = path.join(VERSIONS_DIR, 'manifest.json');
+const PUBLIC_MANIFEST_PATH = path.join(PUBLIC_CSV_DIR, 'versions.json');
+const META_PATH = path.join(PUBLIC_CSV_DIR, '.meta.json'); // sync-csvs' ETag/Last-Modified per sheet
+
+const SHEET_NAMES = Object.keys(SHEET_SOURCES);
+
+export async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+  } catch (e) {
+    return emptyManifest();
+  }
+}
+
+async function writeManifest(manifest) {
+  const json = JSON.stringify(manifest, null, 2) + '\n';
+  await fs.mkdir(VERSIONS_DIR, { recursive: true });
+  await fs.writeFile(MANIFEST_PATH, json, 'utf8');
+  await fs.mkdir(PUBLIC_CSV_DIR, { recursive: true });
+  await fs.writeFile(PUBLIC_MANIFEST_PATH, json, 'utf8');
+}
+
+async function readSheets(dir) {
+  const sheets = {};
+  for (const name of SHEET_NAMES) {
+    try { sheets[name] = await fs.readFile(path.join(dir, `${name}.csv`), 'utf8'); } catch (e) { sheets[name] = null; }
+  }
+  return sheets;
+}
+
+// Store a published sheet set ({ [name]: text }) as a snapshot and make it the active version.
+// source: 'sync' | 'local' | 'snapshot'. Returns the snapshot id.
+export async function recordSnapshot(sheets, source) {
+  const id = snapshotId(sheets);
+  const manifest = await readManifest();
+  if (manifest.active === id && manifest.versions.some((v) => v.id === id)) return id;
+
+  const dir = path.join(VERSIONS_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+  for (const [name, text] of Object.entries(sheets)) {
+    if (text !== null && SHEET_NAMES.includes(name)) await fs.writeFile(path.join(dir, `${name}.csv`), text, 'utf8');
+  }
+  await writeManifest(addVersion(manifest, { id, createdAt: new Date().toISOString(), source, sheets: sheetHashes(sheets) }));
+  return id;
+}
+
+// Publish a snapshot's files to csv/ and public/csv/ (after validating them like a sync would)
+async function restore(version) {
+  const sheets = await readSheets(path.join(VERSIONS_DIR, version.id));
+  if (snapshotId(sheets) !== version.id) throw new Error(`snapshot ${version.id} is incomplete or was edited (csv/versions/${version.id}/)`);
+  const { errors } = validateSheets(sheets);
+  if (errors.length) {
+    for (const e of errors) console.error(`error: ${formatIssue(e)}`);
+    throw new Error(`snapshot ${version.id} does not validate against the current app; nothing restored`);
+  }
+  for (const [name, text] of Object.entries(sheets)) {
+    if (text === null) {
+      console.warn(`${name}: not in snapshot ${version.id}, current file kept`);
+      continue;
+    }
+    await fs.writeFile(path.join(LOCAL_CSV_DIR, `${name}.csv`), text, 'utf8');
+    await fs.writeFile(path.join(PUBLIC_CSV_DIR, `${name}.csv`), text, 'utf8');
+  }
+}
+
+// Forget the saved ETag/Last-Modified, so the next sync fetches every live sheet in full again
+async function forgetConditionalHeaders() {
+  try {
+    const meta = JSON.parse(await fs.readFile(META_PATH, 'utf8'));
+    for (const entry of Object.values(meta)) {
+      entry.etag = null;
+      entry.lastModified = null;
+    }
+    await fs.writeFile(META_PATH, JSON.stringify(meta, null, 2), 'utf8');
+  } catch (e) {
+    // no sync has run yet
+  }
+}
+
+const describe = (v) => `${v.id}  ${v.createdAt}  ${v.source}`;
+
+async function list() {
+  const manifest = await readManifest();
+  if (!manifest.versions.length) {
+    console.log('No sheet versions recorded yet. Run `npm run versions -- snapshot`.');
+    return;
+  }
+  const versions = [...manifest.versions].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  for (const v of versions) {
+    const previous = versions[versions.indexOf(v) + 1];
+    const changed = previous ? Object.keys(v.sheets).filter((name) => v.sheets[name] !== previous.sheets?.[name]) : [];
+    const mark = v.id === manifest.active ? (manifest.pinned ? '* (pinned)' : '*') : ' ';
+    console.log(`${mark.padEnd(10)} ${describe(v)}${changed.length ? `  changed: ${changed.join(', ')}` : ''}`);
+  }
+}
+
+async function rollback(ref) {
+  const manifest = await readManifest();
+  const version = findVersion(manifest, ref);
+  await restore(version);
+  await writeManifest({ ...manifest, active: version.id, pinned: true });
+  console.log(`Published and pinned ${describe(version)}.`);
+  console.log('Run `npm run paths:check` to review the verdict changes, then rebuild and deploy the app.');
+}
+
+// A JSON bundle (sheets.schema.json) of csv/ or of a snapshot, for a `json` source in sheets.config.json
+async function exportBundle(file, ref) {
+  if (!file) throw new Error('export needs a file name, e.g. `export sheets.json`');
+  const dir = ref ? path.join(VERSIONS_DIR, findVersion(await readManifest(), ref).id) : LOCAL_CSV_DIR;
+  const bundle = { $schema: './sheets.schema.json', ...csvToBundle(await readSheets(dir)) };
+  await fs.writeFile(path.resolve(file), JSON.stringify(bundle, null, 2) + '\n', 'utf8');
+  console.log(`Wrote ${path.relative(ROOT, dir)}/ as ${file}.`);
+}
+
+async function main() {
+  const [command, ref] = process.argv.slice(2);
+  if (command === 'list' || !command) return list();
+  if (command === 'snapshot') {
+    const id = await recordSnapshot(await readSheets(LOCAL_CSV_DIR), 'snapshot');
+    console.log(`csv/ recorded as ${id}.`);
+    return;
+  }
+  if (command === 'rollback') return rollback(ref);
+  if (command === 'pin') {
+    const manifest = await readManifest();
+    if (ref && findVersion(manifest, ref).id !== manifest.active) return rollback(ref);
+    const current = snapshotId(await readSheets(LOCAL_CSV_DIR));
+    if (current !== manifest.active) throw new Error('csv/ differs from the active snapshot; run `snapshot` first');
+    await writeManifest({ ...manifest, pinned: true });
+    console.log(`Pinned ${current}.`);
+    return;
+  }
+  if (command === 'unpin') {
+    const manifest = await readManifest();
+    await writeManifest({ ...manifest, pinned: false });
+    await forgetConditionalHeaders();
+    console.log('Unpinned: the next sync publishes the live sheets again.');
+    return;
+  }
+  if (command === 'export') {
+    const at = process.argv.indexOf('--version');
+    return exportBundle(ref, at > 0 ? process.argv[at + 1] : null);
+  }
+  throw new Error(`unknown command "${command}" (list | snapshot | rollback <id> | pin [<id>] | unpin | export <file>)`);
+}
+
+if (path.resolve(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error('sheet-versions:', e?.message || e);
+    process.exit(1);
+  });
+}
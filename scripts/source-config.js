@@ -0,0 +1,47 @@
+// source-config.js
+// Reads the sheet source configuration for scripts/sync-csvs.js and vite.config.js: sheets.config.json,
+// or the file the SHEETS_CONFIG env var names (relative to the repo root). See src/lib/sources.js.
+//
+// The older per-sheet env vars (QUESTIONS_URL, PHRASES_URL, LOGIC_URL, LEVELS_URL, NIYABAH_QUESTIONS_URL,
+// NIYABAH_RULES_URL) still override single sheets with a CSV url.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSourceConfig, parseEmbedConfig } from '../src/lib/sources.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CONFIG = 'sheets.config.json';
+
+const ENV_URLS = {
+  questions: 'QUESTIONS_URL',
+  phrases: 'PHRASES_URL',
+  rules: 'LOGIC_URL',
+  levels: 'LEVELS_URL',
+  niyabah_questions: 'NIYABAH_QUESTIONS_URL',
+  niyabah_rules: 'NIYABAH_RULES_URL',
+};
+
+// { file, sheets, embed } where sheets is the normalized { [name]: entry } and embed the { allowSources }
+// of embedding pages; throws on an invalid config
+export function readSourceConfig(env = process.env) {
+  const file = path.resolve(ROOT, env.SHEETS_CONFIG || DEFAULT_CONFIG);
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT' || env.SHEETS_CONFIG) throw new Error(`${path.relative(ROOT, file)}: ${e.message}`);
+  }
+
+  const sheets = { ...config.sheets };
+  for (const [name, variable] of Object.entries(ENV_URLS)) {
+    const url = env[variable];
+    if (url) sheets[name] = { type: /docs\.google\.com/.test(url) ? 'gsheet' : 'csv', url };
+  }
+  try {
+    return { file, sheets: parseSourceConfig({ sheets }), embed: parseEmbedConfig(config) };
+  } catch (e) {
+    throw new Error(`${path.relative(ROOT, file)}: ${e.message}`);
+  }
+}
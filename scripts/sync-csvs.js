@@ -8,6 +8,13 @@
 //  - configurable poll interval (CSV_POLL_MS, default 5 minutes)
 //  - conditional GETs using ETag / Last-Modified saved to disk
 //  - minimal exponential backoff per-resource on repeated failures
+//  - cross-sheet validation (src/lib/validate.js): a sheet set with errors is never written
+//  - a snapshot of every published sheet set (scripts/sheet-versions.js); nothing is published while pinned
+//  - the golden verdicts (scripts/enumerate-paths.js): a sheet set whose verdicts differ from
+//    test/golden/paths.txt is only staged in csv-staged/, and the sync exits non-zero, until a reviewer
+//    runs `npm run paths` to accept the diff; the next sync then publishes it
+//  - sources from sheets.config.json, shared with the app (Google Sheets, CSV over HTTP, XLSX, JSON bundle
+//    or a file; see src/lib/sources.js), each written to csv/<name>.csv as CSV
 //
 // NOTE: This script *does not* try to detect field-level sheet edits in real-time.
 // For near-real-time push from Google Sheets, use an Apps Script or a Pub/Sub webhook.
@@ -15,19 +22,24 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { renderGolden, diffGolden, GOLDEN_PATH, STAGED_DIR } from './enumerate-paths.js';
+import { validateSheets, formatIssue } from '../src/lib/validate.js';
+import { readManifest, recordSnapshot } from './sheet-versions.js';
+import { readSourceConfig } from './source-config.js';
+import { SHEET_NAMES, isBinarySource, decodeSheet } from '../src/lib/sources.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
 const LOCAL_CSV_DIR = path.join(ROOT, 'csv');
 const PUBLIC_CSV_DIR = path.join(ROOT, 'public', 'csv');
 const META_PATH = path.join(PUBLIC_CSV_DIR, '.meta.json'); // stores ETag/Last-Modified per file
+// Where publishSheets reads and writes; tests point it elsewhere
+const DIRS = { local: LOCAL_CSV_DIR, public: PUBLIC_CSV_DIR, staged: STAGED_DIR, golden: GOLDEN_PATH };
 
-// Remote sheet URLs (keep in sync with App.jsx constants)
-const REMOTES = {
-  questions: process.env.QUESTIONS_URL || "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=0&single=true&output=csv",
-  phrases: process.env.PHRASES_URL || "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=780232032&single=true&output=csv",
-  rules: process.env.LOGIC_URL || "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=1049243779&single=true&output=csv",
-};
+// Where each sheet comes from (sheets.config.json, shared with the app; see scripts/source-config.js)
+const { sheets: SOURCES } = readSourceConfig();
+// Sheets with something to fetch: a url, or a file other than csv/<name>.csv itself (an XLSX workbook, ...)
+const PULLED = Object.entries(SOURCES).filter(([name, entry]) => entry.url || path.normalize(entry.path) !== path.join('csv', `${name}.csv`));
 
 // How often to poll (ms). Default 5 minutes for reasonably frequent syncs.
 // Set CSV_POLL_MS env var to override.
@@ -64,21 +76,20 @@ async function saveMeta() {
   }
 }
 
-// copy any local-only CSVs at startup (development convenience)
+// copy any local-only CSVs at startup (development convenience), unless they fail validation
 async function copyLocalToPublic() {
   try {
-    const names = ['questions.csv', 'phrases.csv', 'rules.csv'];
-    for (const name of names) {
-      const src = path.join(LOCAL_CSV_DIR, name);
-      const dst = path.join(PUBLIC_CSV_DIR, name);
-      try {
-        const data = await fs.readFile(src, 'utf8');
-        await fs.writeFile(dst, data, 'utf8');
-        console.log(`copied local ${name} -> public/csv/${name}`);
-      } catch (e) {
-        // no local file - ignore
-      }
+    const sheets = {};
+    for (const name of SHEET_NAMES) sheets[name] = await readLocal(name);
+    if (Object.values(sheets).every((txt) => txt === null)) return; // no local files - ignore
+    if (!validateOrReport(sheets, 'local csv/')) return;
+
+    for (const [name, data] of Object.entries(sheets)) {
+      if (data === null) continue;
+      await fs.writeFile(path.join(PUBLIC_CSV_DIR, `${name}.csv`), data, 'utf8');
+      console.log(`copied local ${name}.csv -> public/csv/${name}.csv`);
     }
+    console.log(`local csv/: version ${await recordSnapshot(sheets, 'local')}`);
   } catch (e) {
     console.error('copyLocalToPublic failed', e);
   }
@@ -111,69 +122,139 @@ function markFailure(name) {
   console.warn(`Marked failure for ${name} (failCount=${meta[name].failCount}). nextAttemptAt=${new Date(meta[name].nextAttemptAt).toISOString()}`);
 }
 
-// fetch with conditional headers and only write on change.
-// name: 'questions'|'phrases'|'rules'
-async function fetchAndWrite(name, url) {
+// fetch with conditional headers (or read the configured file) and convert to CSV; resolves to the new
+// text, or null when nothing changed.
+// name: a sheet of src/lib/sources.js ('questions'|'phrases'|'rules'|'levels'|'niyabah_questions'|'niyabah_rules')
+async function fetchSheet(name, entry) {
   try {
     const m = meta[name] || {};
     if (m.nextAttemptAt && Date.now() < m.nextAttemptAt) {
       // skip due to exponential backoff
       console.log(`${name}: skipping fetch due to backoff until ${new Date(m.nextAttemptAt).toISOString()}`);
-      return;
+      return null;
     }
 
-    const headers = buildConditionalHeaders(name);
+    let body;
+    let resHeaders = new Headers();
+    if (entry.url) {
+      const headers = buildConditionalHeaders(name);
 
-    console.log(`${new Date().toISOString()} fetching ${name} from ${url}`);
-    const res = await fetch(url, { method: 'GET', headers, redirect: 'follow' });
+      console.log(`${new Date().toISOString()} fetching ${name} (${entry.type}) from ${entry.url}`);
+      const res = await fetch(entry.url, { method: 'GET', headers, redirect: 'follow' });
 
-    if (res.status === 304) {
-      // Not modified, nothing to do.
-      console.log(`${name}: not modified (304).`);
-      markSuccess(name, res.headers);
-      await saveMeta();
-      return;
-    }
+      if (res.status === 304) {
+        // Not modified, nothing to do.
+        console.log(`${name}: not modified (304).`);
+        markSuccess(name, res.headers);
+        return null;
+      }
 
-    if (!res.ok) {
-      // Treat 200..299 as ok; otherwise mark failure and bail.
-      const text = await res.text().catch(() => '');
-      throw new Error(`fetch ${name} failed: ${res.status} ${res.statusText} ${text.slice(0, 200)}`);
+      if (!res.ok) {
+        // Treat 200..299 as ok; otherwise mark failure and bail.
+        const text = await res.text().catch(() => '');
+        throw new Error(`fetch ${name} failed: ${res.status} ${res.statusText} ${text.slice(0, 200)}`);
+      }
+      body = isBinarySource(entry) ? new Uint8Array(await res.arrayBuffer()) : await res.text();
+      resHeaders = res.headers;
+    } else {
+      console.log(`${new Date().toISOString()} reading ${name} (${entry.type}) from ${entry.path}`);
+      body = await fs.readFile(path.resolve(ROOT, entry.path));
     }
 
-    // Got content; write to disk
-    const txt = await res.text();
-
-    const localPath = path.join(LOCAL_CSV_DIR, `${name}.csv`);
-    const publicPath = path.join(PUBLIC_CSV_DIR, `${name}.csv`);
-
-    // Optionally: compare to existing file content to avoid rewrite churn.
-    let existing = null;
-    try { existing = await fs.readFile(localPath, 'utf8'); } catch (e) { existing = null; }
+    const txt = await decodeSheet(entry, name, body);
 
+    // compare to existing file content to avoid rewrite churn.
+    const existing = await readLocal(name);
     if (existing === txt) {
       console.log(`${name}: content unchanged (byte-equal).`);
-      markSuccess(name, res.headers);
-      await saveMeta();
-      return;
+      markSuccess(name, resHeaders);
+      return null;
     }
-
-    // write both locations
-    await fs.writeFile(localPath, txt, 'utf8');
-    await fs.writeFile(publicPath, txt, 'utf8');
-    markSuccess(name, res.headers);
-    await saveMeta();
-    console.log(`${name}: updated files written to csv/ and public/csv/`);
+    return { name, txt, headers: resHeaders };
   } catch (e) {
     console.error(`${name}: update failed:`, e?.message || e);
     markFailure(name);
-    await saveMeta();
+    return null;
   }
 }
 
+async function readLocal(name) {
+  try { return await fs.readFile(path.join(LOCAL_CSV_DIR, `${name}.csv`), 'utf8'); } catch (e) { return null; }
+}
+
+// Validate the sheets together (see src/lib/validate.js); false when any error was found
+function validateOrReport(sheets, label) {
+  const { errors, warnings } = validateSheets(sheets);
+  for (const w of warnings) console.warn(`${label}: warning: ${formatIssue(w)}`);
+  if (!errors.length) return true;
+  for (const e of errors) console.error(`${label}: error: ${formatIssue(e)}`);
+  console.error(`${label}: ${errors.length} error(s) in the sheets; refusing to publish, previous files kept.`);
+  return false;
+}
+
+// Lines of the golden diff between test/golden/paths.txt and every reachable path of the new rules
+async function verdictChanges(sheets, goldenPath) {
+  const golden = await fs.readFile(goldenPath, 'utf8').catch(() => '');
+  return diffGolden(golden, renderGolden(sheets.rules, sheets.niyabah_rules));
+}
+
+// Publish a validated sheet set ({ [name]: text }, `fetched` the changed sheets) to csv/ and public/csv/,
+// unless its verdicts differ from the golden file: then the whole set goes to csv-staged/ for review and
+// nothing is published. Resolves to 'published' or 'staged'.
+export async function publishSheets(fetched, sheets, dirs = DIRS) {
+  const changed = await verdictChanges(sheets, dirs.golden);
+  if (changed.length) {
+    await fs.mkdir(dirs.staged, { recursive: true });
+    for (const [name, txt] of Object.entries(sheets)) {
+      if (txt !== null) await fs.writeFile(path.join(dirs.staged, `${name}.csv`), txt, 'utf8');
+    }
+    console.error(`rules: verdicts changed against test/golden/paths.txt (${changed.filter((l) => !l.startsWith('## ')).length} lines):`);
+    for (const line of changed) console.error(`  ${line}`);
+    console.error(`rules: ${fetched.map((f) => f.name).join(', ')} staged in ${path.relative(ROOT, dirs.staged)}/, not published. Review the changes, then run \`npm run paths\` to accept them and commit the golden diff; the next sync publishes the sheets.`);
+    return 'staged';
+  }
+
+  for (const { name, txt, headers } of fetched) {
+    await fs.writeFile(path.join(dirs.local, `${name}.csv`), txt, 'utf8');
+    await fs.writeFile(path.join(dirs.public, `${name}.csv`), txt, 'utf8');
+    markSuccess(name, headers);
+    console.log(`${name}: updated files written to csv/ and public/csv/`);
+  }
+  await fs.rm(dirs.staged, { recursive: true, force: true });
+  console.log(`sheets: published as version ${await recordSnapshot(sheets, 'sync')}`);
+  return 'published';
+}
+
+// Fetch all sheets, then publish the changed ones only if the combined set validates and keeps the
+// golden verdicts; a staged set sets a non-zero exit code
 async function updateAll() {
-  const tasks = Object.entries(REMOTES).map(([name, url]) => fetchAndWrite(name, url));
-  await Promise.all(tasks);
+  const fetched = (await Promise.all(PULLED.map(([name, entry]) => fetchSheet(name, entry)))).filter(Boolean);
+  if (!fetched.length) {
+    await saveMeta();
+    return;
+  }
+
+  const sheets = {};
+  for (const name of SHEET_NAMES) sheets[name] = await readLocal(name);
+  for (const f of fetched) sheets[f.name] = f.txt;
+
+  // not marked as synced, so the next poll fetches (and reports) the sheet again
+  if (!validateOrReport(sheets, fetched.map((f) => f.name).join('+'))) {
+    await saveMeta();
+    return;
+  }
+
+  // pinned after a rollback: keep reporting upstream edits, publish nothing until unpinned
+  const manifest = await readManifest();
+  if (manifest.pinned) {
+    console.warn(`sheets pinned to version ${manifest.active}: ${fetched.map((f) => f.name).join(', ')} not published (npm run versions -- unpin)`);
+    await saveMeta();
+    return;
+  }
+
+  // a staged set is not marked as synced either, so each poll checks it against the golden file again
+  process.exitCode = (await publishSheets(fetched, sheets)) === 'staged' ? 1 : 0;
+  await saveMeta();
 }
 
 async function main() {
@@ -187,7 +268,7 @@ async function main() {
     console.log('Running one-time remote fetch -> local/public');
     await updateAll();
     console.log('Done.');
-    process.exit(0);
+    process.exit(process.exitCode ?? 0);
   }
 
   // Immediate first fetch on start
@@ -206,7 +287,9 @@ async function main() {
   }, POLL_MS);
 }
 
-main().catch((e) => {
-  console.error('Fatal sync error', e);
-  process.exit(1);
-});
+if (path.resolve(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error('Fatal sync error', e);
+    process.exit(1);
+  });
+}
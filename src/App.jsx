@@ -1,6 +1,5 @@
-import React, { useState, useEffect } from "react";
-// ... (the full JSX code was generated in the previous step)
-// This file includes a robust CSV parser and a few dev-time tests to catch regressions.
+import React, { useState, useEffect, useRef, useCallback } from "react";
+// The rule engine (CSV parser, sheet builders, routing, replay) lives in src/lib/engine.js.
 
 import { motion, AnimatePresence } from "framer-motion";
 import {
@@ -20,8 +19,87 @@ import {
   Info,
   Menu,
   X,
+  FileText,
+  Printer,
+  Download,
+  ArrowLeft,
+  Share2,
+  Copy,
+  Eye,
+  HandCoins,
+  Users,
+  CalendarDays,
+  RefreshCw,
+  Wrench,
+  Plus,
+  Trash2,
+  Undo2,
+  Redo2,
+  ChevronDown,
+  Split,
 } from "lucide-react";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { LANGUAGES, DEFAULT_LANGUAGE, translate, directionOf } from "@/lib/i18n";
+import {
+  MARJAS,
+  DEFAULT_MARJA,
+  buildTexts,
+  buildPhrases,
+  buildNoteCategories,
+  buildLogic,
+  buildLevelMeta,
+  getLevelIds,
+  getQuestionIds,
+  nodeIdFor,
+  resolvePhrase,
+  levelHealthState,
+  isNumericInput,
+  isDateInput,
+  parseNumericAnswer,
+  replayLevel,
+  startHistory,
+  recordAnswers,
+  undoAnswers,
+  redoAnswers,
+  changeAnswer,
+  stepBack,
+  reevaluateLevels,
+  incomingVars,
+  levelAccess,
+  dependentsOf,
+  levelNotes,
+  advisoryNotes,
+  overallStatus,
+  verdictLabel,
+  verdictTrace,
+  NIYABAH_FLOW,
+  niyabahVars,
+  niyabahFlow,
+  replayNiyabah,
+} from "@/lib/engine";
+import { validateSheets, formatIssue } from "@/lib/validate";
+import { buildReport } from "@/lib/report";
+import { encodeShare, decodeShare, shareParam, rulesVersion } from "@/lib/share";
+import { rulesRelease, VERDICT_SHEETS, isApprovedSheet } from "@/lib/versions";
+import { storagePrefix } from "@/lib/embed";
+import { parseSourceConfig, sheetOverrides, remoteUrl, isBinarySource, decodeSheet } from "@/lib/sources";
+import { choiceKeyAction } from "@/lib/keyboard";
+import { AUTHORING_SHEETS, toGrid, fromGrid, setCell, insertRow, removeRow, issuesByRow, filterRows } from "@/lib/authoring";
+import { currentHajjYear, yearVars, gregorianYearOf, pastYears, mustaqarrConclusion } from "@/lib/years";
+import { registerServiceWorker, applyAppUpdate } from "@/lib/pwa";
+import {
+  isoToDay,
+  dayToIso,
+  gregorianToDay,
+  hijriToDay,
+  dayToGregorian,
+  dayToHijri,
+  isValidGregorian,
+  isValidHijri,
+  formatGregorian,
+  formatHijri,
+  gregorianMonthName,
+} from "@/lib/calendar";
 // import { Button } from "@/components/ui/button";
 
 /* =====================
@@ -43,8 +121,10 @@ const FONT_FAMILIES = {
 /* =====================
    THEME
    ===================== */
+// Selectable palettes (Settings → Display). `paper` names the palette the printable report is drawn with,
+// so a dark screen still prints on light paper; `scheme` is handed to the browser for its own controls.
 const STYLES = {
-  option3: {
+  light: {
     bg: "linear-gradient(to bottom, #efe1b6b0 0%, #d3b950d0 100%)",
     surface: "#F9F5E7",
     surfaceSoft: "#F1EAD1",
@@ -52,6 +132,7 @@ const STYLES = {
     text: "#2B2B2B",
     title: "#000000bc",
     accent: "#8f8f8fff",
+    onAccent: "#ffffff",
     success: "#5CC65C",
     danger: "#D32F2F",
     warn: "#E07B00",     // ORANGE (darker)
@@ -59,75 +140,162 @@ const STYLES = {
     successbg: "rgba(92, 198, 92, 0.10)",
     warnbg: "rgba(224, 123, 0, 0.15)",
     cautionbg: "rgba(0, 149, 255, 0.15)",
-
+    dangerbg: "rgba(211, 47, 47, 0.10)",
+    scheme: "light",
+  },
+  dark: {
+    bg: "linear-gradient(to bottom, #1d1b16 0%, #2b2617 100%)",
+    surface: "#25221b",
+    surfaceSoft: "#312d24",
+    border: "#5a5444",
+    text: "#ECE6D6",
+    title: "#F7F1E1",
+    accent: "#B8B09A",
+    onAccent: "#1B1B1B",
+    success: "#6FD46F",
+    danger: "#FF6B6B",
+    warn: "#FFA940",
+    caution: "#6EA8FF",
+    successbg: "rgba(111, 212, 111, 0.14)",
+    warnbg: "rgba(255, 169, 64, 0.16)",
+    cautionbg: "rgba(110, 168, 255, 0.16)",
+    dangerbg: "rgba(255, 107, 107, 0.14)",
+    scheme: "dark",
+    paper: "light",
+  },
+  // Black on white with saturated status colours that all clear 7:1 against the surface
+  contrast: {
+    bg: "#ffffff",
+    surface: "#ffffff",
+    surfaceSoft: "#f0f0f0",
+    border: "#000000",
+    text: "#000000",
+    title: "#000000",
+    accent: "#000000",
+    onAccent: "#ffffff",
+    success: "#005A00",
+    danger: "#A00000",
+    warn: "#7A3E00",
+    caution: "#0030B0",
+    successbg: "rgba(0, 90, 0, 0.10)",
+    warnbg: "rgba(122, 62, 0, 0.10)",
+    cautionbg: "rgba(0, 48, 176, 0.10)",
+    dangerbg: "rgba(160, 0, 0, 0.10)",
+    scheme: "light",
+  },
+  // Okabe–Ito colours, which stay apart under the common forms of colour blindness
+  colorblind: {
+    bg: "linear-gradient(to bottom, #f3ecd7 0%, #e3d6ae 100%)",
+    surface: "#FBF8EE",
+    surfaceSoft: "#F1EAD6",
+    border: "#B9B4A0",
+    text: "#2B2B2B",
+    title: "#000000bc",
+    accent: "#6f6f6f",
+    onAccent: "#ffffff",
+    success: "#009E73",
+    danger: "#CC79A7",
+    warn: "#D55E00",
+    caution: "#0072B2",
+    successbg: "rgba(0, 158, 115, 0.12)",
+    warnbg: "rgba(213, 94, 0, 0.12)",
+    cautionbg: "rgba(0, 114, 178, 0.12)",
+    dangerbg: "rgba(204, 121, 167, 0.14)",
+    scheme: "light",
   },
 };
 
+// Before a theme is picked, use the embedding page's default or else follow the system's dark-mode and
+// more-contrast preferences
+function initialThemeName(fallback) {
+  try {
+    const saved = localStorage.getItem("theme");
+    if (saved && STYLES[saved]) return saved;
+  } catch { /* ignore */ }
+  if (STYLES[fallback]) return fallback;
+  if (typeof window === "undefined" || !window.matchMedia) return "light";
+  if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+// The verdict colours (green, orange: proxy required, blue: proxy optional, red: not eligible) each also get
+// an icon and a border pattern, so they can be told apart without colour vision
+const STATUS_CUES = {
+  success: { icon: CheckCircle, border: "solid" },
+  warn: { icon: Users, border: "dashed" },
+  caution: { icon: Split, border: "dotted" },
+  danger: { icon: XCircle, border: "double" },
+};
+
+// Theme colour key for a level's status and health state (null while undecided)
+function statusTone(status, healthState) {
+  if (status === "failed") return "danger";
+  if (status !== "completed") return null;
+  return healthState === "ORANGE" ? "warn" : healthState === "BLUE" ? "caution" : "success";
+}
+
 /* =====================
-   SHEETS (REPLACE WITH YOUR LINKS)
+   SHEETS
    ===================== */
-const QUESTIONS_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=0&single=true&output=csv";
-const PHRASES_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=780232032&single=true&output=csv";
-const LOGIC_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vRLuujUXgZzVklkPRoYOZo8Kl_elpgbF-zf2DaHfUTXtMSOcsVkJBP8RDeAz0jGOZku3HAm5CFt-7gc/pub?gid=1049243779&single=true&output=csv";
-// Local fallbacks (served from /csv/*.csv). During development the `public/csv` folder will be used.
-const LOCAL_QUESTIONS = "/csv/questions.csv";
-const LOCAL_PHRASES = "/csv/phrases.csv";
-const LOCAL_LOGIC = "/csv/rules.csv";
+// Where each sheet is pulled from: sheets.config.json (or the file SHEETS_CONFIG names), handed over by
+// vite.config.js and shared with scripts/sync-csvs.js. See src/lib/sources.js for the source types.
+const SHEET_CONFIG = parseSourceConfig(import.meta.env.VITE_SHEETS_CONFIG || "{}");
+// Files of public/ are served under the base path the app is built for (`vite build --base /hajj/`), so the
+// app can live below the root of a site
+const asset = (path) => import.meta.env.BASE_URL + path;
+// Local fallbacks (served from csv/*.csv). During development the `public/csv` folder will be used.
+const LOCAL_QUESTIONS = asset("csv/questions.csv");
+const LOCAL_PHRASES = asset("csv/phrases.csv");
+const LOCAL_LOGIC = asset("csv/rules.csv");
+const LOCAL_LEVELS = asset("csv/levels.csv");
+const LOCAL_NIYABAH_QUESTIONS = asset("csv/niyabah_questions.csv");
+const LOCAL_NIYABAH_RULES = asset("csv/niyabah_rules.csv");
+// The niyabah (proxy Hajj) follow-up is off: csv/niyabah_questions.csv and csv/niyabah_rules.csv ship with
+// only their header rows until the scholars provide its questions and rulings. Its sheets are still loaded
+// (they count towards the rules version) and can be filled in from the sheet editor; switch this on once
+// they are published, and Home offers the follow-up to those whose levels end in a proxy duty.
+const NIYABAH_ENABLED = false;
+// Snapshot manifest written by scripts/sheet-versions.js (see src/lib/versions.js)
+const LOCAL_VERSIONS = asset("csv/versions.json");
 
 /* =====================
-   FETCH + CSV PARSER
+   FETCH
    ===================== */
-async function fetchText(url) {
-  const r = await fetch(url, { cache: "no-cache" });
-  if (!r.ok) throw new Error("fetch failed: " + url);
-  const ct = r.headers.get("content-type") || "";
-  const txt = await r.text();
-  if (ct.includes("application/json") || txt.trim().startsWith("{")) {
-    return { kind: "json", data: JSON.parse(txt) };
+// A remote pull that has not answered by then falls back to the cached copy instead of holding up the app
+// (pilgrims often open it on a poor connection); the service worker still finishes it in the background.
+const SHEET_TIMEOUT_MS = 5000;
+
+async function fetchBody(url, { timeoutMs, binary = false } = {}) {
+  const controller = timeoutMs ? new AbortController() : null;
+  const timer = controller && setTimeout(() => controller.abort(), timeoutMs);
+  let r;
+  try {
+    r = await fetch(url, { cache: "no-cache", signal: controller?.signal });
+  } finally {
+    clearTimeout(timer);
   }
-  return { kind: "csv", data: txt };
+  if (!r.ok) throw new Error("fetch failed: " + url);
+  return binary ? r.arrayBuffer() : r.text();
 }
 
-function parseCSV(text) {
-  // Normalize line endings and strip UTF-8 BOM if present
-  if (text && text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
-  // FIX: properly normalize CRLF/LF using a valid regex
-  text = text.replace(/\r?\n/g, "\n");
-
-  const rows = [];
-  let cur = [];
-  let field = "";
-  let inQuotes = false;
-  const pushField = () => { cur.push(field); field = ""; };
-  const pushRow = () => { rows.push(cur); cur = []; };
-
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    if (inQuotes) {
-      if (ch === '"') {
-        const next = text[i + 1];
-        if (next === '"') { field += '"'; i++; } else { inQuotes = false; }
-      } else field += ch;
-    } else {
-      if (ch === '"') inQuotes = true;
-      else if (ch === ",") pushField();
-      else if (ch === "\n") { pushField(); pushRow(); }
-      else field += ch;
-    }
+// A bundled file: a CSV sheet, or JSON (the versions manifest)
+async function fetchText(url, options) {
+  const txt = await fetchBody(url, options);
+  // fetchedAt travels with cached copies, so the report can say which pull of the sheets it used
+  const fetchedAt = new Date().toISOString();
+  if (txt.trim().startsWith("{")) {
+    return { kind: "json", data: JSON.parse(txt), fetchedAt };
   }
-  pushField();
-  if (cur.length) pushRow();
-
-  // Trim cells and drop fully empty rows
-  const trimmed = rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ""));
-  const [rawHeader = [], ...data] = trimmed;
-
-  // Clean header: strip BOM on first cell, normalize case for lookups
-  const header = rawHeader.map((h, idx) => (idx === 0 ? h.replace(/^\uFEFF/, "") : h));
-  const headerLC = header.map(h => h.toLowerCase());
-  const idx = (name) => headerLC.indexOf(String(name).toLowerCase());
+  return { kind: "csv", data: txt, fetchedAt };
+}
 
-  return { header, data, idx };
+// A remote sheet in any configured format, as the CSV text of csv/<name>.csv. Sheets kept in one
+// workbook or JSON bundle share a single download per boot.
+const pulls = new Map();
+async function pullSheet(name, entry, url) {
+  if (!pulls.has(url)) pulls.set(url, fetchBody(url, { timeoutMs: SHEET_TIMEOUT_MS, binary: isBinarySource(entry) }));
+  const data = await decodeSheet(entry, name, await pulls.get(url));
+  return { kind: "csv", data, fetchedAt: new Date().toISOString() };
 }
 
 /* =====================
@@ -135,8 +303,8 @@ function parseCSV(text) {
    ===================== */
 function MarjaAvatar({ theme, selectedMarja }) {
   const srcMap = {
-    sistani: "/images/marja/sistani.png",
-    khamenei: "/images/marja/khamenei.png",
+    sistani: asset("images/marja/sistani.png"),
+    khamenei: asset("images/marja/khamenei.png"),
   };
   const src = srcMap[selectedMarja] || null;
   const [imgError, setImgError] = useState(false);
@@ -148,7 +316,7 @@ function MarjaAvatar({ theme, selectedMarja }) {
       {!imgError && src ? (
         <img
           src={src}
-          alt={selectedMarja === 'khamenei' ? 'Ayatollah Khamenei' : 'Ayatollah Sistani'}
+          alt={MARJAS[selectedMarja] || MARJAS[DEFAULT_MARJA]}
           className="h-full w-full object-cover"
           onError={() => setImgError(true)}
         />
@@ -181,301 +349,133 @@ function LogoImage({ theme, src, alt = "Logo", logoSize = DEFAULT_LOGO_SIZE }) {
 }
 
 /* =====================
-   DEV TESTS for parseCSV (run only in dev)
-   ===================== */
-(function devCsvTests() {
-  if (typeof window === 'undefined') return;
-  if (!import.meta?.env?.DEV) return;
-  try {
-    const sample = "\uFEFFLevel,qId,question_text\r\n1,L1Q1,Hello\n";
-    const quoted = "a,b,c\n\"x, y\",\"z\"\"w\"\n"; // tests commas + escaped quotes
-    const { header, data, idx } = parseCSV(sample);
-    console.assert(idx('level') === 0 && idx('qId') === 1 && idx('question_text') === 2, 'Header index lookup (case-insensitive/BOM) failed');
-    console.assert(data.length === 1 && data[0][0] === '1' && data[0][1] === 'L1Q1' && data[0][2] === 'Hello', 'Simple row parse failed');
-    const p2 = parseCSV(quoted);
-    console.assert(p2.data.length === 2, 'Quoted multiline count failed');
-    // if anything throws, it will surface in console; we keep the app running
-    // eslint-disable-next-line no-console
-    console.debug('[parseCSV tests] passed');
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error('[parseCSV tests] failed', e);
-  }
-})();
-
-/* =====================
-   LOAD QUESTIONS + PHRASES (Sheets)
+   LOAD SHEETS (raw sources)
    ===================== */
-// Prefer remote Google Sheets; fallback to cached/local data. Cache successful pulls in localStorage.
-async function loadSheets(questionsUrl, phrasesUrl) {
-  const out = { texts: null, phrases: null };
-
+// Prefer the configured remote source; fallback to cached/local data when the pull fails or times out (see
+// SHEET_TIMEOUT_MS). Cache successful pulls in localStorage. Without a url (local-only sheets, or every
+// sheet while the rules are pinned to a snapshot) the bundled file wins over an older cached pull.
+// Sources are kept raw ({ kind, data } from fetchText) so they can be rebuilt for any marja without refetching.
+// A live rules sheet is only used once a sync published it (see isApprovedSheet in `manifest`, the snapshot
+// manifest); an edit still waiting for its golden verdicts to be accepted keeps the published copy.
+// `stamp` busts HTTP caches once per boot; `config` replaces SHEET_CONFIG (an embedded calculator's sources)
+// and `storage` prefixes the cache key to go with it (see storagePrefix).
+async function loadSource(name, localUrl, cacheKey, { stamp, pinned, manifest, config = SHEET_CONFIG, storage = "" } = {}) {
+  const entry = config[name];
+  const key = storage + cacheKey;
+  const url = pinned ? null : remoteUrl(entry);
   const getCache = (key) => {
-    try {
-      const s = localStorage.getItem(key);
-      return s ? JSON.parse(s) : null;
-    } catch { return null; }
-  };
-  const setCache = (key, val) => {
-    try { localStorage.setItem(key, JSON.stringify(val)); } catch {}
+    try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : null; } catch { return null; }
   };
+  const setCache = (key, val) => { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} };
+  // an embedding page's own sources are its own to vet (embed.allowSources)
+  const approved = (r) => entry !== SHEET_CONFIG[name] || !VERDICT_SHEETS.includes(name) || isApprovedSheet(manifest, name, r.data);
 
-  // QUESTIONS: try remote first
-  try {
-    if (questionsUrl) {
-      const q = await fetchText(questionsUrl);
-      if (q.kind === "csv") {
-        const { data, idx } = parseCSV(q.data);
-        const texts = {};
-        for (const row of data) {
-          const level = row[idx("level")] || "";
-          const qId = row[idx("qId")] || "";
-          const prompt = row[idx("question_text")] || "";
-          const help = row[idx("help_text")] || "";
-          const labels = [];
-          for (const key of ["label1", "label2", "label3", "label4", "label5"]) {
-            const i = idx(key);
-            if (i >= 0 && row[i]) labels.push(row[i]);
-          }
-          if (level && qId) {
-            const lvlKey = `L${level}`;
-            texts[lvlKey] ??= {};
-            texts[lvlKey][qId] = { prompt, help, labels };
-          }
-        }
-        out.texts = texts;
-        setCache("cache_texts", texts);
-      } else {
-        out.texts = q.data;
-        setCache("cache_texts", q.data);
-      }
-    }
-  } catch (e) {
-    // Fallback: cached, then local file
-    const cached = getCache("cache_texts");
-    if (cached) {
-      out.texts = cached;
-    } else {
-      try {
-        const qLocal = await fetchText(LOCAL_QUESTIONS);
-        if (qLocal.kind === "csv") {
-          const { data, idx } = parseCSV(qLocal.data);
-          const texts = {};
-          for (const row of data) {
-            const level = row[idx("level")] || "";
-            const qId = row[idx("qId")] || "";
-            const prompt = row[idx("question_text")] || "";
-            const help = row[idx("help_text")] || "";
-            const labels = [];
-            for (const key of ["label1", "label2", "label3", "label4", "label5"]) {
-              const i = idx(key);
-              if (i >= 0 && row[i]) labels.push(row[i]);
-            }
-            if (level && qId) {
-              const lvlKey = `L${level}`;
-              texts[lvlKey] ??= {};
-              texts[lvlKey][qId] = { prompt, help, labels };
-            }
-          }
-          out.texts = texts;
-        }
-      } catch {}
-    }
+  if (!url) {
+    try { return await fetchText(localUrl); } catch { return getCache(key); }
   }
-
-  // PHRASES: try remote first
   try {
-    if (phrasesUrl) {
-      const p = await fetchText(phrasesUrl);
-      if (p.kind === "csv") {
-        const { data, idx } = parseCSV(p.data);
-        const dict = {};
-        for (const row of data) {
-          const key = row[idx("key")];
-          const val = row[idx("text")];
-          if (key) dict[key] = val || "";
-        }
-        out.phrases = dict;
-        setCache("cache_phrases", dict);
-      } else {
-        out.phrases = p.data;
-        setCache("cache_phrases", p.data);
-      }
+    const r = await pullSheet(name, entry, bust(url, stamp));
+    if (approved(r)) {
+      setCache(key, r);
+      return r;
     }
+    console.warn(`${name}: the live sheet changes verdicts that are not published yet; using the published copy`);
   } catch (e) {
-    // Fallback: cached, then local file
-    const cached = getCache("cache_phrases");
-    if (cached) {
-      out.phrases = cached;
-    } else {
-      try {
-        const pLocal = await fetchText(LOCAL_PHRASES);
-        if (pLocal.kind === "csv") {
-          const { data, idx } = parseCSV(pLocal.data);
-          const dict = {};
-          for (const row of data) {
-            const key = row[idx("key")];
-            const val = row[idx("text")];
-            if (key) dict[key] = val || "";
-          }
-          out.phrases = dict;
-        }
-      } catch {}
-    }
+    // fall through to cached, then local file
   }
+  const cached = getCache(key);
+  if (cached && approved(cached)) return cached;
+  try { return await fetchText(localUrl); } catch { return null; }
+}
 
-  return out;
+async function loadSheets(options) {
+  const [questions, phrases, levels] = await Promise.all([
+    loadSource("questions", LOCAL_QUESTIONS, "cache_questions", options),
+    loadSource("phrases", LOCAL_PHRASES, "cache_phrases", options),
+    loadSource("levels", LOCAL_LEVELS, "cache_levels", options),
+  ]);
+  return { questions, phrases, levels };
 }
 
-/* =====================
-   LOAD LOGIC
-   ===================== */
-// Prefer remote; fallback to cached/local. Cache successful pulls.
-async function loadLogic(url) {
-  if (!url && typeof window === 'undefined') return null;
+async function loadLogic(options) {
+  if (!remoteUrl((options?.config || SHEET_CONFIG).rules) && typeof window === 'undefined') return null;
+  return loadSource("rules", LOCAL_LOGIC, "cache_logic", options);
+}
 
-  const getCache = (key) => {
-    try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : null; } catch { return null; }
-  };
-  const setCache = (key, val) => { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} };
+async function loadNiyabah(options) {
+  const [questions, rules] = await Promise.all([
+    loadSource("niyabah_questions", LOCAL_NIYABAH_QUESTIONS, "cache_niyabah_questions", options),
+    loadSource("niyabah_rules", LOCAL_NIYABAH_RULES, "cache_niyabah_rules", options),
+  ]);
+  return { questions, rules };
+}
 
-  let data = [];
-  let idx = () => -1;
+// Snapshot manifest, or null when none was published
+async function loadVersions() {
   try {
-    if (url) {
-      const r = await fetchText(url);
-      if (r.kind === "csv") {
-        const parsed = parseCSV(r.data);
-        data = parsed.data; idx = parsed.idx;
-        setCache("cache_logic_csv", r.data);
-      }
-    }
-  } catch (e) {
-    // Fallback to cached CSV text, then local file
-    const cachedCsv = getCache("cache_logic_csv");
-    if (cachedCsv) {
-      const parsed = parseCSV(cachedCsv);
-      data = parsed.data; idx = parsed.idx;
-    } else {
-      try {
-        const rLocal = await fetchText(LOCAL_LOGIC);
-        if (rLocal.kind === "csv") {
-          const parsed = parseCSV(rLocal.data);
-          data = parsed.data; idx = parsed.idx;
-        }
-      } catch {}
-    }
+    const r = await fetchText(LOCAL_VERSIONS, { timeoutMs: SHEET_TIMEOUT_MS });
+    return r.kind === "json" ? r.data : null;
+  } catch {
+    return null;
   }
+}
 
-  const byLevel = {};
-  const ensure = (obj, key, def) => (obj[key] ??= def);
-  const parseSetVars = (s) => {
-    const out = {}; if (!s) return out;
-    for (const pair of s.split(";")) {
-      if (!pair.trim()) continue;
-      const [k, vRaw] = pair.split("=").map(t => t.trim());
-      if (!k) continue;
-      let v = vRaw;
-      if (vRaw === "true") v = true;
-      else if (vRaw === "false") v = false;
-      else if (vRaw !== "" && !isNaN(Number(vRaw))) v = Number(vRaw);
-      out[k] = v;
-    }
-    return out;
-  };
-  for (const row of data) {
-    const level = row[idx("level")]; if (!level) continue;
-    const qId = row[idx("qId")]; if (!qId) continue;
-    const itype = row[idx("input_type")] || "bool";
-    const field = row[idx("field")] || qId;
-    const optLabel = row[idx("option_label")] || "";
-    const optValue = row[idx("option_value")] || "";
-    const next = row[idx("next")] || "";
-    const failReason = row[idx("fail_reason")] || "";
-    const setVars = parseSetVars(row[idx("set_vars")] || "");
-    const phrase = row[idx("phrase")] || "";
-    const guardVar = row[idx("guard_if_var")] || "";
-    const guardOp = row[idx("guard_op")] || "";
-    const guardValue = row[idx("guard_value")] || "";
-    const guardNext = row[idx("guard_next")] || "";
-    const guardReason = row[idx("guard_reason")] || "";
-    const fallback = row[idx("fallback")] || "";
-    const lvl = ensure(byLevel, String(level), { entry_node: null, nodes: [], fallback_node: null });
-    let node = lvl.nodes.find(n => n.id === qId);
-    if (!node) {
-      node = { id: qId, field, input_type: (itype === "options" || itype === "options3") ? "options3" : itype, routes: [], fallback_node: null };
-      lvl.nodes.push(node);
-      if (!lvl.entry_node) lvl.entry_node = qId;
-    }
-        // build route: store both the visible label and the stable value
-    const stableValue = (node.input_type === "bool"
-      ? (String(optValue).toLowerCase() === "true")
-      : (optValue || optLabel)
-    );
+// "f272eee4 · <date> (pinned)": the snapshot's date, or when the sheets were fetched if no snapshot has them yet
+function releaseLabel(release, ui, language) {
+  if (!release) return "";
+  const date = release.createdAt || release.fetchedAt;
+  const label = date ? `${release.id} · ${new Date(date).toLocaleString(language)}` : release.id;
+  return release.pinned ? `${label} (${ui("version.pinned")})` : label;
+}
 
-    const route = {
-      // when.value uses the stable value (unchanged)
-      when: { op: "==", field, value: stableValue },
-      goto_node: next || undefined,
-      // NEW: keep metadata: what was the label and what was the option_value from CSV.
-      // This helps the UI map a visible label back to the stable code.
-      optLabel: optLabel || "",
-      optValue: (optValue || optLabel) || "",
-    };
+// The niyabah follow-up sheets are built like the level sheets and merged in under their own level key ("N")
+function buildAllTexts(sources, marja, language) {
+  const texts = buildTexts(sources.questions, marja, language);
+  return texts && { ...texts, ...buildTexts(sources.niyabahQuestions, marja, language) };
+}
 
-    if (failReason && (!next || next === "FAIL")) { route.goto_node = "FAIL"; route.reason = failReason; }
-    if (phrase) route.print = phrase;
-    if (Object.keys(setVars).length) route.set = setVars;
-    if (guardVar && guardOp) route.guard = { field: guardVar, op: guardOp, value: guardValue, next: guardNext || "", reason: guardReason || "" };
-    if (fallback && !node.fallback_node) node.fallback_node = fallback;
-    node.routes.push(route);
-  }
-  return byLevel;
+function buildAllLogic(sources, marja) {
+  const logic = buildLogic(sources.logic, marja);
+  return logic && { ...logic, ...buildLogic(sources.niyabahRules, marja) };
 }
 
 /* =====================
    NO FALLBACK: require sheets
    ===================== */
-function requireSheetsOrThrow({ texts, phrases, logic }) {
-  if (!texts) throw new Error("Questions sheet not a (QUESTIONS_URL).");
-  if (!phrases) throw new Error("Phrases sheet not loaded (PHRASES_URL).");
-  if (!logic) throw new Error("Logic sheet not loaded (LOGIC_URL).");
+// The first sheet the app cannot run without that did not load (its sheets.config.json name), or null
+function missingSheet({ texts, phrases, logic }) {
+  if (!texts) return "questions";
+  if (!phrases) return "phrases";
+  if (!logic) return "rules";
+  return null;
 }
 
-function getLevelsOrThrow(texts) {
-  if (!texts) throw new Error("Questions sheet not loaded.");
-
-  // Internal mapping of level IDs to custom titles
-  const LEVEL_TITLES = {
-    1: "Personal",
-    2: "Health",
-    3: "Financial",
-    4: "Travel",
-    5: "Time",
-    6: "Miscellaneous"
-  };
+const LEVEL_ICONS = { User, HeartPulse, Wallet, Plane, Clock, MoreHorizontal };
 
+// Levels come from the questions sheet; levels.csv adds title, icon, requirements and auto-complete
+// and sets the order. A level missing there gets a generic "Level N" title and no requirements.
+function getLevelsOrThrow(texts, lang = DEFAULT_LANGUAGE, levelMeta = []) {
   if (!texts) throw new Error("Questions sheet not loaded.");
   
-  const levelIds = Object.keys(texts)
-    .filter(k => /^L\d+$/.test(k))
-    .map(k => Number(k.slice(1)))
-    .sort((a, b) => a - b);
+  const levelIds = getLevelIds(texts);
 
   if (levelIds.length === 0) throw new Error("Questions sheet is empty.");
 
-  return levelIds.map(id => {
+  const metaOf = (id) => (levelMeta || []).find((m) => m.id === id);
+  const position = (id) => { const i = (levelMeta || []).findIndex((m) => m.id === id); return i < 0 ? Infinity : i; };
+  const ordered = [...levelIds].sort((a, b) => position(a) - position(b) || a - b);
+
+  return ordered.map(id => {
     const lvlKey = "L" + id;
-    const qIds = Object.keys(texts[lvlKey] || {}).sort((a, b) => {
-      const ai = Number(a.split("Q")[1]); 
-      const bi = Number(b.split("Q")[1]);
-      return ai - bi;
-    });
+    const qIds = getQuestionIds(texts, id);
+    const meta = metaOf(id);
 
     return {
       id,
-      title: LEVEL_TITLES[id] || `Level ${id}`,  // <-- use internal mapping
-      icon: [User, HeartPulse, Wallet, Plane, Clock, MoreHorizontal][(id - 1) % 6] || MoreHorizontal,
+      title: meta?.title || translate(lang, "level.n", { id }),
+      icon: LEVEL_ICONS[meta?.icon] || MoreHorizontal,
+      requires: meta?.requires || [],
+      autoComplete: meta?.autoComplete || null,
       questions: qIds.map(qid => texts[lvlKey][qid]?.prompt || qid),
     };
   });
@@ -491,121 +491,224 @@ function getLevelRulesOrThrow(levelId, logic) {
 }
 
 /* =====================
-   ROUTING ENGINE
+   ADVISORY NOTES
    ===================== */
-function opCompare(op, a, b) {
-  switch (op) {
-    case "==": return String(a) === String(b);
-    case "!=": return String(a) !== String(b);
-    case "<": return Number(a) < Number(b);
-    case "<=": return Number(a) <= Number(b);
-    case ">": return Number(a) > Number(b);
-    case ">=": return Number(a) >= Number(b);
-    default: return false;
-  }
-}
+// PRINT notes (khums/zakat, proxy advice, ...) shown next to a verdict, one notice per note
+const NOTE_STYLES = {
+  duty: { icon: HandCoins, colour: "warn", bg: "warnbg" },
+  proxy: { icon: Users, colour: "caution", bg: "cautionbg" },
+  info: { icon: Info, colour: "accent", bg: "surface" },
+};
 
-function evalRoutesFor(levelRules, nodeId, uiAnswer, vars) {
-  if (!levelRules) return { ok: true };
-  const list = levelRules.nodes || [];
-  const node = list.find((n) => n.id === nodeId);
-  if (!node) return { ok: true };
-
-  let answer = uiAnswer;
-  if (node.input_type === "bool") {
-    const s = String(uiAnswer).trim().toLowerCase();
-    if (s === "yes") answer = true;
-    if (s === "no") answer = false;
-    if (s === "true") answer = true;
-    if (s === "false") answer = false;
-  }
+function AdvisoryNotes({ theme, notes, t, ui, className = "" }) {
+  if (!notes?.length) return null;
+  return (
+    <ul className={"space-y-2 " + className} aria-label={ui("notes.title")}>
+      {notes.map(({ key, category }) => {
+        const { icon: Icon, colour, bg } = NOTE_STYLES[category] || NOTE_STYLES.info;
+        return (
+          <li key={key} className="flex items-start gap-3 rounded-2xl border p-4 text-sm" style={{ borderColor: theme[colour], background: theme[bg], color: theme.text }}>
+            <Icon className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: theme[colour] }} aria-hidden="true" />
+            <div>
+              <div className="text-xs font-semibold mb-0.5" style={{ color: theme[colour] }}>{ui(`notes.category.${category}`)}</div>
+              <p>{t(key)}</p>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
 
-  const outVars = { ...(vars || {}) };
-  if (node.field) outVars[node.field] = answer;
-
-  if (Array.isArray(node.routes)) {
-    for (const r of node.routes) {
-      // Check option value FIRST
-      const when = r.when || {};
-      const left = outVars[when.field];
-      const right = when.value;
-      
-      // If option value doesn't match, skip this route entirely
-      if (!opCompare(when.op, left, right)) {
-        continue;
-      }
 
-      // Option matched - now check guard if present
-      if (r.guard) {
-        const gv = outVars[r.guard.field];
-        if (opCompare(r.guard.op, gv, r.guard.value)) {
-          // Guard matched - follow guard action
-          if (r.guard.next === "FAIL") return { ok: false, vars: outVars, reason: r.guard.reason || "L", print: r.print };
-          if (r.guard.next === "END") return { ok: true, vars: outVars, complete: true, print: r.print, guardReason: r.guard.reason };
-          if (r.guard.next) return { ok: true, vars: outVars, nextNode: r.guard.next, print: r.print, guardReason: r.guard.reason };
-          return { ok: false, vars: outVars, reason: r.guard.reason || "L", print: r.print };
-        }
-        // Guard present but did NOT match -> skip this route
-        continue;
-      }
+/* =====================
+   WHY THIS RESULT?
+   ===================== */
+// The replay trace behind a verdict (see replayLevel), one list per level: for every answered question
+// the answer, the sheet row it matched, the guards checked with the values they read, the vars set and
+// where it led. The last step decided the level; onJump(levelId, qIndex) goes back to a question.
+function answerText(texts, levelId, node, value, ui) {
+  const entry = texts?.["L" + levelId]?.[node];
+  const i = entry?.values?.indexOf(value) ?? -1;
+  if (i >= 0) return entry.labels[i] || value;
+  if (value === "Yes") return ui("answer.yes");
+  if (value === "No") return ui("answer.no");
+  return String(value);
+}
 
-      // Option matched, no guard (or guard didn't match) - proceed with normal route
-      if (r.set && typeof r.set === "object") Object.assign(outVars, r.set);
+const traceValue = (v) => (v === null || v === undefined || v === "" ? "—" : String(v));
+const traceVars = (vars) => Object.entries(vars).map(([k, v]) => `${k} = ${traceValue(v)}`).join(", ");
 
-      if (r.goto_node === "END") return { ok: true, vars: outVars, complete: true, print: r.print };
-      if (r.reset_to) return { ok: true, vars: outVars, action: "resetTo", nextNode: r.reset_to, print: r.print };
-      if (r.goto_node === "FAIL") return { ok: false, vars: outVars, reason: r.reason || "L", print: r.print };
-      if (r.goto_node) return { ok: true, vars: outVars, nextNode: r.goto_node, print: r.print };
+function WhyPanel({ theme, ui, t, texts, levels, groups, onJump, className = "" }) {
+  const [open, setOpen] = useState(false);
+  if (!groups.some((g) => g.steps.length)) return null;
+  const promptOf = (levelId, node) => texts?.["L" + levelId]?.[node]?.prompt || node;
+  const sheetOf = (levelId) => (levelId === NIYABAH_FLOW ? "niyabah_rules.csv" : "rules.csv");
 
-      // matched route with no explicit next: DO NOT advance implicitly
-      return { ok: true, vars: outVars, print: r.print };
-    }
-  }
+  return (
+    <div className={"rounded-2xl border text-sm " + className} style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>
+      <button onClick={() => setOpen(!open)} aria-expanded={open} className="w-full flex items-center gap-2 px-4 py-3 font-medium text-start" style={{ color: theme.text, cursor: 'pointer' }}>
+        <ChevronDown className={"h-4 w-4 flex-shrink-0 transition-transform " + (open ? "rotate-180" : "")} aria-hidden="true" />
+        {ui("why.title")}
+      </button>
+      {open && (
+        <div className="px-4 pb-4 space-y-4">
+          {groups.map(({ levelId, steps }) => (
+            <div key={levelId}>
+              {groups.length > 1 && (
+                <div className="font-semibold mb-2" style={{ color: theme.title }}>{levels.find((l) => l.id === levelId)?.title}</div>
+              )}
+              {steps.length === 0 ? (
+                <p>{ui("why.auto")}</p>
+              ) : (
+                <ol className="space-y-2">
+                  {steps.map((step, i) => {
+                    const deciding = i === steps.length - 1;
+                    const colour = step.next === "FAIL" ? theme.danger : deciding ? theme.accent : theme.border;
+                    return (
+                      <li key={step.qIndex} className="rounded-xl border p-3 space-y-1" style={{ borderColor: colour, borderWidth: deciding ? 2 : 1 }}>
+                        {deciding && <div className="text-xs font-semibold" style={{ color: colour }}>{ui("why.deciding")}</div>}
+                        <button onClick={() => onJump(levelId, step.qIndex)} className="text-start font-medium underline-offset-2 hover:underline" style={{ color: theme.text, cursor: 'pointer' }}>
+                          {promptOf(levelId, step.node)}
+                        </button>
+                        <div>{ui("why.answer", { answer: answerText(texts, levelId, step.node, step.answer, ui) })}</div>
+                        {step.guards.map((guard, k) => (
+                          <div key={k} className="font-mono text-xs" dir="ltr">
+                            {ui("why.guard", { test: guard.test, values: traceVars(guard.values), result: ui(guard.matched ? "why.guard_met" : "why.guard_not_met") })}
+                          </div>
+                        ))}
+                        <div className="text-xs opacity-80">
+                          {step.via === "route" || step.via === "guard"
+                            ? ui(step.via === "guard" ? "why.rule_guard" : "why.rule", { sheet: sheetOf(levelId), row: step.row ?? "?", option: step.option })
+                            : ui(step.via === "fallback" ? "why.fallback" : "why.no_rule")}
+                        </div>
+                        {Object.keys(step.set).length > 0 && (
+                          <div className="font-mono text-xs" dir="ltr">{ui("why.set", { vars: traceVars(step.set) })}</div>
+                        )}
+                        <div style={{ color: step.next === "FAIL" ? theme.danger : theme.text }}>
+                          {step.next === "FAIL" ? ui("why.fail", { reason: t(step.reason) || step.reason })
+                            : step.next === "END" ? ui("why.end")
+                            : step.next ? ui("why.next", { question: promptOf(levelId, step.next) })
+                            : ui("why.no_next")}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ol>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-  // fallbacks
-  if (node.fallback_node === "FAIL") return { ok: false, vars: outVars, reason: "L" };
-  if (node.fallback_node === "END") return { ok: true, vars: outVars, complete: true };
-  if (node.fallback_node) return { ok: true, vars: outVars, nextNode: node.fallback_node };
 
-  return { ok: true, vars: outVars };
-}
+/* =====================
+   DIALOGS
+   ===================== */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
+// Modal behaviour for a dialog element (attach the returned ref): while `open`, focus starts on its first
+// control, Tab and Shift+Tab cycle inside it and Escape calls onClose; focus returns where it was after.
+function useDialog(open, onClose) {
+  const ref = useRef(null);
+  const close = useRef(onClose);
+  close.current = onClose;
 
+  useEffect(() => {
+    if (!open) return;
+    const previous = document.activeElement;
+    ref.current?.querySelector(FOCUSABLE)?.focus();
+
+    function onKeyDown(e) {
+      const dialog = ref.current;
+      if (!dialog) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close.current?.();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (!items.length) return;
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      previous?.focus?.();
+    };
+  }, [open]);
 
-function nodeIdFor(levelId, qIndex) { return "L" + levelId + "Q" + (qIndex + 1); }
-function indexFromNodeId(nodeId) { const parts = String(nodeId).split("Q"); const n = parseInt(parts[1], 10); return Number.isFinite(n) ? n - 1 : null; }
-function passesRule(levelId, qIndex, answer, options) {
-  const nodeId = nodeIdFor(levelId, qIndex);
-  const res = evalRoutesFor(options && options.levelRules, nodeId, answer, options && options.vars);
-  if (res) return res;
-  return { ok: true };
+  return ref;
 }
 
-// Global phrase resolver: only returns phrases from the sheet (no hardcoded fallbacks)
-function resolvePhrase(phrases, raw) {
-  if (!raw) return "";
-  const key = String(raw).trim();
-  const variants = [key, key.split(' ').filter(Boolean).join('_')];
-  for (const k of variants) {
-    if (phrases && phrases[k]) return phrases[k];
-  }
-  return "";
-}
 
 /* =====================
    HOME
    ===================== */
-function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases, resultPhrases, healthByLevel }) {
+// Overall banner text: the failed level's phrase, else the latest completed level's phrase (from the sheet)
+function overallTextFor({ levels, statuses, resultPhrases, overallResult, phrases }) {
+  const t = (key) => resolvePhrase(phrases, key);
+  const failedLevel = levels.find((lvl) => statuses[lvl.id] === "failed");
+  const failedPhrase = failedLevel ? t(resultPhrases?.[failedLevel.id]) : "";
+
+  const completedLevelsWithPhrase = levels
+    .filter((lvl) => statuses[lvl.id] === "completed")
+    .map((lvl) => t(resultPhrases?.[lvl.id]));
+  const latestCompletedPhrase = completedLevelsWithPhrase.reverse().find(Boolean) || "";
+
+  return overallResult === "failed"
+    ? (failedPhrase || t("you_are_not_eligible"))
+    : (overallResult === "completed"
+      ? (latestCompletedPhrase || t("you_are_eligible"))
+      : "");
+}
+
+function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases, noteCategories, resultPhrases, healthByLevel, varsByLevel, marja, onMarjaChange, language, onLanguageChange, verdictNotice, onDismissVerdictNotice, onOpenReport, shareUrl, review, onExitReview, currentYear, activeYear, onYearChange, conclusion, performedSince, onPerformedSinceChange, niyabah, onOpenNiyabah, pendingUpdate, onApplyUpdate, onDismissUpdate, release, onOpenAdmin, texts, why, onOpenQuestion, themeName, onThemeChange }) {
   const t = (key) => resolvePhrase(phrases, key);
+  const ui = (key, params) => translate(language, key, params);
 
   const [openModal, setOpenModal] = useState(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [showResetConfirm, setShowResetConfirm] = useState(false);
-  // Persist selected Marja in localStorage so the avatar can reflect it
-  const [selectedMarja, setSelectedMarja] = useState(() => {
-    if (typeof window === 'undefined') return 'sistani';
-    return localStorage.getItem('marja') || 'sistani';
-  });
+  // Marja picked in the Settings modal; applied (and persisted) by the app when the modal closes
+  const [selectedMarja, setSelectedMarja] = useState(marja || DEFAULT_MARJA);
+  useEffect(() => { setSelectedMarja(marja || DEFAULT_MARJA); }, [marja]);
+
+  function closeModal() {
+    if (openModal === "settings") onMarjaChange?.(selectedMarja);
+    setOpenModal(null);
+  }
+  const modalRef = useDialog(Boolean(openModal), closeModal);
+  const resetRef = useDialog(showResetConfirm, () => setShowResetConfirm(false));
+
+  // Share modal: the link is copied on request; the input stays selectable where the clipboard is blocked
+  const [copied, setCopied] = useState(false);
+  function openShare() {
+    setCopied(false);
+    setOpenModal("share");
+    setMobileMenuOpen(false);
+  }
+  async function copyShareUrl() {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+    } catch {}
+  }
 
   // Font and display settings
   const [fontSize, setFontSize] = useState(() => {
@@ -637,20 +740,14 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
     }
   }, []);
 
-  // choose PHRASE from the logic sheet for overall banner
-  const failedLevel = levels.find((lvl) => statuses[lvl.id] === "failed");
-  const failedPhrase = failedLevel ? t(resultPhrases?.[failedLevel.id]) : "";
-
-  const completedLevelsWithPhrase = levels
-    .filter((lvl) => statuses[lvl.id] === "completed")
-    .map((lvl) => t(resultPhrases?.[lvl.id]));
-  const latestCompletedPhrase = completedLevelsWithPhrase.reverse().find(Boolean) || "";
+  const access = levelAccess(levels, statuses, varsByLevel || {}, yearVars(activeYear, currentYear));
+  const pastYear = activeYear !== currentYear;
+  const yearName = (year) => year === currentYear ? ui("year.current", { year }) : ui("year.past", { year, gregorian: gregorianYearOf(year) });
+  const showConclusion = conclusion?.verdicts.some((v) => v.year !== currentYear);
 
-  const overallText = overallResult === "failed"
-    ? (failedPhrase || t("you_are_not_eligible"))
-    : (overallResult === "completed"
-      ? (latestCompletedPhrase || t("you_are_eligible"))
-      : "");
+  // choose PHRASE from the logic sheet for overall banner
+  const overallText = overallTextFor({ levels, statuses, resultPhrases, overallResult, phrases });
+  const notes = advisoryNotes({ levels, statuses, varsByLevel, categories: noteCategories });
 
   return (
     <div className="min-h-screen w-full flex flex-col items-center" style={{ background: theme.bg, fontSize: `${fontSize}px !important`, fontFamily: FONT_FAMILIES[fontFamily] || FONT_FAMILIES.system }}>
@@ -659,11 +756,11 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
         {/* Main header: logo, title, marja pic, reset, hamburger (consistent order for all screens) */}
         <div className="max-w-5xl mx-auto px-4 sm:px-6 py-4 flex items-center gap-3 sm:gap-4">
           {/* 1. Logo */}
-          <LogoImage theme={theme} src="/images/logos/tibyan.png" alt="Tibyan Academy" logoSize={logoSize} />
+          <LogoImage theme={theme} src={asset("images/logos/tibyan.png")} alt="Tibyan Academy" logoSize={logoSize} />
           
           {/* 2. Hajj Ability Title */}
           <div className="text-xl sm:text-2xl md:text-3xl font-bold tracking-wide" style={{ color: theme.title }}>
-            Hajj Eligibility
+            {ui("app.title")}
           </div>
           
           {/* Spacer to push remaining items to the right */}
@@ -674,20 +771,22 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
             onClick={() => setOpenModal("settings")}
             className="inline-flex items-center justify-center rounded-lg border transition hover:shadow-md focus:outline-none p-1"
             style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}
-            title="Change language or marja"
-            aria-label="Change language or marja">
-            <MarjaAvatar theme={theme} selectedMarja={selectedMarja} />
+            title={ui("header.settings_hint")}
+            aria-label={ui("header.settings_hint")}>
+            <MarjaAvatar theme={theme} selectedMarja={marja} />
           </button>
           
-          {/* 4. Reset button */}
-          <button
-            onClick={() => setShowResetConfirm(true)}
-            className="inline-flex items-center gap-1 px-2 sm:px-3 py-2 sm:py-2.5 rounded-lg border text-xs font-medium transition hover:shadow-md"
-            style={{ borderColor: theme.caution, color: theme.caution, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}
-            title={t("Reset")} aria-label={t("Reset")}>
-            <RotateCcw className="h-5 w-5 sm:h-6 sm:w-6" />
-            <span className="hidden sm:inline">{t("Reset")}</span>
-          </button>
+          {/* 4. Reset button (a shared review has nothing of the visitor's own to reset) */}
+          {!review && (
+            <button
+              onClick={() => setShowResetConfirm(true)}
+              className="inline-flex items-center gap-1 px-2 sm:px-3 py-2 sm:py-2.5 rounded-lg border text-xs font-medium transition hover:shadow-md"
+              style={{ borderColor: theme.caution, color: theme.caution, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}
+              title={t("Reset")} aria-label={t("Reset")}>
+              <RotateCcw className="h-5 w-5 sm:h-6 sm:w-6" />
+              <span className="hidden sm:inline">{t("Reset")}</span>
+            </button>
+          )}
           
           {/* 5. Hamburger menu */}
           <div className="relative">
@@ -695,13 +794,13 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
               onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
               className="px-2 sm:px-3 py-2 sm:py-2.5 inline-flex items-center justify-center rounded-lg border transition hover:shadow-md"
               style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}
-              title="Menu" aria-label="Menu">
+              title={ui("header.menu")} aria-label={ui("header.menu")} aria-expanded={mobileMenuOpen}>
               {mobileMenuOpen ? <X className="h-5 w-5 sm:h-6 sm:w-6" /> : <Menu className="h-5 w-5 sm:h-6 sm:w-6" />}
             </button>
             
             {/* Desktop: Compact dropdown positioned under menu button */}
             {mobileMenuOpen && (
-              <div className="hidden sm:block absolute right-0 top-full mt-2 z-50">
+              <div className="hidden sm:block absolute end-0 top-full mt-2 z-50">
                 <div className="rounded-lg border shadow-lg" style={{ borderColor: theme.border, background: theme.surface, minWidth: '180px' }}>
                   <div className="flex flex-col py-2">
                     <button
@@ -709,7 +808,7 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                         setOpenModal("settings");
                         setMobileMenuOpen(false);
                       }}
-                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-left"
+                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-start"
                       style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
                       <Settings className="h-5 w-5" />
                       <span className="text-sm font-medium">{t("Settings")}</span>
@@ -719,7 +818,7 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                         setOpenModal("help");
                         setMobileMenuOpen(false);
                       }}
-                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-left"
+                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-start"
                       style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
                       <CircleHelp className="h-5 w-5" />
                       <span className="text-sm font-medium">{t("Help")}</span>
@@ -729,11 +828,29 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                         setOpenModal("about");
                         setMobileMenuOpen(false);
                       }}
-                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-left"
+                      className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-start"
                       style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
                       <Info className="h-5 w-5" />
                       <span className="text-sm font-medium">{t("About")}</span>
                     </button>
+                    {shareUrl && (
+                      <button
+                        onClick={openShare}
+                        className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-start"
+                        style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
+                        <Share2 className="h-5 w-5" />
+                        <span className="text-sm font-medium">{ui("share.button")}</span>
+                      </button>
+                    )}
+                    {onOpenAdmin && (
+                      <button
+                        onClick={onOpenAdmin}
+                        className="w-full px-4 py-2.5 flex items-center gap-2 transition hover:opacity-80 text-start"
+                        style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
+                        <Wrench className="h-5 w-5" />
+                        <span className="text-sm font-medium">{ui("admin.open")}</span>
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -752,7 +869,7 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                     setOpenModal("settings");
                     setMobileMenuOpen(false);
                   }}
-                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-left"
+                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-start"
                   style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
                   <Settings className="h-5 w-5" />
                   <span className="text-sm font-medium">{t("Settings")}</span>
@@ -762,7 +879,7 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                     setOpenModal("help");
                     setMobileMenuOpen(false);
                   }}
-                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-left"
+                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-start"
                   style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
                   <CircleHelp className="h-5 w-5" />
                   <span className="text-sm font-medium">{t("Help")}</span>
@@ -772,105 +889,138 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                     setOpenModal("about");
                     setMobileMenuOpen(false);
                   }}
-                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-left"
+                  className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-start"
                   style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
                   <Info className="h-5 w-5" />
                   <span className="text-sm font-medium">{t("About")}</span>
                 </button>
+                {shareUrl && (
+                  <button
+                    onClick={openShare}
+                    className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-start"
+                    style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
+                    <Share2 className="h-5 w-5" />
+                    <span className="text-sm font-medium">{ui("share.button")}</span>
+                  </button>
+                )}
+                {onOpenAdmin && (
+                  <button
+                    onClick={onOpenAdmin}
+                    className="w-full px-3 py-2.5 flex items-center gap-2 rounded-lg border transition hover:shadow-md text-start"
+                    style={{ borderColor: theme.border, color: theme.text, background: "transparent", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
+                    <Wrench className="h-5 w-5" />
+                    <span className="text-sm font-medium">{ui("admin.open")}</span>
+                  </button>
+                )}
               </div>
             </div>
           </div>
         )}
       </div>
+      {review && (
+        <div className="w-full max-w-5xl px-6 pt-6">
+          <Card className="rounded-3xl shadow-lg border-2 p-5" style={{ background: theme.surface, borderColor: review.rulesChanged || review.invalid ? theme.danger : theme.caution }}>
+            <div className="flex items-start gap-3">
+              {review.rulesChanged || review.invalid
+                ? <TriangleAlert className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: theme.danger }} />
+                : <Eye className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: theme.caution }} />}
+              <div className="flex-1 text-sm" style={{ color: theme.text }}>
+                <div className="font-semibold">{ui(review.invalid ? "review.invalid" : "review.banner")}</div>
+                {review.rulesChanged && <div className="mt-2">{ui("review.rules_changed")}</div>}
+              </div>
+              <button
+                onClick={onExitReview}
+                className="px-3 py-1.5 rounded-lg border text-sm flex-shrink-0 transition hover:shadow-md"
+                style={{ borderColor: theme.border, color: theme.text, background: theme.surfaceSoft, cursor: 'pointer' }}>
+                {ui("review.exit")}
+              </button>
+            </div>
+          </Card>
+        </div>
+      )}
+      {!review && (
+        <div className="w-full max-w-5xl px-6 pt-6">
+          <div className="flex flex-wrap items-center gap-3 text-sm" style={{ color: theme.text }}>
+            <CalendarDays className="h-5 w-5 flex-shrink-0" style={{ color: pastYear ? theme.caution : theme.text }} />
+            <label htmlFor="evaluation-year" className="font-semibold">{ui("year.label")}</label>
+            <select
+              id="evaluation-year"
+              value={activeYear}
+              onChange={(e) => onYearChange(Number(e.target.value))}
+              className="px-3 py-1.5 rounded-lg border"
+              style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }}>
+              {[currentYear, ...pastYears(currentYear)].map((year) => (
+                <option key={year} value={year}>{yearName(year)}</option>
+              ))}
+            </select>
+          </div>
+          {pastYear && (
+            <Card className="mt-3 rounded-3xl shadow-lg border-2 p-4" style={{ background: theme.surface, borderColor: theme.caution }}>
+              <div className="flex flex-wrap items-center gap-3 text-sm" style={{ color: theme.text }}>
+                <div className="flex-1">{ui("year.past_banner", { year: activeYear, gregorian: gregorianYearOf(activeYear) })}</div>
+                <button
+                  onClick={() => onYearChange(currentYear)}
+                  className="px-3 py-1.5 rounded-lg border text-sm flex-shrink-0 transition hover:shadow-md"
+                  style={{ borderColor: theme.border, color: theme.text, background: theme.surfaceSoft, cursor: 'pointer' }}>
+                  {ui("year.back_to_current")}
+                </button>
+              </div>
+            </Card>
+          )}
+        </div>
+      )}
       <div className="grid gap-6 sm:grid-cols-2 md:grid-cols-3 p-6 max-w-5xl w-full">
         {levels.map((lvl, idx) => {
           const Icon = lvl.icon || MoreHorizontal;
           const status = statuses[lvl.id] || "idle";
           
-          // Determine lock status based on requirements:
-          // - Health (level 2) starts disabled, enabled only if Personal (level 1) passes
-          // - If Personal has NIYABAT (ORANGE/BLUE health state), Health is locked and auto-completed
-          // - Financial (level 3) needs both Personal and Health completed
-          
-          const isPersonal = lvl.id === 1;
-          const isHealth = lvl.id === 2;
-          const isFinancial = lvl.id === 3;
-          const isTravel = lvl.id === 4;
-          const isTime = lvl.id === 5;
-          const isMiscellaneous = lvl.id === 6;
-          
-          const personalStatus = statuses[1] || "idle";
-          const healthStatus = statuses[2] || "idle";
-          const financialStatus = statuses[3] || "idle";
-          const travelStatus = statuses[4] || "idle";
-          const timeStatus = statuses[5] || "idle";
-          const personalHealthState = healthByLevel[1];
-          
-          // Determine if Health is auto-completed (when Personal has NIYABAT)
-          const personalPassed = personalStatus === "completed";
-          const hasNiyabat = personalPassed && (personalHealthState === "ORANGE" || personalHealthState === "BLUE");
-          const healthAutoCompleted = hasNiyabat;
+          // Locks and auto-completion come from levels.csv (requires / auto_complete_*)
+          const { locked: isLocked, autoCompleted } = access[lvl.id] || {};
           
-          // Health lock logic
-          let isLocked = false;
-          if (isHealth) {
-            // Health disabled if Personal hasn't passed, or if it's auto-completed (NIYABAT)
-            isLocked = !personalPassed || healthAutoCompleted;
-          } else if (isFinancial) {
-            // Financial disabled unless both Personal and Health are completed
-            const bothCompleted = personalStatus === "completed" && (healthStatus === "completed" || healthAutoCompleted);
-            isLocked = !bothCompleted;
-          } else if (isMiscellaneous) {
-            // Miscellaneous disabled unless all five tests are completed
-            const allFiveCompleted = personalStatus === "completed" && (healthStatus === "completed" || healthAutoCompleted) && financialStatus === "completed" && travelStatus === "completed" && timeStatus === "completed";
-            isLocked = !allFiveCompleted;
-          }
-          
-          // For level 1 and 2, use health state color when completed
-          let bcolor;
-          if (status === "failed") {
-            bcolor = theme.danger;
-          } else if (status === "completed" || (isHealth && healthAutoCompleted)) {
-            if (isHealth && healthAutoCompleted) {
-              // Health auto-completed due to NIYABAT: always show green
-              bcolor = theme.success;
-            } else if (lvl.id === 1 || lvl.id === 2) {
-              const hs = healthByLevel[lvl.id];
-              bcolor = hs === "ORANGE" ? theme.warn : hs === "BLUE" ? theme.caution : theme.success;
-            } else {
-              bcolor = theme.success;
-            }
-          } else {
-            bcolor = theme.border;
-          }
+          // For level 1 and 2, use health state color when completed;
+          // auto-completed (e.g. Health when Personal sets NIYABAT): always show green
+          const tone = autoCompleted ? "success" : statusTone(status, lvl.id === 1 || lvl.id === 2 ? healthByLevel[lvl.id] : null);
+          const bcolor = tone ? theme[tone] : theme.border;
+          const cue = STATUS_CUES[tone];
 
           return (
             <motion.div key={lvl.id} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: idx * 0.05, duration: 0.35, ease: "easeOut" }}>
               <Card
                 onClick={() => { if (!isLocked) onPick(lvl.id); }}
-                className={`relative rounded-3xl transition ${isLocked ? "cursor-not-allowed" : "hover:shadow-2xl cursor-pointer shadow-lg"
+                onKeyDown={(e) => {
+                  if (isLocked || (e.key !== "Enter" && e.key !== " ")) return;
+                  e.preventDefault();
+                  onPick(lvl.id);
+                }}
+                role="button"
+                className={`relative rounded-3xl transition focus-visible:outline-3 focus-visible:outline-offset-2 ${isLocked ? "cursor-not-allowed" : "hover:shadow-2xl cursor-pointer shadow-lg"
                   }`}
                 aria-disabled={isLocked ? true : undefined}
                 tabIndex={isLocked ? -1 : 0}
                 style={{
                   background: theme.surface,
-                  border: "3px solid " + bcolor,
+                  border: `3px ${cue?.border || "solid"} ${bcolor}`,
 
                   boxSizing: "border-box",
-                  opacity: isLocked && !(isHealth && healthAutoCompleted) ? 0.4 : isHealth && healthAutoCompleted ? 0.7 : 1,
-                  filter: isLocked && !(isHealth && healthAutoCompleted) ? "grayscale(0.35) brightness(0.9)" : "none",
+                  opacity: isLocked && !autoCompleted ? 0.4 : autoCompleted ? 0.7 : 1,
+                  filter: isLocked && !autoCompleted ? "grayscale(0.35) brightness(0.9)" : "none",
                 }}
               >
 
-                <span className="absolute top-2 left-2 hidden sm:inline-flex items-center justify-center h-6 w-6 rounded-full text-[11px] font-semibold" style={{ background: theme.surfaceSoft, border: "1px solid " + theme.border, color: theme.text }}>
+                <span className="absolute top-2 start-2 hidden sm:inline-flex items-center justify-center h-6 w-6 rounded-full text-[11px] font-semibold" style={{ background: theme.surfaceSoft, border: "1px solid " + theme.border, color: theme.text }}>
                   {idx + 1}
                 </span>
+                {cue && <cue.icon className="absolute top-2 end-2 h-5 w-5" style={{ color: bcolor }} aria-hidden="true" />}
                 <CardHeader className="flex items-center justify-center py-6">
                   <div className="flex items-center justify-center gap-3">
                     <Icon className="h-5 w-5 flex-shrink-0" style={{ color: theme.text }} />
                     <CardTitle className="text-base font-semibold tracking-wide" style={{ color: theme.text }}>
                       {lvl.title}
                     </CardTitle>
+                    {/* the border colour shows the verdict; screen readers get it as text */}
+                    <span className="sr-only">
+                      {isLocked && !autoCompleted ? ui("a11y.level_locked") : status !== "idle" || autoCompleted ? ui(verdictLabel(autoCompleted ? "completed" : status, healthByLevel[lvl.id])) : ""}
+                    </span>
                   </div>
                 </CardHeader>
               </Card>
@@ -879,6 +1029,74 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
         })}
       </div>
 
+      {pendingUpdate && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.35 }} className="mt-6 w-full max-w-5xl px-6">
+          <Card className="rounded-3xl shadow-lg border-2 p-5" style={{ background: theme.surface, borderColor: theme.caution }}>
+            <div className="flex flex-wrap items-center gap-3">
+              <RefreshCw className="h-5 w-5 flex-shrink-0" style={{ color: theme.caution }} />
+              <div className="flex-1 text-sm" style={{ color: theme.text }}>
+                {ui(pendingUpdate === "app" ? "update.app_available" : "update.rules_available")}
+              </div>
+              <button
+                onClick={onApplyUpdate}
+                className="px-3 py-1.5 rounded-lg border text-sm flex-shrink-0 transition hover:shadow-md"
+                style={{ borderColor: theme.border, color: theme.text, background: theme.surfaceSoft, cursor: 'pointer' }}>
+                {ui("update.apply")}
+              </button>
+              <button
+                onClick={onDismissUpdate}
+                className="px-3 py-1.5 rounded-lg text-sm flex-shrink-0"
+                style={{ color: theme.text, background: "transparent", cursor: 'pointer' }}>
+                {ui("update.later")}
+              </button>
+            </div>
+          </Card>
+        </motion.div>
+      )}
+
+      {(verdictNotice?.changes?.length > 0 || verdictNotice?.stale?.length > 0) && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.35 }} className="mt-6 w-full max-w-5xl px-6">
+          <Card className="rounded-3xl shadow-lg border-2 p-5" style={{ background: theme.surface, borderColor: theme.caution }}>
+            <div className="flex items-start gap-3">
+              <Info className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: theme.caution }} />
+              <div className="flex-1 text-sm" style={{ color: theme.text }}>
+                {verdictNotice.changes.length > 0 && (
+                  <>
+                    <div className="font-semibold mb-2">
+                      {verdictNotice.marja
+                        ? ui("verdicts.reevaluated", { marja: ui(`marja.${verdictNotice.marja}`) })
+                        : verdictNotice.upstream ? ui("verdicts.upstream_changed") : ui("session.restored_changed")}
+                    </div>
+                    <ul className="space-y-1">
+                      {verdictNotice.changes.map((c) => (
+                        <li key={c.levelId}>
+                          <span className="font-semibold">{levels.find((l) => l.id === c.levelId)?.title || c.title}:</span> {ui(c.from)} → {ui(c.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {verdictNotice.stale.length > 0 && (
+                  <>
+                    <div className={`font-semibold mb-2 ${verdictNotice.changes.length > 0 ? "mt-3" : ""}`}>{ui("session.stale_answers")}</div>
+                    <ul className="space-y-1">
+                      {verdictNotice.stale.map((a) => (
+                        <li key={`${a.levelId}-${a.qIndex}`}>
+                          <span className="font-semibold">{levels.find((l) => l.id === a.levelId)?.title}:</span> {a.prompt}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+              <button onClick={onDismissVerdictNotice} className="p-1 rounded-lg" style={{ color: theme.text, cursor: 'pointer' }} aria-label={ui("common.dismiss")}>
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </Card>
+        </motion.div>
+      )}
+
       {overallResult && (
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }} className="mt-6 w-full max-w-5xl px-6">
           {(() => {
@@ -887,21 +1105,95 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
             const hs2 = healthByLevel?.[2];
             // Use ORANGE if either level has it, else BLUE if either has it, else GREEN
             const finalHealthState = (hs1 === "ORANGE" || hs2 === "ORANGE") ? "ORANGE" : (hs1 === "BLUE" || hs2 === "BLUE") ? "BLUE" : "GREEN";
-            const healthColor = finalHealthState === "ORANGE" ? theme.warn : finalHealthState === "BLUE" ? theme.caution : theme.success;
-            const bannerBorder = overallResult === "failed" ? theme.danger : (finalHealthState !== "GREEN" ? healthColor : theme.success);
+            const tone = statusTone(overallResult, finalHealthState);
+            const { icon: BannerIcon, border } = STATUS_CUES[tone];
             return (
-              <Card className="rounded-3xl shadow-lg border-2 flex items-center justify-center gap-3 py-6" style={{ background: overallResult === "failed" ? theme.surfaceSoft : theme.surface, borderColor: bannerBorder }}>
-                {overallResult === "failed" ? (
-                  <span className="text-lg text-center" style={{ color: theme.text }}>{overallText}</span>
-                ) : (
-                  <span className="text-lg text-center" style={{ color: theme.text }}>{overallText}</span>
-                )}
+              <Card role="status" className="rounded-3xl shadow-lg border-4 flex items-center justify-center gap-3 px-4 py-6" style={{ background: overallResult === "failed" ? theme.surfaceSoft : theme.surface, borderColor: theme[tone], borderStyle: border }}>
+                <BannerIcon className="h-6 w-6 flex-shrink-0" style={{ color: theme[tone] }} aria-hidden="true" />
+                <span className="text-lg text-center" style={{ color: theme.text }}>{overallText}</span>
+              </Card>
+            );
+          })()}
+          {release && (
+            <div className="mt-2 text-center text-xs" style={{ color: theme.text, opacity: 0.7 }}>
+              {ui("version.stamp", { version: releaseLabel(release, ui, language) })}
+            </div>
+          )}
+          <AdvisoryNotes theme={theme} notes={notes} t={t} ui={ui} className="mt-3" />
+          <WhyPanel theme={theme} ui={ui} t={t} texts={texts} levels={levels} groups={why || []} onJump={onOpenQuestion} className="mt-3" />
+          <div className="flex justify-center gap-3 mt-4">
+            <button
+              onClick={onOpenReport}
+              className="inline-flex items-center gap-2 px-5 py-2 rounded-xl border transition hover:shadow-md"
+              style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }}>
+              <FileText className="h-4 w-4" />
+              {ui("report.open")}
+            </button>
+            {shareUrl && (
+              <button
+                onClick={openShare}
+                className="inline-flex items-center gap-2 px-5 py-2 rounded-xl border transition hover:shadow-md"
+                style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }}>
+                <Share2 className="h-4 w-4" />
+                {ui("share.button")}
+              </button>
+            )}
+          </div>
+        </motion.div>
+      )}
+
+      {niyabah && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }} className="mt-6 w-full max-w-5xl px-6">
+          {(() => {
+            const decided = niyabah.status === "completed" || niyabah.status === "failed";
+            const started = Object.keys(niyabah.answers).length > 0;
+            const colour = niyabah.status === "failed" ? theme.danger : niyabah.status === "completed" ? theme.success : theme.caution;
+            return (
+              <Card className="rounded-3xl shadow-lg border-2 p-5" style={{ background: theme.surface, borderColor: colour }}>
+                <div className="flex flex-wrap items-start gap-3">
+                  <Users className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: colour }} />
+                  <div className="flex-1 text-sm" style={{ color: theme.text }}>
+                    <div className="font-semibold mb-1">{ui("niyabah.title")}</div>
+                    <p>{decided ? t(niyabah.result) : ui("niyabah.intro")}</p>
+                  </div>
+                  <button
+                    onClick={onOpenNiyabah}
+                    className="px-3 py-1.5 rounded-lg border text-sm flex-shrink-0 transition hover:shadow-md"
+                    style={{ borderColor: theme.border, color: theme.text, background: theme.surfaceSoft, cursor: 'pointer' }}>
+                    {ui(decided ? "niyabah.change" : started ? "niyabah.continue" : "niyabah.start")}
+                  </button>
+                </div>
+                {decided && <AdvisoryNotes theme={theme} notes={levelNotes(niyabah.vars, noteCategories)} t={t} ui={ui} className="mt-3" />}
               </Card>
             );
           })()}
         </motion.div>
       )}
 
+      {showConclusion && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }} className="mt-6 w-full max-w-5xl px-6">
+          <Card className="rounded-3xl shadow-lg border-2 p-5" style={{ background: theme.surface, borderColor: conclusion.status === "mustaqarr" || conclusion.status === "obligatory" ? theme.warn : theme.border }}>
+            <div className="text-sm" style={{ color: theme.text }}>
+              <div className="font-semibold mb-1">{ui("conclusion.title")}</div>
+              <p className="text-base mb-3">{ui(`conclusion.${conclusion.status}`, { year: conclusion.year, gregorian: conclusion.year ? gregorianYearOf(conclusion.year) : "" })}</p>
+              <ul className="space-y-1">
+                {conclusion.verdicts.map((v) => (
+                  <li key={v.year}>
+                    <span className="font-semibold">{yearName(v.year)}:</span> {ui(`conclusion.verdict.${v.verdict || "incomplete"}`)}
+                  </li>
+                ))}
+              </ul>
+              {(conclusion.status === "mustaqarr" || conclusion.status === "performed") && !review && (
+                <label className="mt-3 flex items-center gap-2 cursor-pointer">
+                  <input type="checkbox" checked={performedSince} onChange={(e) => onPerformedSinceChange(e.target.checked)} />
+                  {ui("conclusion.performed_question", { year: conclusion.year })}
+                </label>
+              )}
+            </div>
+          </Card>
+        </motion.div>
+      )}
+
       {/* Modal Overlay */}
       <AnimatePresence>
         {openModal && (
@@ -913,10 +1205,14 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
             transition={{ duration: 0.35, ease: "easeOut" }}
-            onClick={() => setOpenModal(null)}
+            onClick={closeModal}
           >
             <motion.div
               key="modal-content"
+              ref={modalRef}
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="home-modal-title"
               initial={{ opacity: 0, scale: 0.95, y: 8 }}
               animate={{ opacity: 1, scale: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.98, y: 8 }}
@@ -929,42 +1225,65 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
               {/* Settings Modal */}
               {openModal === "settings" && (
                 <>
-                  <h3 className="text-2xl font-bold mb-4" style={{ color: theme.title }}>Settings</h3>
+                  <h3 id="home-modal-title" className="text-2xl font-bold mb-4" style={{ color: theme.title }}>{ui("settings.title")}</h3>
                   <div className="space-y-4 mb-6" style={{ color: theme.text }}>
                     <div>
-                      <label className="block text-sm font-semibold mb-2">Language</label>
+                      <label htmlFor="settings-language" className="block text-sm font-semibold mb-2">{ui("settings.language")}</label>
                       <select
+                        id="settings-language"
                         className="w-full px-3 py-2 rounded-lg border focus:outline-none"
-                        style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}>
-                        <option value="en">English</option>
-                        <option value="ar">العربية</option>
-                        <option value="ur">اردو</option>
-                        <option value="fa">فارسی</option>
+                        style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}
+                        value={language}
+                        onChange={(e) => onLanguageChange?.(e.target.value)}
+                      >
+                        {Object.entries(LANGUAGES).map(([code, { name }]) => (
+                          <option key={code} value={code}>{name}</option>
+                        ))}
                       </select>
                     </div>
                     <div>
-                      <label className="block text-sm font-semibold mb-2">Marja'</label>
+                      <label htmlFor="settings-marja" className="block text-sm font-semibold mb-2">{ui("settings.marja")}</label>
                       <select
+                        id="settings-marja"
                         className="w-full px-3 py-2 rounded-lg border focus:outline-none"
                         style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}
                         value={selectedMarja}
                         onChange={(e) => setSelectedMarja(e.target.value)}
+                        disabled={Boolean(review)}
                       >
-                        <option value="sistani"> Ayatollah Sistani</option>
-                        <option value="khamenei"> Ayatollah Khamenei</option>
+                        {Object.keys(MARJAS).map((value) => (
+                          <option key={value} value={value}> {ui(`marja.${value}`)}</option>
+                        ))}
                       </select>
                     </div>
                     
                     {/* Font Settings */}
                     <div className="pt-4 border-t" style={{ borderColor: theme.border }}>
-                      <h4 className="text-lg font-semibold mb-3" style={{ color: theme.title }}>Display</h4>
+                      <h4 className="text-lg font-semibold mb-3" style={{ color: theme.title }}>{ui("settings.display")}</h4>
                       
                       <div className="space-y-4">
+                        {/* Theme */}
+                        <div>
+                          <label htmlFor="settings-theme" className="block text-sm font-semibold mb-2">{ui("settings.theme")}</label>
+                          <select
+                            id="settings-theme"
+                            className="w-full px-3 py-2 rounded-lg border focus:outline-none"
+                            style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}
+                            value={themeName}
+                            onChange={(e) => onThemeChange?.(e.target.value)}
+                          >
+                            {Object.keys(STYLES).map((key) => (
+                              <option key={key} value={key}>{ui(`theme.${key}`)}</option>
+                            ))}
+                          </select>
+                        </div>
+
                         {/* Font Size */}
                       <div>
-                          <label className="block text-sm font-semibold mb-2">Font Size</label>
+                          <label htmlFor="settings-font-size" className="block text-sm font-semibold mb-2">{ui("settings.font_size")}</label>
                           <div className="flex items-center gap-3">
                             <input
+                              id="settings-font-size"
                               type="range"
                               min="12"
                               max="24"
@@ -984,8 +1303,9 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
 
                         {/* Font Family */}
                         <div>
-                          <label className="block text-sm font-semibold mb-2">Font Style</label>
+                          <label htmlFor="settings-font-style" className="block text-sm font-semibold mb-2">{ui("settings.font_style")}</label>
                           <select
+                            id="settings-font-style"
                             className="w-full px-3 py-2 rounded-lg border focus:outline-none"
                             style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}
                             value={fontFamily}
@@ -995,11 +1315,9 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                               try { localStorage.setItem('fontFamily', newFamily); } catch {}
                             }}
                           >
-                            <option value="system">System Default</option>
-                            <option value="serif">Serif</option>
-                            <option value="mono">Monospace</option>
-                            <option value="arial">Arial</option>
-                            <option value="verdana">Verdana</option>
+                            {Object.keys(FONT_FAMILIES).map((key) => (
+                              <option key={key} value={key}>{ui(`font.${key}`)}</option>
+                            ))}
                           </select>
                         </div>
                       </div>
@@ -1011,40 +1329,40 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
               {/* Help Modal */}
               {openModal === "help" && (
                 <>
-                  <h3 className="text-2xl font-bold mb-4" style={{ color: theme.title }}>Help</h3>
+                  <h3 id="home-modal-title" className="text-2xl font-bold mb-4" style={{ color: theme.title }}>{ui("help.title")}</h3>
                   <div className="space-y-4 mb-6" style={{ color: theme.text }}>
                     <div className="p-3 rounded-lg" style={{ background: theme.surfaceSoft }}>
-                      <p className="text-sm leading-relaxed" style={{ color: "black" }}>
-                        The Hajj Ability Calculator is a tool designed to help you evaluate your eligibility for Hajjatul Islam for those who do not live in Makkah.
+                      <p className="text-sm leading-relaxed" style={{ color: theme.text }}>
+                        {ui("help.intro")}
                       </p>
                     </div>
                     
                     <div>
-                      <h4 className="font-semibold mb-2">In order to calculate your eligibility for:</h4>
+                      <h4 className="font-semibold mb-2">{ui("help.calculate_for")}</h4>
                       <div className="space-y-2 text-sm" style={{ color:  theme.accent }}>
                         <p>
-                          <span className="font-semibold">Current year:</span> Answer the questionnaires to figure out your eligibility.
+                          <span className="font-semibold">{ui("help.current_year_label")}</span> {ui("help.current_year")}
                         </p>
                         <p>
-                          <span className="font-semibold">Previous years:</span> Enter the information that applied to you at that time. If you qualified for Hajj (i.e. Hajj was obligatory) in that year but you didn't go for Hajj, then in certain cases it is still an obligation on you today, even if you have now lost the ability to go for Hajj.
+                          <span className="font-semibold">{ui("help.previous_years_label")}</span> {ui("help.previous_years")}
                         </p>
                       </div>
                     </div>
 
                     <div>
-                      <h4 className="font-semibold mb-2">Understanding the test result colors:</h4>
+                      <h4 className="font-semibold mb-2">{ui("help.colors_title")}</h4>
                       <div className="space-y-2 text-sm" style={{ color: theme.accent }}>
                         <p>
-                          <span className="font-semibold" style={{ color: theme.success }}>Green:</span> Test passed successfully.
+                          <span className="font-semibold" style={{ color: theme.success }}>{ui("help.green_label")}</span> {ui("help.green")}
                         </p>
                         <p>
-                          <span className="font-semibold" style={{ color: theme.warn }}>Orange:</span> Test passed, however you have to send a proxy.
+                          <span className="font-semibold" style={{ color: theme.warn }}>{ui("help.orange_label")}</span> {ui("help.orange")}
                         </p>
                         <p>
-                          <span className="font-semibold" style={{ color: theme.caution }}>Blue:</span> Test passed, you have a choice between performing Hajj this year or waiting for recovery and performing it later. Performing it later is preferred.
+                          <span className="font-semibold" style={{ color: theme.caution }}>{ui("help.blue_label")}</span> {ui("help.blue")}
                         </p>
                         <p>
-                          <span className="font-semibold" style={{ color: theme.danger }}>Red:</span> Test failed.
+                          <span className="font-semibold" style={{ color: theme.danger }}>{ui("help.red_label")}</span> {ui("help.red")}
                         </p>
                       </div>
                     </div>
@@ -1052,26 +1370,65 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                 </>
               )}
 
+              {/* Share Modal */}
+              {openModal === "share" && shareUrl && (
+                <>
+                  <h3 id="home-modal-title" className="text-2xl font-bold mb-4" style={{ color: theme.title }}>{ui("share.title")}</h3>
+                  <div className="space-y-4 mb-6" style={{ color: theme.text }}>
+                    <div className="p-3 rounded-lg" style={{ background: theme.surfaceSoft }}>
+                      <p className="text-sm leading-relaxed" style={{ color: theme.text }}>
+                        {ui("share.body")}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <input
+                        readOnly
+                        dir="ltr"
+                        value={shareUrl}
+                        onFocus={(e) => e.target.select()}
+                        aria-label={ui("share.title")}
+                        className="flex-1 min-w-0 px-3 py-2 rounded-lg border text-xs focus:outline-none"
+                        style={{ borderColor: theme.border, background: theme.surfaceSoft, color: theme.text }}
+                      />
+                      <button
+                        onClick={copyShareUrl}
+                        className="inline-flex items-center gap-2 px-3 py-2 rounded-lg border text-sm transition hover:shadow-md"
+                        style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }}>
+                        {copied ? <CheckCircle className="h-4 w-4" style={{ color: theme.success }} /> : <Copy className="h-4 w-4" />}
+                        {ui(copied ? "share.copied" : "share.copy")}
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+
               {/* About Modal */}
               {openModal === "about" && (
                 <>
-                  <h3 className="text-2xl font-bold mb-4" style={{ color: theme.title }}>The Hajj Ability Calculator</h3>
+                  <h3 id="home-modal-title" className="text-2xl font-bold mb-4" style={{ color: theme.title }}>{ui("about.title")}</h3>
                   <div className="space-y-4 mb-6" style={{ color: theme.text }}>
                     <div className="p-3 rounded-lg" style={{ background: theme.surfaceSoft }}>
-                      <p className="text-sm leading-relaxed" style={{ color: "black" }}>
-                        The Hajj Ability Calculator is a tool designed to help you evaluate your eligibility for Hajj.
+                      <p className="text-sm leading-relaxed" style={{ color: theme.text }}>
+                        {ui("about.intro")}
                       </p>
                     </div>
                     <div>
                       <p className="text-sm" style={{ color: theme.accent }}>
-                        <span className="font-semibold">Created by</span> Tibyan Academy
+                        <span className="font-semibold">{ui("about.created_by")}</span> Tibyan Academy
                       </p>
                     </div>
                     <div>
                       <p className="text-sm" style={{ color: theme.accent }}>
-                        <span className="font-semibold">Developed by</span> Vedocode
+                        <span className="font-semibold">{ui("about.developed_by")}</span> Vedocode
                       </p>
                     </div>
+                    {release && (
+                      <div>
+                        <p className="text-sm" style={{ color: theme.accent }}>
+                          <span className="font-semibold">{ui("about.rules_version")}</span> {releaseLabel(release, ui, language)}
+                        </p>
+                      </div>
+                    )}
                   </div>
                 </>)}
               
@@ -1079,16 +1436,10 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
               {/* Modal Footer */}
               <div className="flex pt-6 border-t" style={{ borderColor: theme.border }}>
                 <button
-                  onClick={() => {
-                    // Persist settings when leaving the Settings modal
-                    if (openModal === "settings") {
-                      try { localStorage.setItem('marja', selectedMarja); } catch {}
-                    }
-                    setOpenModal(null);
-                  }}
+                  onClick={closeModal}
                   className="w-full px-6 py-3 rounded-xl font-semibold transition hover:shadow-md active:scale-95"
-                  style={{ background: theme.accent, color: "white", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
-                  Done
+                  style={{ background: theme.accent, color: theme.onAccent, boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
+                  {ui("common.done")}
                 </button>
               </div>
             </div>
@@ -1112,6 +1463,11 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
           >
             <motion.div
               key="reset-modal-content"
+              ref={resetRef}
+              role="alertdialog"
+              aria-modal="true"
+              aria-labelledby="reset-modal-title"
+              aria-describedby="reset-modal-body"
               initial={{ opacity: 0, scale: 0.95, y: 8 }}
               animate={{ opacity: 1, scale: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.95, y: 8 }}
@@ -1120,11 +1476,11 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
               style={{ background: theme.surface, borderColor: theme.border }}
               onClick={(e) => e.stopPropagation()}
             >
-              <h3 className="text-2xl font-bold mb-4" style={{ color: theme.title }}>Confirm Reset</h3>
+              <h3 id="reset-modal-title" className="text-2xl font-bold mb-4" style={{ color: theme.title }}>{ui("reset.title")}</h3>
               <div className="space-y-4 mb-6" style={{ color: theme.text }}>
                 <div className="p-3 rounded-lg" style={{ background: theme.surfaceSoft }}>
-                  <p className="text-sm leading-relaxed" style={{ color: "black" }}>
-                    Are you sure you want to reset all your answers? This action cannot be undone.
+                  <p id="reset-modal-body" className="text-sm leading-relaxed" style={{ color: theme.text }}>
+                    {ui("reset.body")}
                   </p>
                 </div>
               </div>
@@ -1133,7 +1489,7 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                   onClick={() => setShowResetConfirm(false)}
                   className="flex-1 px-6 py-3 rounded-xl font-semibold transition hover:shadow-md active:scale-95"
                   style={{ background: theme.border, color: theme.text, boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
-                  Cancel
+                  {ui("reset.cancel")}
                 </button>
                 <button
                   onClick={() => {
@@ -1141,8 +1497,8 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
                     setShowResetConfirm(false);
                   }}
                   className="flex-1 px-6 py-3 rounded-xl font-semibold transition hover:shadow-md active:scale-95"
-                  style={{ background: theme.caution, color: "white", boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
-                  Reset All
+                  style={{ background: theme.caution, color: theme.onAccent, boxShadow: "0 1px 3px rgba(0,0,0,0.1)", cursor: 'pointer' }}>
+                  {ui("reset.confirm")}
                 </button>
               </div>
             </motion.div>
@@ -1158,155 +1514,382 @@ function Home({ theme, onPick, statuses, overallResult, levels, onReset, phrases
 
 
 /* =====================
-   LEVEL WIZARD
+   REPORT (print + PDF)
    ===================== */
-
-function getHealthStateFromNiyabat(niyabat) {
-  if (niyabat === false) return "GREEN";
-  if (niyabat === "force") return "ORANGE";
-  if (niyabat === "choice") return "BLUE";
-  return "GREEN";
+// The PDF is a rasterised copy of the report view, so Arabic/Urdu/Farsi come out exactly as the
+// browser shapes them. Both libraries load only when a PDF is requested.
+async function downloadReportPdf(node, filename) {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import("jspdf"), import("html2canvas-pro")]);
+  const canvas = await html2canvas(node, { scale: 2, backgroundColor: "#ffffff" });
+
+  const pdf = new jsPDF({ unit: "mm", format: "a4" });
+  const margin = 12;
+  const width = pdf.internal.pageSize.getWidth() - 2 * margin;
+  const pxPerMm = canvas.width / width;
+  const pageHeightPx = Math.floor((pdf.internal.pageSize.getHeight() - 2 * margin) * pxPerMm);
+
+  // one A4 page per slice of the canvas
+  for (let y = 0; y < canvas.height; y += pageHeightPx) {
+    const slice = document.createElement("canvas");
+    slice.width = canvas.width;
+    slice.height = Math.min(pageHeightPx, canvas.height - y);
+    slice.getContext("2d").drawImage(canvas, 0, -y);
+    if (y > 0) pdf.addPage();
+    pdf.addImage(slice.toDataURL("image/jpeg", 0.92), "JPEG", margin, margin, width, slice.height / pxPerMm);
+  }
+  pdf.save(filename);
 }
 
-function defaultVars() {
-  return {
-    NIYABAT: false,
-    GIFT: false,
-    END_PHRASE: null,
-  };
-}
+function ReportView({ theme, language, marja, levels, logic, texts, phrases, noteCategories, statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel, overallResult, release, year, baseVars, onBack }) {
+  const ui = (key, params) => translate(language, key, params);
+  const reportRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [pdfError, setPdfError] = useState(false);
+  const [generatedAt] = useState(() => new Date());
+
+  const entries = buildReport({ levels, logic, texts, phrases, noteCategories, statuses, savedAnswers, healthByLevel, varsByLevel, baseVars, ui, language });
+  const overallText = overallTextFor({ levels, statuses, resultPhrases, overallResult, phrases });
+  // the report itself is always drawn on light paper, whatever the screen theme
+  const paper = STYLES[theme.paper] || theme;
+  const colours = { green: paper.success, orange: paper.warn, blue: paper.caution, red: paper.danger, grey: paper.border };
+  const borderOf = (colour) => STATUS_CUES[{ green: "success", orange: "warn", blue: "caution", red: "danger" }[colour]]?.border || "solid";
+  // same priority as the Home banner: failed > proxy forced > proxy optional > passed
+  const overallColour = overallResult === "failed" ? "red"
+    : entries.some((e) => e.colour === "orange") ? "orange"
+      : entries.some((e) => e.colour === "blue") ? "blue"
+        : overallResult === "completed" ? "green" : "grey";
+  const formatDate = (d) => new Date(d).toLocaleString(language);
+
+  async function onDownload() {
+    setBusy(true);
+    setPdfError(false);
+    try {
+      await downloadReportPdf(reportRef.current, `hajj-eligibility-${generatedAt.toISOString().slice(0, 10)}.pdf`);
+    } catch (e) {
+      console.error("PDF export failed", e);
+      setPdfError(true);
+    } finally {
+      setBusy(false);
+    }
+  }
 
-function replayLevel({ levelId, lvl, levelRules, answersMap }) {
-  let vars = { ...defaultVars() };
-  const path = [];
-  let stop = null;
-  let ended = false;
-  let print = null;
-  let guardReason = null;
+  const toolbarButton = "inline-flex items-center gap-2 px-4 py-2 rounded-xl border transition hover:shadow-md";
+  const toolbarStyle = { borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' };
 
-  let qIdx = 0;
-  const maxQ = (lvl.questions?.length ?? 0);
-  const seen = new Set();
+  return (
+    <div className="report-page min-h-screen w-full" style={{ background: theme.bg }}>
+      <div className="mx-auto w-full max-w-3xl px-4 py-10 print:p-0 print:max-w-none">
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2 print:hidden">
+          <button onClick={onBack} className={toolbarButton} style={toolbarStyle}>
+            <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+            {ui("report.back")}
+          </button>
+          <div className="flex gap-2">
+            <button onClick={() => window.print()} className={toolbarButton} style={toolbarStyle}>
+              <Printer className="h-4 w-4" />
+              {ui("report.print")}
+            </button>
+            <button onClick={onDownload} disabled={busy} className={toolbarButton} style={{ ...toolbarStyle, opacity: busy ? 0.6 : 1 }}>
+              <Download className="h-4 w-4" />
+              {busy ? ui("report.preparing") : ui("report.download")}
+            </button>
+          </div>
+        </div>
+        {pdfError && (
+          <div className="mb-4 rounded-2xl border p-3 text-sm print:hidden" style={{ borderColor: theme.danger, color: theme.text, background: theme.surface }}>
+            {ui("report.pdf_failed")}
+          </div>
+        )}
 
-  while (qIdx != null && qIdx < maxQ) {
-    if (seen.has(qIdx)) break;
-    seen.add(qIdx);
+        <div ref={reportRef} className="rounded-3xl p-8 space-y-6 print:rounded-none print:p-0" style={{ background: "#ffffff", color: paper.text, border: "2px solid " + paper.border }}>
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: paper.title }}>{ui("report.title")}</h1>
+            <dl className="mt-3 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+              <dt className="font-semibold">{ui("report.marja")}</dt>
+              <dd>{ui(`marja.${marja}`)}</dd>
+              <dt className="font-semibold">{ui("report.year")}</dt>
+              <dd>{ui("year.past", { year, gregorian: gregorianYearOf(year) })}</dd>
+              <dt className="font-semibold">{ui("report.sheets")}</dt>
+              <dd>{releaseLabel(release, ui, language)}</dd>
+              <dt className="font-semibold">{ui("report.generated")}</dt>
+              <dd>{formatDate(generatedAt)}</dd>
+            </dl>
+          </div>
 
-    path.push(qIdx);
+          <div className="rounded-2xl border-4 p-4" style={{ borderColor: colours[overallColour], borderStyle: borderOf(overallColour) }}>
+            <div className="text-sm font-semibold mb-1">{ui("report.overall")}</div>
+            <div>{overallText || ui("verdict.not_completed")}</div>
+          </div>
 
-    const val = answersMap[qIdx];
-    if (val === undefined) break;      // wait for answer here
+          {entries.map((entry) => (
+            <section key={entry.id} className="break-inside-avoid border-s-4 ps-4" style={{ borderColor: colours[entry.colour], borderStyle: borderOf(entry.colour) }}>
+              <h2 className="text-lg font-semibold flex flex-wrap items-baseline gap-x-3">
+                <span>{entry.title}</span>
+                <span className="text-sm font-medium" style={{ color: colours[entry.colour] }}>{ui(entry.verdict)}</span>
+              </h2>
+              {entry.autoCompleted ? (
+                <p className="text-sm mt-1">{ui("report.auto_completed")}</p>
+              ) : entry.steps.length === 0 ? (
+                <p className="text-sm mt-1">{ui("report.no_answers")}</p>
+              ) : (
+                <ol className="mt-2 space-y-1 text-sm list-decimal ps-5">
+                  {entry.steps.map((step) => (
+                    <li key={step.nodeId}>
+                      {step.prompt} <span className="font-semibold">— {step.answer}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+              {entry.reason && (
+                <p className="mt-2 text-sm">
+                  <span className="font-semibold">{ui("report.reason")}:</span> {entry.reason}
+                </p>
+              )}
+              {entry.notes.map((note) => (
+                <p key={note.key} className="mt-2 text-sm">
+                  <span className="font-semibold">{ui(`notes.category.${note.category}`)}:</span> {note.text}
+                </p>
+              ))}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
 
-    const res = passesRule(levelId, qIdx, val, { levelRules, vars });
-    if (res?.vars) vars = res.vars;
-    if (res?.print) print = res.print;
-    if (res?.guardReason) guardReason = res.guardReason;
 
-    if (res?.complete) { ended = true; break; }           // END
-    if (res && res.ok === false) {                        // FAIL
-      stop = { qIndex: qIdx, reason: res.reason || "NOT_ELIGIBLE_CONTINUE" };
-      break;
-    }
-    if (res?.action === "resetTo" && res.nextNode) {      // jump
-      qIdx = indexFromNodeId(res.nextNode);
-      continue;
-    }
-    if (res?.nextNode) {                                  // jump
-      qIdx = indexFromNodeId(res.nextNode);
-      continue;
-    }
+/* =====================
+   SESSION PERSISTENCE
+   ===================== */
+// Bump when the stored shape changes; older sessions are discarded rather than misread. An embedded
+// calculator with its own sources keeps its session under its own keys (`storage`, see storagePrefix).
+const SESSION_KEY = "hajj_session";
+const SESSION_VERSION = 1;
+
+// Earlier Hijri years (see src/lib/years.js) are stored next to the session, level by level in the same shape
+const YEARS_KEY = "hajj_years";
+const YEARS_VERSION = 1;
+const EMPTY_LEVEL_STATE = { statuses: {}, savedAnswers: {}, resultPhrases: {}, healthByLevel: {}, varsByLevel: {} };
+
+function levelState({ statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel }) {
+  return { statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel };
+}
 
-    // ✱ No implicit linear advance. If no nextNode is provided, stop here.
-    break;
+function storedLevels({ statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel }) {
+  const levels = {};
+  for (const id of new Set([...Object.keys(statuses), ...Object.keys(savedAnswers)])) {
+    levels[id] = {
+      status: statuses[id] || null,
+      answers: savedAnswers[id] || null,
+      vars: varsByLevel[id] || null,
+      phrase: resultPhrases[id] || null,
+      healthState: healthByLevel[id] || null,
+    };
   }
+  return levels;
+}
 
-  // keep only answers still reachable
-  const prunedAnswers = {};
-  for (const i of path) if (answersMap[i] !== undefined) prunedAnswers[i] = answersMap[i];
+// `niyabah` holds the answers of the niyabah follow-up (current year only)
+function saveSession({ marja, niyabah, ...state }, storage = "") {
+  try {
+    localStorage.setItem(storage + SESSION_KEY, JSON.stringify({ version: SESSION_VERSION, savedAt: new Date().toISOString(), marja, levels: storedLevels(state), niyabah }));
+  } catch {}
+}
 
-  return { path, vars, stop, ended, answers: prunedAnswers, print, guardReason };
+function saveYears({ years, performedSince }, storage = "") {
+  const stored = {};
+  for (const [year, state] of Object.entries(years)) {
+    const levels = storedLevels(state);
+    if (Object.keys(levels).length) stored[year] = levels;
+  }
+  try {
+    localStorage.setItem(storage + YEARS_KEY, JSON.stringify({ version: YEARS_VERSION, performedSince, years: stored }));
+  } catch {}
 }
 
+function loadYears(storage = "") {
+  try {
+    const s = localStorage.getItem(storage + YEARS_KEY);
+    if (!s) return null;
+    const stored = JSON.parse(s);
+    if (stored?.version !== YEARS_VERSION || !stored.years) {
+      localStorage.removeItem(storage + YEARS_KEY);
+      return null;
+    }
+    return stored;
+  } catch { return null; }
+}
 
-function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healthState, levels }) {
-  const t = (key) => resolvePhrase(phrases, key);
+function loadSession(storage = "") {
+  try {
+    const s = localStorage.getItem(storage + SESSION_KEY);
+    if (!s) return null;
+    const session = JSON.parse(s);
+    if (session?.version !== SESSION_VERSION || !session.levels) {
+      localStorage.removeItem(storage + SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch { return null; }
+}
 
+function clearSession(storage = "") {
+  try {
+    localStorage.removeItem(storage + SESSION_KEY);
+    localStorage.removeItem(storage + YEARS_KEY);
+  } catch {}
+}
 
-  function defaultVars() {
-    return {
-      NIYABAT: false,
-      GIFT: false,
-      END_PHRASE: null,
-    };
+// Rebuild app state from a stored session (or year) by replaying its answers against the current rules
+function restoreSession(session, { levels, logic, baseVars }) {
+  const statuses = {}, savedAnswers = {}, healthByLevel = {};
+  for (const [id, entry] of Object.entries(session.levels)) {
+    if (entry?.status) statuses[id] = entry.status;
+    if (entry?.answers) savedAnswers[id] = entry.answers;
+    if (entry?.healthState) healthByLevel[id] = entry.healthState;
   }
+  return reevaluateLevels({ levels, logic, statuses, savedAnswers, resultPhrases: {}, healthByLevel, baseVars });
+}
 
-  function replayLevel({ levelId, lvl, levelRules, answersMap }) {
-    let vars = { ...defaultVars() };
-    const path = [];
-    let stop = null;
-    let ended = false;
-    let print = null;
-    let guardReason = null;
-
-    // walk from the start, applying answers if present
-    let qIdx = 0;
-    const maxQ = (lvl.questions?.length ?? 0);
-    const seen = new Set();
-
-    while (qIdx != null && qIdx < maxQ) {
-      if (seen.has(qIdx)) break; // guard loops
-      seen.add(qIdx);
-
-      path.push(qIdx);
-
-      const val = answersMap[qIdx];
-      if (val === undefined) {
-        // we reached an unanswered question; wait here
-        break;
-      }
 
-      const res = passesRule(levelId, qIdx, val, { levelRules, vars });
-      if (res?.vars) vars = res.vars;
-      if (res?.print) print = res.print;
-      if (res?.guardReason) guardReason = res.guardReason;
+/* =====================
+   DATE ANSWERS
+   ===================== */
+// Day / month / year in either calendar. The answer is always the Gregorian ISO date; the other
+// calendar is shown underneath so the user can check the conversion before confirming.
+function DateAnswer({ theme, language, value, label, readOnly, onConfirm }) {
+  const ui = (key, params) => translate(language, key, params);
+  const [calendar, setCalendar] = useState("gregorian");
+  const [parts, setParts] = useState(() => {
+    const dayNumber = isoToDay(value);
+    if (dayNumber === null) return { day: "", month: "", year: "" };
+    const g = dayToGregorian(dayNumber);
+    return { day: String(g.day), month: String(g.month), year: String(g.year) };
+  });
+  const [invalid, setInvalid] = useState(false);
 
-      if (res?.complete) { // END
-        ended = true;
-        break;
-      }
-      if (res && res.ok === false) { // FAIL
-        stop = { qIndex: qIdx, reason: res.reason || "NOT_ELIGIBLE_CONTINUE" };
-        break;
-      }
-      if (res?.action === "resetTo" && res.nextNode) {
-        qIdx = indexFromNodeId(res.nextNode);
-        continue;
-      }
-      if (res?.nextNode) {
-        qIdx = indexFromNodeId(res.nextNode);
-        continue;
-      }
+  function dayNumberOf(cal, { day, month, year }) {
+    const [d, m, y] = [day, month, year].map((p) => parseNumericAnswer(p, "number"));
+    if (cal === "hijri") return isValidHijri(y, m, d) ? hijriToDay(y, m, d) : null;
+    return isValidGregorian(y, m, d) ? gregorianToDay(y, m, d) : null;
+  }
+  const entered = dayNumberOf(calendar, parts);
+
+  // switching calendars converts what was entered so far
+  function switchCalendar(next) {
+    if (next === calendar) return;
+    setCalendar(next);
+    setInvalid(false);
+    if (entered === null) return;
+    const d = next === "hijri" ? dayToHijri(entered) : dayToGregorian(entered);
+    setParts({ day: String(d.day), month: String(d.month), year: String(d.year) });
+  }
 
-      // default: proceed linearly
-      // qIdx = qIdx + 1;
-    }
+  function confirm(e) {
+    e.preventDefault();
+    if (entered === null) { setInvalid(true); return; }
+    setInvalid(false);
+    onConfirm(dayToIso(entered));
+  }
 
-    // keep only answers that are still on the reachable path
-    const prunedAnswers = {};
-    for (const i of path) {
-      if (answersMap[i] !== undefined) prunedAnswers[i] = answersMap[i];
-    }
+  const monthName = (m) => (calendar === "hijri" ? ui(`hijri.month.${m}`) : gregorianMonthName(m, language));
+  const fieldStyle = { background: theme.surface, color: theme.text, borderColor: invalid ? theme.danger : theme.border };
+  const setPart = (key) => (e) => setParts((p) => ({ ...p, [key]: e.target.value }));
 
-    return { path, vars, stop, ended, answers: prunedAnswers, print, guardReason };
-  }
+  return (
+    <form className="flex flex-col items-center gap-2 w-full" onSubmit={confirm}>
+      <div className="inline-flex rounded-lg border overflow-hidden" style={{ borderColor: theme.border }} role="group" aria-label={label}>
+        {["gregorian", "hijri"].map((cal) => (
+          <button
+            key={cal}
+            type="button"
+            onClick={() => switchCalendar(cal)}
+            aria-pressed={calendar === cal}
+            className="px-3 py-1.5 text-sm"
+            style={{ background: calendar === cal ? theme.surfaceSoft : theme.surface, color: theme.text, fontWeight: calendar === cal ? 600 : 400, cursor: 'pointer' }}
+          >
+            {ui(`date.${cal}`)}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap justify-center gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          value={parts.day}
+          onChange={setPart("day")}
+          readOnly={readOnly}
+          placeholder={ui("date.day")}
+          aria-label={`${label} – ${ui("date.day")}`}
+          className="px-3 py-3 rounded-xl border text-center focus:outline-none"
+          style={{ ...fieldStyle, width: 72 }}
+        />
+        <select
+          value={parts.month}
+          onChange={setPart("month")}
+          disabled={readOnly}
+          aria-label={`${label} – ${ui("date.month")}`}
+          className="px-3 py-3 rounded-xl border focus:outline-none"
+          style={fieldStyle}
+        >
+          <option value="">{ui("date.month")}</option>
+          {Array.from({ length: 12 }, (_, i) => i + 1).map((m) => (
+            <option key={m} value={String(m)}>{monthName(m)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          inputMode="numeric"
+          value={parts.year}
+          onChange={setPart("year")}
+          readOnly={readOnly}
+          placeholder={ui("date.year")}
+          aria-label={`${label} – ${ui("date.year")}`}
+          className="px-3 py-3 rounded-xl border text-center focus:outline-none"
+          style={{ ...fieldStyle, width: 96 }}
+        />
+        {!readOnly && (
+          <button
+            type="submit"
+            className="px-5 py-3 rounded-xl shadow-sm transition-all focus:outline-none"
+            style={{ background: theme.surface, color: theme.text, border: "2px solid " + theme.accent, cursor: 'pointer' }}
+          >
+            {ui("input.confirm")}
+          </button>
+        )}
+      </div>
+      {entered !== null && (
+        <p className="text-sm text-center" style={{ color: theme.text }}>
+          = {calendar === "hijri" ? formatGregorian(entered, language) : formatHijri(dayToHijri(entered), ui)}
+          <span className="block text-xs opacity-70">{ui("date.tabular_note")}</span>
+        </p>
+      )}
+      {invalid && <p className="text-sm" style={{ color: theme.danger }}>{ui("date.invalid")}</p>}
+    </form>
+  );
+}
+
+
+/* =====================
+   LEVEL WIZARD
+   ===================== */
+function LevelWizard({ theme, levelId, onSave, onAnswersChange, levelRules, texts, phrases, noteCategories, language, healthState, levels, initialAnswers, initialVars, readOnly, initialFocus }) {
+  const t = (key) => resolvePhrase(phrases, key);
+  const ui = (key, params) => translate(language, key, params);
 
 
   const lvl = levels.find((l) => l.id === levelId);
 
-  const [answers, setAnswers] = useState({});
-  const [vars, setVars] = useState({});
-  const [resultPhrase, setResultPhrase] = useState(null);
-  const [guardReasonKey, setGuardReasonKey] = useState(null);
+  // Re-entering a level starts from its saved answers, replayed to rebuild path/stop/vars.
+  // initialVars carry what earlier levels set (e.g. NIYABAT from Personal for the guard on L3Q1).
+  const [initial] = useState(() => replayLevel({ levelId, lvl, levelRules, answersMap: initialAnswers || {}, initialVars }));
+
+  const [answers, setAnswers] = useState(initial.answers);
+  const [vars, setVars] = useState(initial.vars);
+  const [resultPhrase, setResultPhrase] = useState(initial.print || null);
+  const [guardReasonKey, setGuardReasonKey] = useState(initial.guardReason || null);
+  const [trace, setTrace] = useState(initial.trace);
 
   // useEffect(() => {
   //   setVars((v) => ({
@@ -1317,11 +1900,11 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
   //     ...v,
   //   }));
   // }, []);
-  const [path, setPath] = useState([0]);
-  const [stop, setStop] = useState(null);
+  const [path, setPath] = useState(initial.path.length ? initial.path : [0]);
+  const [stop, setStop] = useState(initial.stop);
   // const [info, setInfo] = useState(null);
   const [openHelpFor, setOpenHelpFor] = useState(null);
-  const [ended, setEnded] = useState(false);
+  const [ended, setEnded] = useState(initial.ended);
 
 
   function getQuestionId(qIndex) { return nodeIdFor(levelId, qIndex); }
@@ -1332,56 +1915,147 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
   function getPrompt(qIndex) { const fromSheet = getSheetEntry(qIndex)?.prompt; return fromSheet ?? (lvl.questions[qIndex] || getQuestionId(qIndex)); }
   function getHelp(qIndex) { return getSheetEntry(qIndex)?.help || ""; }
 
-  function isOptionQuestion(qIndex) {
+  function getInputType(qIndex) {
     const nodeId = getQuestionId(qIndex);
     const node = (levelRules && levelRules.nodes) ? levelRules.nodes.find((n) => n.id === nodeId) : null;
-    return !!(node && node.input_type === "options3");
+    return node?.input_type || "bool";
+  }
+  function isOptionQuestion(qIndex) { return getInputType(qIndex) === "options3"; }
+
+  // number/currency questions: the typed text is only answered (and routed) once it is confirmed
+  const [drafts, setDrafts] = useState({});
+  const [inputErrors, setInputErrors] = useState({});
+  function confirmNumber(qIndex, inputType) {
+    const raw = drafts[qIndex] ?? (answers[qIndex] !== undefined ? String(answers[qIndex]) : "");
+    const value = parseNumericAnswer(raw, inputType);
+    if (value === null) {
+      setInputErrors((e) => ({ ...e, [qIndex]: inputType === "currency" ? "input.amount_invalid" : "input.number_invalid" }));
+      return;
+    }
+    setInputErrors((e) => ({ ...e, [qIndex]: null }));
+    onAnswer(qIndex, value);
   }
-  function getLabels(qIndex) {
-    const fromSheet = getSheetEntry(qIndex)?.labels;
-    if (Array.isArray(fromSheet) && fromSheet.length > 0) return fromSheet;
-    if (isOptionQuestion(qIndex)) return ["full package", "partial package", "other"];
-    return ["Yes", "No"];
+  // Answers are stored by their English value so the rules match whatever language is shown
+  function getChoices(qIndex) {
+    const entry = getSheetEntry(qIndex);
+    const fromSheet = entry?.labels;
+    if (Array.isArray(fromSheet) && fromSheet.length > 0) {
+      return fromSheet.map((label, i) => ({ value: entry.values?.[i] ?? label, label }));
+    }
+    if (isOptionQuestion(qIndex)) return ["full package", "partial package", "other"].map((v) => ({ value: v, label: v }));
+    return [{ value: "Yes", label: ui("answer.yes") }, { value: "No", label: ui("answer.no") }];
   }
 
+  // Undo/redo and "previous question" step through this; answers a change prunes are remembered and come
+  // back when the route reaches their question again
+  const [history, setHistory] = useState(() => startHistory(initial.answers));
+  // an answer change that would clear later answers, waiting for the user to confirm it
+  const [pendingChange, setPendingChange] = useState(null);
+
   function onAnswer(qIndex, value) {
-    const nextAnswers = { ...answers, [qIndex]: value };
+    if (readOnly) return;
+    const change = changeAnswer({ levelId, lvl, levelRules, initialVars, history, qIndex, value });
+    if (change.cleared.length) {
+      setPendingChange({ qIndex, value, change });
+      return;
+    }
+    setPendingChange(null);
+    setHistory(recordAnswers(history, change.answers));
+    showReplay(change);
+  }
 
-    const { path: np, vars: nv, stop: ns, ended: ne, answers: na, print: npPrint, guardReason: ngReason } = replayLevel({
-      levelId,
-      lvl,
-      levelRules,
-      answersMap: nextAnswers,
-    });
+  function confirmChange() {
+    setHistory(recordAnswers(history, pendingChange.change.answers));
+    showReplay(pendingChange.change);
+    setPendingChange(null);
+  }
+
+  // a typed number that was not applied goes back to the answer it would have replaced
+  function cancelChange() {
+    setDrafts((d) => ({ ...d, [pendingChange.qIndex]: undefined }));
+    setPendingChange(null);
+  }
+
+  function moveTo(next) {
+    if (next === history) return;
+    setHistory(next);
+    setPendingChange(null);
+    setDrafts({});
+    setInputErrors({});
+    showReplay(replayLevel({ levelId, lvl, levelRules, answersMap: next.present, initialVars }));
+  }
 
+  function showReplay({ path: np, vars: nv, stop: ns, ended: ne, answers: na, print: npPrint, guardReason: ngReason, trace: nt }) {
     setAnswers(na);
+    onAnswersChange?.(na);
     setVars(nv);
     setPath(np);
     setStop(ns);
     setEnded(ne);
     setResultPhrase(npPrint || null);
     setGuardReasonKey(ngReason || null);
+    setTrace(nt);
+  }
+
+  // "Why this result?" and Home link to a question: bring it into view and move focus to it
+  const focusQuestion = useCallback((qIndex) => {
+    const el = document.getElementById(`question-${levelId}-${qIndex}`);
+    if (!el) return;
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    el.focus({ preventScroll: true });
+  }, [levelId]);
+  useEffect(() => {
+    if (initialFocus !== null && initialFocus !== undefined) focusQuestion(initialFocus);
+  }, [initialFocus, focusQuestion]);
+
+  // After an answer, focus moves to the first answer control of the question it leads to, so keyboard
+  // and screen-reader users carry on from there
+  const shownQuestions = useRef(path.length);
+  useEffect(() => {
+    const grew = path.length > shownQuestions.current;
+    shownQuestions.current = path.length;
+    if (!grew) return;
+    const controls = document.getElementById(`answers-${levelId}-${path[path.length - 1]}`);
+    controls?.querySelector('[tabindex="0"], input, select, button')?.focus();
+  }, [path, levelId]);
+
+  // Arrow keys move between a question's choices and a digit answers one (see src/lib/keyboard.js)
+  function onChoiceKey(e, qIndex, choices) {
+    if (readOnly || e.altKey || e.ctrlKey || e.metaKey) return;
+    const buttons = [...e.currentTarget.querySelectorAll('[role="radio"]')];
+    const action = choiceKeyAction(e.key, { count: choices.length, index: buttons.indexOf(document.activeElement), rtl: directionOf(language) === "rtl" });
+    if (!action) return;
+    e.preventDefault();
+    if ("answer" in action) onAnswer(qIndex, choices[action.answer].value);
+    else buttons[action.focus]?.focus();
   }
+  // roving tabindex: Tab reaches a group on its chosen answer (or its first choice) only
+  const tabbableChoice = (choices, val) => (choices.some((c) => c.value === val) ? val : choices[0]?.value);
 
 
-  const allAnsweredAndEligible = ended || (!stop && path.every((q) => answers[q]));
+  const allAnsweredAndEligible = ended || (!stop && path.every((q) => answers[q] !== undefined));
 
-  // Determine color based on NIYABAT (for level 1 and 2)
+  // The result box shows the health state the level is saved with (see levelHealthState)
+  const savedHealth = levelHealthState(vars, initialVars);
   const getHealthColor = () => {
-    const healthState = getHealthStateFromNiyabat(vars?.NIYABAT);
-
-    if (healthState === "GREEN") return { color: theme.success, bg: theme.successbg };
-    if (healthState === "ORANGE") return { color: theme.warn, bg: theme.warnbg };
-    if (healthState === "BLUE") return { color: theme.caution, bg: theme.cautionbg };
-    return { color: theme.success, bg: "rgba(92, 198, 92, 0.10)" };
+    const tone = statusTone("completed", savedHealth);
+    return { color: theme[tone], bg: theme[`${tone}bg`], ...STATUS_CUES[tone] };
   };
+  const health = getHealthColor();
 
   function handleSave() {
     const status = stop ? "failed" : allAnsweredAndEligible ? "completed" : "idle";
-    const derivedHealthState = getHealthStateFromNiyabat(vars?.NIYABAT);
-    onSave({ levelId, status, answers, phrase: resultPhrase, healthState: derivedHealthState });
+    onSave({ levelId, status, answers, vars, phrase: resultPhrase, healthState: savedHealth });
   }
-  function handleReset() { setAnswers({}); setPath([0]); setStop(null); setOpenHelpFor(null); setResultPhrase(null); setGuardReasonKey(null); }
+
+  // An answer as the user chose it (the button label), for the list of answers a change would clear
+  function answerLabel(qIndex, value) {
+    return getChoices(qIndex).find((c) => c.value === value)?.label ?? String(value);
+  }
+
+  const historyButton = "inline-flex items-center gap-2 px-3 py-1.5 rounded-xl border text-sm transition hover:shadow-md disabled:opacity-40";
+  const historyStyle = (enabled) => ({ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: enabled ? 'pointer' : 'default' });
+  const canStepBack = path.some((q) => answers[q] !== undefined);
 
   return (
     <div className="min-h-screen w-full" style={{ background: theme.bg }}>
@@ -1391,49 +2065,113 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
         </div>
 
         <Card className="rounded-3xl shadow-xl border-0 relative" style={{ background: theme.surface, border: "2px solid " + theme.border }}>
-          {/* <button onClick={handleReset} className="absolute right-4 top-4 p-2 rounded-lg border transition hover:scale-105" style={{ borderColor: theme.border, color: theme.text, background: theme.accent }} aria-label="Reset">
-            <RotateCcw className="h-4 w-4" />
-          </button> */}
-          {/* reset button^^ */}
-
           <CardContent className="p-8 space-y-6">
+            {!readOnly && (
+              <div className="flex flex-wrap justify-center gap-2">
+                <button onClick={() => moveTo(stepBack(history, path))} disabled={!canStepBack} className={historyButton} style={historyStyle(canStepBack)}>
+                  <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+                  {ui("wizard.back")}
+                </button>
+                <button onClick={() => moveTo(undoAnswers(history))} disabled={!history.past.length} className={historyButton} style={historyStyle(history.past.length > 0)}>
+                  <Undo2 className="h-4 w-4 rtl:-scale-x-100" />
+                  {ui("wizard.undo")}
+                </button>
+                <button onClick={() => moveTo(redoAnswers(history))} disabled={!history.future.length} className={historyButton} style={historyStyle(history.future.length > 0)}>
+                  <Redo2 className="h-4 w-4 rtl:-scale-x-100" />
+                  {ui("wizard.redo")}
+                </button>
+              </div>
+            )}
+
             {path.map((qIdx, i) => {
               const q = getPrompt(qIdx);
               const help = getHelp(qIdx);
               const val = answers[qIdx];
               const isStopHere = stop?.qIndex === qIdx;
-              const labels = getLabels(qIdx);
+              const choices = getChoices(qIdx);
+              const inputType = getInputType(qIdx);
               return (
-                <motion.div key={qIdx} initial={i === path.length - 1 ? { opacity: 0 } : false} animate={{ opacity: 1 }} transition={{ duration: 0.25, ease: "easeOut" }}>
-                  <div className="rounded-2xl border p-5" style={{ background: STYLES.option3.surfaceSoft, borderColor: theme.border }}>
+                <motion.div key={qIdx} id={`question-${levelId}-${qIdx}`} tabIndex={-1} className="focus:outline-none" initial={i === path.length - 1 ? { opacity: 0 } : false} animate={{ opacity: 1 }} transition={{ duration: 0.25, ease: "easeOut" }}>
+                  <div className="rounded-2xl border p-5" style={{ background: theme.surfaceSoft, borderColor: theme.border }}>
                     <div className="flex flex-col items-center gap-2">
                       <div className="flex items-center justify-center gap-2">
-                        <p className="text-[15px] font-medium text-center" style={{ color: theme.text }}>{q}</p>
+                        <p id={`prompt-${levelId}-${qIdx}`} className="text-[15px] font-medium text-center" style={{ color: theme.text }}>{q}</p>
                         {help && (
-                          <button onClick={() => setOpenHelpFor(openHelpFor === qIdx ? null : qIdx)} className="inline-flex items-center gap-2 px-2 py-1 rounded-lg border text-sm flex-shrink-0" style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }} aria-expanded={openHelpFor === qIdx}>
-                            <CircleHelp className="h-4 w-4" />
+                          <button onClick={() => setOpenHelpFor(openHelpFor === qIdx ? null : qIdx)} className="inline-flex items-center gap-2 px-2 py-1 rounded-lg border text-sm flex-shrink-0" style={{ borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' }} aria-expanded={openHelpFor === qIdx} aria-controls={`help-${levelId}-${qIdx}`} aria-label={ui("a11y.question_help")}>
+                            <CircleHelp className="h-4 w-4" aria-hidden="true" />
                           </button>
                         )}
                       </div>
                       {openHelpFor === qIdx && (
-                        <div className="w-full rounded-xl border p-3 text-sm" style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>{help}</div>
+                        <div id={`help-${levelId}-${qIdx}`} className="w-full rounded-xl border p-3 text-sm" style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>{help}</div>
                       )}
                     </div>
 
-                    <div className="mt-4 flex flex-col items-center gap-3">
-                      {labels.length === 3 ? (
+                    <div id={`answers-${levelId}-${qIdx}`} className="mt-4 flex flex-col items-center gap-3">
+                      {isDateInput(inputType) ? (
+                        <DateAnswer
+                          theme={theme}
+                          language={language}
+                          value={val}
+                          label={q}
+                          readOnly={readOnly}
+                          onConfirm={(iso) => onAnswer(qIdx, iso)}
+                        />
+                      ) : isNumericInput(inputType) ? (
+                        <form
+                          className="flex flex-col items-center gap-2 w-full"
+                          onSubmit={(e) => { e.preventDefault(); confirmNumber(qIdx, inputType); }}
+                        >
+                          <div className="flex justify-center gap-3">
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              dir="ltr"
+                              readOnly={readOnly}
+                              value={drafts[qIdx] ?? (val !== undefined ? String(val) : "")}
+                              onChange={(e) => setDrafts((d) => ({ ...d, [qIdx]: e.target.value }))}
+                              placeholder={ui(inputType === "currency" ? "input.amount_placeholder" : "input.number_placeholder")}
+                              aria-label={q}
+                              aria-invalid={inputErrors[qIdx] ? true : undefined}
+                              className="px-4 py-3 rounded-xl border text-center focus:outline-none"
+                              style={{
+                                background: theme.surface,
+                                color: theme.text,
+                                borderColor: inputErrors[qIdx] ? theme.danger : theme.border,
+                                width: 200,
+                              }}
+                            />
+                            {!readOnly && (
+                              <button
+                                type="submit"
+                                className="px-5 py-3 rounded-xl shadow-sm transition-all focus:outline-none"
+                                style={{ background: theme.surface, color: theme.text, border: "2px solid " + theme.accent, cursor: 'pointer' }}
+                              >
+                                {ui("input.confirm")}
+                              </button>
+                            )}
+                          </div>
+                          {inputErrors[qIdx] && (
+                            <p className="text-sm" style={{ color: theme.danger }}>{ui(inputErrors[qIdx])}</p>
+                          )}
+                        </form>
+                      ) : choices.length === 3 ? (
                         // NOTE: for 3 options we render them all in a single horizontal row.
                         // - `flex-nowrap` prevents wrapping to the next line (ensures single row).
                         // - `overflow-x-auto` allows the row to scroll horizontally on very small screens.
                         // - `items-stretch` + `flex-1` on buttons make them equal-height and accommodate multi-line labels.
                         <>
-                          <div className="flex justify-center gap-4 w-full overflow-x-auto px-2" style={{ WebkitOverflowScrolling: 'touch' }}>
-                            {labels.map((label) => {
-                              const selected = val === label;
+                          <div className="flex justify-center gap-4 w-full overflow-x-auto px-2" style={{ WebkitOverflowScrolling: 'touch' }} role="radiogroup" aria-labelledby={`prompt-${levelId}-${qIdx}`} onKeyDown={(e) => onChoiceKey(e, qIdx, choices)}>
+                            {choices.map(({ value, label }) => {
+                              const selected = val === value;
                               return (
                                 <button
-                                  key={label}
-                                  onClick={() => onAnswer(qIdx, label)}
+                                  key={value}
+                                  role="radio"
+                                  aria-checked={selected}
+                                  tabIndex={value === tabbableChoice(choices, val) ? 0 : -1}
+                                  onClick={() => onAnswer(qIdx, value)}
+                                  disabled={readOnly}
                                   // removed fixed width and height; added flex-1 and min/max widths so buttons stay balanced
                                   // allow text to wrap inside the button (whitespace-normal / break-words)
                                   className={
@@ -1445,7 +2183,7 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
                                     color: theme.text,
                                     border: selected ? "2px solid " + theme.accent : "1px solid " + theme.border,
                                     boxShadow: selected ? "0 1px 0 rgba(0,0,0,0.06)" : undefined,
-                                    cursor: 'pointer',
+                                    cursor: readOnly ? 'default' : 'pointer',
                                     // give each button a flexible width but ensure a reasonable minimum so very short labels don't collapse
                                     minWidth: 120,
                                     maxWidth: 320,
@@ -1463,13 +2201,17 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
                       ) : (
                         // NOTE: for 1-2 options we also remove fixed height/width and let text determine height.
                         // Buttons are displayed side-by-side centered; they will expand vertically to fit content.
-                        <div className="flex justify-center gap-5 flex-wrap">
-                          {labels.map((label) => {
-                            const selected = val === label;
+                        <div className="flex justify-center gap-5 flex-wrap" role="radiogroup" aria-labelledby={`prompt-${levelId}-${qIdx}`} onKeyDown={(e) => onChoiceKey(e, qIdx, choices)}>
+                          {choices.map(({ value, label }) => {
+                            const selected = val === value;
                             return (
                               <button
-                                key={label}
-                                onClick={() => onAnswer(qIdx, label)}
+                                key={value}
+                                role="radio"
+                                aria-checked={selected}
+                                tabIndex={value === tabbableChoice(choices, val) ? 0 : -1}
+                                onClick={() => onAnswer(qIdx, value)}
+                                disabled={readOnly}
                                 className={
                                   "px-6 py-3 rounded-xl shadow-sm transition-all focus:outline-none whitespace-normal break-words " +
                                   (selected ? "ring-2 ring-offset-1" : "")
@@ -1485,7 +2227,7 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
                                   // don't force fixed height — allow multi-line labels to increase height
                                   lineHeight: 1.25,
                                   textAlign: "center",
-                                  cursor: 'pointer',
+                                  cursor: readOnly ? 'default' : 'pointer',
                                 }}
                               >
                                 <span style={{ display: "block" }}>{label}</span>
@@ -1496,6 +2238,28 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
                       )}
                     </div>
 
+                    {pendingChange?.qIndex === qIdx && (
+                      <div role="alertdialog" aria-labelledby={`prune-${qIdx}`} className="mt-4 rounded-xl border p-4 text-sm space-y-3" style={{ borderColor: theme.danger, background: theme.dangerbg, color: theme.text }}>
+                        <p id={`prune-${qIdx}`} className="font-medium">
+                          {ui("wizard.prune_title", { count: pendingChange.change.cleared.length, answer: answerLabel(qIdx, pendingChange.value) })}
+                        </p>
+                        <ul className="list-disc ps-5 space-y-1">
+                          {pendingChange.change.cleared.map((q) => (
+                            <li key={q}>{getPrompt(q)}: <span className="font-medium">{answerLabel(q, answers[q])}</span></li>
+                          ))}
+                        </ul>
+                        <p>{ui("wizard.prune_restore")}</p>
+                        <div className="flex flex-wrap gap-2">
+                          <button onClick={confirmChange} className={historyButton} style={{ ...historyStyle(true), borderColor: theme.danger }}>
+                            {ui("wizard.prune_confirm")}
+                          </button>
+                          <button onClick={cancelChange} className={historyButton} style={historyStyle(true)} autoFocus>
+                            {ui("wizard.prune_cancel")}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
                     {/* {info && (
                       <div className="mt-3 flex items-start gap-2 rounded-xl border p-3 text-sm" style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>
                         <TriangleAlert className="mt-0.5 h-4 w-4" />
@@ -1509,14 +2273,15 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
 
             {allAnsweredAndEligible && (
               <div
-                className="flex items-start gap-3 rounded-2xl border p-4 text-sm"
+                className="flex items-start gap-3 rounded-2xl border-2 p-4 text-sm"
                 style={{
-                  borderColor: getHealthColor()?.color || theme.success,
-                  background: getHealthColor()?.bg || "rgba(92, 198, 92, 0.10)",
+                  borderColor: health.color,
+                  borderStyle: health.border,
+                  background: health.bg,
                   color: theme.text
                 }}
               >
-                <CheckCircle className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: getHealthColor()?.color || theme.success }} />
+                <health.icon className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: health.color }} aria-hidden="true" />
                 <p>
                   {guardReasonKey ? t(guardReasonKey) : t(vars?.END_PHRASE)}
                 </p>
@@ -1525,12 +2290,23 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
 
 
             {stop && (
-              <div className="flex items-start gap-3 rounded-2xl border p-4 text-sm" style={{ borderColor: theme.danger, background: "rgba(211, 47, 47, 0.10)", color: theme.text }}>
+              <div className="flex items-start gap-3 rounded-2xl border p-4 text-sm" style={{ borderColor: theme.danger, background: theme.dangerbg, color: theme.text }}>
                 <TriangleAlert className="mt-0.5 h-5 w-5 flex-shrink-0" style={{ color: theme.danger }} />
                 <p>{t(stop?.reason)}</p>
               </div>
             )}
 
+            {/* the result is read out as soon as an answer decides the level */}
+            <div className="sr-only" role="status" aria-live="polite">
+              {stop ? t(stop?.reason) : allAnsweredAndEligible ? (guardReasonKey ? t(guardReasonKey) : t(vars?.END_PHRASE)) : ""}
+            </div>
+
+            {(allAnsweredAndEligible || stop) && <AdvisoryNotes theme={theme} notes={levelNotes(vars, noteCategories)} t={t} ui={ui} />}
+
+            {(allAnsweredAndEligible || stop) && (
+              <WhyPanel theme={theme} ui={ui} t={t} texts={texts} levels={levels} groups={[{ levelId, steps: trace }]} onJump={(_, qIndex) => focusQuestion(qIndex)} />
+            )}
+
             <div className="flex justify-center pt-4">
               <button
                 onClick={handleSave}
@@ -1542,7 +2318,7 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
                   boxShadow: "0 1px 0 rgba(0,0,0,0.06)"
                 }}
               >
-                Done
+                {ui("common.done")}
               </button>
             </div>
 
@@ -1554,6 +2330,310 @@ function LevelWizard({ theme, levelId, onSave, levelRules, texts, phrases, healt
 }
 
 
+/* =====================
+   ADMIN (AUTHORING)
+   ===================== */
+// Dev-only screen (dev server, or a build with VITE_ADMIN=true) to edit questions.csv, rules.csv and
+// phrases.csv in the browser. Edits are checked by the validator sync-csvs uses, drive a preview wizard
+// as they are typed and are downloaded as CSV for upload. Drafts stay in this browser's localStorage;
+// nothing is sent anywhere.
+const ADMIN_ENABLED = import.meta.env.DEV || import.meta.env.VITE_ADMIN === "true";
+const ADMIN_DRAFT_KEY = "hajj_admin_draft";
+
+const mapAuthoringSheets = (fn) => Object.fromEntries(Object.keys(AUTHORING_SHEETS).map((name) => [name, fn(name)]));
+
+function downloadText(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function AdminView({ theme, language, marja, sources, onExit }) {
+  const ui = (key, params) => translate(language, key, params);
+  const csvOf = (source) => (source?.kind === "csv" ? source.data : null);
+
+  const [baseline] = useState(() => mapAuthoringSheets((name) => toGrid(csvOf(sources?.[AUTHORING_SHEETS[name]]))));
+  const [grids, setGrids] = useState(() => {
+    let draft = null;
+    try { draft = JSON.parse(localStorage.getItem(ADMIN_DRAFT_KEY) || "null"); } catch {}
+    return mapAuthoringSheets((name) => (typeof draft?.[name] === "string" ? toGrid(draft[name]) : baseline[name]));
+  });
+  // bumped on every edit, so the preview wizard replays its answers against the edited rules
+  const [edits, setEdits] = useState(0);
+  function edit(update) {
+    setGrids(update);
+    setEdits((n) => n + 1);
+  }
+
+  const [tab, setTab] = useState("rules");
+  const [filter, setFilter] = useState("");
+  const [jumpTo, setJumpTo] = useState(null);
+
+  const texts = mapAuthoringSheets((name) => fromGrid(grids[name]));
+  const changed = mapAuthoringSheets((name) => texts[name] !== fromGrid(baseline[name]));
+
+  // the draft follows the grids (texts and changed are rebuilt every render, so they are derived here again)
+  useEffect(() => {
+    const draft = mapAuthoringSheets((name) => fromGrid(grids[name]));
+    try {
+      if (Object.keys(draft).some((name) => draft[name] !== fromGrid(baseline[name]))) localStorage.setItem(ADMIN_DRAFT_KEY, JSON.stringify(draft));
+      else localStorage.removeItem(ADMIN_DRAFT_KEY);
+    } catch {}
+  }, [grids, baseline]);
+
+  useEffect(() => {
+    if (!jumpTo) return;
+    document.getElementById(`admin-${jumpTo.tab}-${jumpTo.row}`)?.scrollIntoView({ block: "center" });
+    setJumpTo(null);
+  }, [jumpTo]);
+
+  const report = validateSheets({
+    questions: texts.questions,
+    rules: texts.rules,
+    phrases: texts.phrases,
+    levels: csvOf(sources?.levels),
+    niyabah_questions: csvOf(sources?.niyabahQuestions),
+    niyabah_rules: csvOf(sources?.niyabahRules),
+  });
+  const countFor = (list, file) => list.filter((issue) => issue.sheet === file).length;
+
+  // The preview runs the edited sheets through the same builders as the app; errors would break it
+  const edited = { ...sources, questions: { kind: "csv", data: texts.questions }, logic: { kind: "csv", data: texts.rules }, phrases: { kind: "csv", data: texts.phrases } };
+  let preview = null;
+  let previewError = null;
+  if (!report.errors.length) {
+    try {
+      const previewTexts = buildAllTexts(edited, marja, language);
+      preview = {
+        texts: previewTexts,
+        logic: buildAllLogic(edited, marja),
+        phrases: buildPhrases(edited.phrases, marja, language),
+        noteCategories: buildNoteCategories(edited.phrases, marja),
+        levels: getLevelsOrThrow(previewTexts, language, buildLevelMeta(sources?.levels, marja, language)),
+      };
+    } catch (e) {
+      previewError = e?.message || String(e);
+    }
+  }
+  const [previewLevelId, setPreviewLevelId] = useState(null);
+  const [previewAnswers, setPreviewAnswers] = useState({});
+  const [previewRun, setPreviewRun] = useState(0);
+  const [previewResult, setPreviewResult] = useState(null);
+  const previewLevel = preview && (preview.levels.find((l) => l.id === previewLevelId) || preview.levels[0]);
+  const previewRules = previewLevel && preview.logic?.[String(previewLevel.id)];
+  function restartPreview() {
+    setPreviewAnswers((all) => ({ ...all, [previewLevel?.id]: {} }));
+    setPreviewResult(null);
+    setPreviewRun((n) => n + 1);
+  }
+
+  function discard() {
+    if (!window.confirm(ui("admin.discard_confirm"))) return;
+    edit(() => baseline);
+  }
+
+  const grid = grids[tab];
+  const file = `${tab}.csv`;
+  const rowIssues = issuesByRow(report, file);
+  const visibleRows = filterRows(grid, filter);
+  const issueColour = (level) => (level === "error" ? theme.danger : theme.warn);
+  const smallButton = "inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm transition hover:shadow-md";
+  const smallStyle = { borderColor: theme.border, color: theme.text, background: theme.surface, cursor: 'pointer' };
+  const issues = [...report.errors.map((i) => ({ ...i, level: "error" })), ...report.warnings.map((i) => ({ ...i, level: "warning" }))];
+
+  return (
+    <div className="min-h-screen w-full" style={{ background: theme.bg }}>
+      <div className="mx-auto w-full max-w-[100rem] px-4 py-6 space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <button onClick={onExit} className={smallButton} style={smallStyle}>
+            <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+            {ui("admin.back")}
+          </button>
+          <h2 className="text-2xl font-bold flex-1" style={{ color: theme.title }}>{ui("admin.title")}</h2>
+          <button onClick={() => downloadText(file, texts[tab])} className={smallButton} style={smallStyle}>
+            <Download className="h-4 w-4" />
+            {ui("admin.download", { file })}
+          </button>
+          {Object.values(changed).some(Boolean) && (
+            <button onClick={discard} className={smallButton} style={smallStyle}>
+              <RotateCcw className="h-4 w-4" />
+              {ui("admin.discard")}
+            </button>
+          )}
+        </div>
+        <p className="text-sm" style={{ color: theme.text }}>{ui("admin.intro")}</p>
+
+        <div className="flex flex-col xl:flex-row gap-4 items-start">
+          <div className="w-full xl:flex-1 min-w-0 space-y-3">
+            <div className="flex flex-wrap items-center gap-2" role="tablist">
+              {Object.keys(AUTHORING_SHEETS).map((name) => {
+                const errorCount = countFor(report.errors, `${name}.csv`);
+                const warningCount = countFor(report.warnings, `${name}.csv`);
+                return (
+                  <button
+                    key={name}
+                    role="tab"
+                    aria-selected={tab === name}
+                    onClick={() => setTab(name)}
+                    className="px-3 py-1.5 rounded-lg border text-sm font-medium"
+                    style={{ borderColor: tab === name ? theme.accent : theme.border, color: theme.text, background: tab === name ? theme.surface : "transparent", cursor: 'pointer' }}>
+                    {name}.csv{changed[name] ? ` · ${ui("admin.changed")}` : ""}
+                    {errorCount > 0 && <span className="ms-2" style={{ color: theme.danger }}>{errorCount}</span>}
+                    {warningCount > 0 && <span className="ms-2" style={{ color: theme.warn }}>{warningCount}</span>}
+                  </button>
+                );
+              })}
+              <input
+                type="search"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder={ui("admin.filter")}
+                aria-label={ui("admin.filter")}
+                className="ms-auto px-3 py-1.5 rounded-lg border text-sm focus:outline-none"
+                style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}
+              />
+            </div>
+
+            <div className="overflow-auto rounded-2xl border" style={{ maxHeight: "65vh", borderColor: theme.border, background: theme.surface }}>
+              <table className="text-xs border-collapse">
+                <thead className="sticky top-0 z-10" style={{ background: theme.surfaceSoft, color: theme.text }}>
+                  <tr>
+                    <th className="px-2 py-1.5">#</th>
+                    {grid.header.map((column) => (
+                      <th key={column} className="px-2 py-1.5 text-start font-semibold whitespace-nowrap">{column}</th>
+                    ))}
+                    <th className="px-2 py-1.5">
+                      <button onClick={() => edit((g) => ({ ...g, [tab]: insertRow(g[tab], -1) }))} className="p-1 rounded" style={{ color: theme.text, cursor: 'pointer' }} title={ui("admin.add_row")} aria-label={ui("admin.add_row")}>
+                        <Plus className="h-4 w-4" />
+                      </button>
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((i) => {
+                    const issue = rowIssues[i];
+                    return (
+                      <tr key={i} id={`admin-${tab}-${i}`} title={issue?.messages.join("\n")} style={{ background: issue ? (issue.level === "error" ? theme.dangerbg : theme.warnbg) : undefined }}>
+                        <td className="px-2 text-end align-top pt-1.5 font-mono" style={{ color: issue ? issueColour(issue.level) : theme.text }}>{i + 2}</td>
+                        {grid.rows[i].map((value, c) => (
+                          <td key={c} className="p-0.5 align-top">
+                            <textarea
+                              rows={1}
+                              dir="auto"
+                              value={value}
+                              onChange={(e) => edit((g) => ({ ...g, [tab]: setCell(g[tab], i, c, e.target.value) }))}
+                              aria-label={`${grid.header[c]} ${i + 2}`}
+                              className="block w-40 px-1.5 py-1 rounded border resize-y focus:outline-none"
+                              style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}
+                            />
+                          </td>
+                        ))}
+                        <td className="px-1 align-top whitespace-nowrap">
+                          <button onClick={() => edit((g) => ({ ...g, [tab]: insertRow(g[tab], i) }))} className="p-1 rounded" style={{ color: theme.text, cursor: 'pointer' }} title={ui("admin.add_row")} aria-label={ui("admin.add_row")}>
+                            <Plus className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => edit((g) => ({ ...g, [tab]: removeRow(g[tab], i) }))} className="p-1 rounded" style={{ color: theme.danger, cursor: 'pointer' }} title={ui("admin.delete_row")} aria-label={ui("admin.delete_row")}>
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <Card className="rounded-2xl border-2 p-4 text-sm" style={{ background: theme.surface, borderColor: report.errors.length ? theme.danger : issues.length ? theme.warn : theme.success, color: theme.text }}>
+              <div className="font-semibold mb-2">
+                {ui("admin.errors", { count: report.errors.length })} · {ui("admin.warnings", { count: report.warnings.length })}
+              </div>
+              {issues.length === 0 ? (
+                <p>{ui("admin.no_issues")}</p>
+              ) : (
+                <ul className="space-y-1 max-h-48 overflow-auto">
+                  {issues.map((issue, k) => {
+                    const sheet = issue.sheet.replace(/\.csv$/, "");
+                    const jumpable = sheet in AUTHORING_SHEETS && issue.row >= 2;
+                    return (
+                      <li key={k} className="flex gap-2">
+                        <TriangleAlert className="mt-0.5 h-4 w-4 flex-shrink-0" style={{ color: issueColour(issue.level) }} />
+                        {jumpable ? (
+                          <button
+                            onClick={() => { setTab(sheet); setFilter(""); setJumpTo({ tab: sheet, row: issue.row - 2 }); }}
+                            className="text-start underline-offset-2 hover:underline"
+                            style={{ color: theme.text, cursor: 'pointer' }}>
+                            {formatIssue(issue)}
+                          </button>
+                        ) : (
+                          <span>{formatIssue(issue)}</span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </Card>
+          </div>
+
+          <div className="w-full xl:w-[34rem] flex-shrink-0 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <h3 className="text-lg font-semibold flex-1" style={{ color: theme.title }}>{ui("admin.preview")}</h3>
+              {preview && (
+                <>
+                  <select
+                    value={previewLevel?.id ?? ""}
+                    onChange={(e) => { setPreviewLevelId(preview.levels.find((l) => String(l.id) === e.target.value)?.id ?? null); setPreviewResult(null); }}
+                    aria-label={ui("admin.preview_level")}
+                    className="px-3 py-1.5 rounded-lg border text-sm"
+                    style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>
+                    {preview.levels.map((l) => <option key={l.id} value={l.id}>{l.title}</option>)}
+                  </select>
+                  <button onClick={restartPreview} className={smallButton} style={smallStyle}>
+                    <RotateCcw className="h-4 w-4" />
+                    {ui("admin.preview_restart")}
+                  </button>
+                </>
+              )}
+            </div>
+            {previewResult && (
+              <div className="rounded-xl border p-3 text-sm" style={{ borderColor: theme.border, background: theme.surface, color: theme.text }}>
+                {ui("admin.preview_result", { verdict: ui(verdictLabel(previewResult.status, previewResult.healthState)) })}
+              </div>
+            )}
+            {previewRules?.nodes?.length ? (
+              <div className="rounded-3xl overflow-hidden border" style={{ borderColor: theme.border }}>
+                <LevelWizard
+                  key={`${previewLevel.id}:${previewRun}:${edits}`}
+                  theme={theme}
+                  levelId={previewLevel.id}
+                  levelRules={previewRules}
+                  texts={preview.texts}
+                  phrases={preview.phrases}
+                  noteCategories={preview.noteCategories}
+                  language={language}
+                  levels={preview.levels}
+                  initialAnswers={previewAnswers[previewLevel.id]}
+                  initialVars={incomingVars(preview.levels, previewLevel.id, {}, {})}
+                  onAnswersChange={(answers) => setPreviewAnswers((all) => ({ ...all, [previewLevel.id]: answers }))}
+                  onSave={({ status, healthState }) => setPreviewResult({ status, healthState })}
+                />
+              </div>
+            ) : (
+              <Card className="rounded-2xl border-2 p-4 text-sm" style={{ background: theme.surface, borderColor: theme.danger, color: theme.text }}>
+                {report.errors.length ? ui("admin.preview_blocked") : previewError || ui("admin.preview_blocked")}
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
 // cache-bust a URL once per boot
 function bust(url, stamp = Date.now()) {
   if (!url) return url;
@@ -1565,8 +2645,33 @@ function bust(url, stamp = Date.now()) {
 /* =====================
    APP ROOT
    ===================== */
-export default function EligibilityApp() {
-  const theme = STYLES.option3;
+// Verdict codes an embedded calculator reports to the host page: verdictLabel keys without "verdict."
+const verdictCode = (status, healthState) => verdictLabel(status, healthState).slice("verdict.".length);
+
+function verdictSummary({ levels, statuses, healthByLevel, overallResult }) {
+  const health = Object.values(healthByLevel);
+  // same priority as the Home banner: proxy forced > proxy optional > passed
+  const overallHealth = health.includes("ORANGE") ? "ORANGE" : health.includes("BLUE") ? "BLUE" : "GREEN";
+  return {
+    levels: Object.fromEntries(levels.map((lvl) => [lvl.id, verdictCode(statuses[lvl.id], healthByLevel[lvl.id])])),
+    result: verdictCode(overallResult, overallHealth),
+  };
+}
+
+// `embed` is set when the app runs framed in a partner's page (src/embed.jsx): { marja?, language?, theme?,
+// sources?, onVerdictChange } — see src/lib/embed.js
+export default function EligibilityApp({ embed = null }) {
+  const [themeName, setThemeName] = useState(() => initialThemeName(embed?.theme));
+  const theme = STYLES[themeName];
+  function onThemeChange(next) {
+    if (!STYLES[next]) return;
+    setThemeName(next);
+    try { localStorage.setItem("theme", next); } catch {}
+  }
+  // native controls (scrollbars, date pickers, selects) follow the palette
+  useEffect(() => {
+    document.documentElement.style.colorScheme = theme.scheme;
+  }, [theme.scheme]);
 
   // ✱ NEW: 1s gate before rendering any UI
   const [ready, setReady] = useState(false);
@@ -1577,82 +2682,313 @@ export default function EligibilityApp() {
 
   const [screen, setScreen] = useState("home");
   const [levelId, setLevelId] = useState(null);
+  // question the wizard opens at, when reached from "Why this result?" on Home
+  const [focusQuestion, setFocusQuestion] = useState(null);
 
 
   const [statuses, setStatuses] = useState({});
   const [savedAnswers, setSavedAnswers] = useState({});
   const [resultPhrases, setResultPhrases] = useState({});
   const [healthByLevel, setHealthByLevel] = useState({});
+  const [varsByLevel, setVarsByLevel] = useState({});
+  const [sessionRestored, setSessionRestored] = useState(false);
+  const [niyabahAnswers, setNiyabahAnswers] = useState({});
+
+  // Offline support (production builds only). Sheets revalidated in the background and new builds are
+  // never applied mid-session: Home offers them and the user decides when to reload.
+  const [pendingUpdate, setPendingUpdate] = useState(null); // "rules" | "app"
+  // (not in a partner's page, which cannot offer the reload)
+  const embedded = Boolean(embed);
+  useEffect(() => {
+    if (!import.meta.env.PROD || embedded) return;
+    return registerServiceWorker({
+      url: asset("sw.js"),
+      onRulesUpdated: () => setPendingUpdate((pending) => pending || "rules"),
+      onAppUpdated: () => setPendingUpdate("app"),
+    });
+  }, [embedded]);
+  function applyUpdate() {
+    // answers are kept in the session and re-checked against the new rules after the reload
+    if (pendingUpdate === "app") applyAppUpdate();
+    else window.location.reload();
+  }
+
+  // Year mode: the level state above belongs to activeYear; every other evaluated Hijri year waits
+  // in otherYears. Earlier years replay with that year's TODAY / HAJJ_YEAR (baseVars).
+  const [currentYear] = useState(() => currentHajjYear());
+  const [activeYear, setActiveYear] = useState(currentYear);
+  const [otherYears, setOtherYears] = useState({});
+  const [performedSince, setPerformedSince] = useState(false);
+  const baseVars = yearVars(activeYear, currentYear);
+
+  function showLevelState(state) {
+    setStatuses(state.statuses);
+    setSavedAnswers(state.savedAnswers);
+    setResultPhrases(state.resultPhrases);
+    setHealthByLevel(state.healthByLevel);
+    setVarsByLevel(state.varsByLevel);
+  }
+
+  // A #share= link opens someone else's answers read-only: their marja and language apply, and the
+  // visitor's own session is neither restored nor overwritten. null when the URL is not a share link.
+  const [shareLink] = useState(() => {
+    if (typeof window === 'undefined') return null;
+    const param = shareParam(window.location.hash);
+    return param === null ? null : { param, shared: decodeShare(param) };
+  });
+  const shared = shareLink?.shared || null;
+  // { rulesChanged?, invalid? } while reviewing a share link
+  const [review, setReview] = useState(() => (shareLink && !shareLink.shared ? { invalid: true } : null));
+
+  const [sources, setSources] = useState(null);
+  const [versions, setVersions] = useState(null);
+  // localStorage key prefix of the sheet caches and the session ("" unless embedded with its own sources)
+  const storage = storagePrefix(embed?.sources);
+  const [marja, setMarja] = useState(() => {
+    if (shared) return shared.marja;
+    if (typeof window === 'undefined') return DEFAULT_MARJA;
+    return localStorage.getItem('marja') || (MARJAS[embed?.marja] ? embed.marja : DEFAULT_MARJA);
+  });
+  // { marja?, changes, stale } shown on Home after answers were re-evaluated
+  const [verdictNotice, setVerdictNotice] = useState(null);
+  const [language, setLanguage] = useState(() => {
+    if (LANGUAGES[shared?.language]) return shared.language;
+    if (typeof window === 'undefined') return DEFAULT_LANGUAGE;
+    const saved = localStorage.getItem('language');
+    return LANGUAGES[saved] ? saved : LANGUAGES[embed?.language] ? embed.language : DEFAULT_LANGUAGE;
+  });
+  const ui = (key, params) => translate(language, key, params);
+
+  // Arabic, Urdu and Farsi flip the whole document to right-to-left
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = directionOf(language);
+  }, [language]);
 
   const [texts, setTexts] = useState(null);
   const [logic, setLogic] = useState(null);
   const [phrases, setPhrases] = useState(null);
   const [levels, setLevels] = useState(null);
   const [loadError, setLoadError] = useState("");
+  // why the sheets could not be loaded at all; worded at render time, in the language then on screen
+  const [loadFailure, setLoadFailure] = useState(null);
 
+  // Reloaded only when an embedding page hands over other sources
+  const embedSources = embed?.sources;
   useEffect(() => {
-    // Load logic + sheets together, but fail fast after 5 seconds if not loaded.
+    // Load logic + sheets together; every source falls back to its cached or bundled copy on its own
     let mounted = true;
-    const TIMEOUT_MS = 5000;
 
     (async () => {
       try {
         // Force a fresh pull on first mount; rest of caching/fallback stays the same
-        const STAMP = Date.now();
-        const loadAll = Promise.all([
-          loadLogic(bust(LOGIC_URL, STAMP)),
-          loadSheets(bust(QUESTIONS_URL, STAMP), bust(PHRASES_URL, STAMP)),
+        // rules pinned to a snapshot (after a rollback) come from the bundled files, not the live sheets
+        // an embedding page's own sources are used as given, pinned or not
+        // and the manifest keeps live rules sheets out until a sync published them
+        const manifest = await loadVersions();
+        const config = embedSources ? { ...SHEET_CONFIG, ...sheetOverrides(embedSources) } : SHEET_CONFIG;
+        const options = { stamp: Date.now(), pinned: Boolean(manifest?.pinned) && !embedSources, manifest, config, storage };
+        const [logicSource, sheets, niyabah] = await Promise.all([
+          loadLogic(options),
+          loadSheets(options),
+          loadNiyabah(options),
         ]);
 
-
-        const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout loading sheets after 5 seconds')), TIMEOUT_MS));
-
-        const [rulesByLevel, sheets] = await Promise.race([loadAll, timeout]);
-
         if (!mounted) return;
 
-        if (rulesByLevel) setLogic(rulesByLevel);
-        if (sheets) {
-          if (sheets.texts) setTexts(sheets.texts);
-          if (sheets.phrases) setPhrases(sheets.phrases);
-        }
+        setVersions(manifest);
+        setLoadFailure(null);
+
+        setSources({
+          logic: logicSource, questions: sheets?.questions, phrases: sheets?.phrases, levels: sheets?.levels,
+          niyabahQuestions: niyabah?.questions, niyabahRules: niyabah?.rules,
+        });
       } catch (e) {
         if (!mounted) return;
-        // Provide a clear error message indicating timeout or fetch failure
-        const msg = e?.message?.includes('Timeout') ? 'Sheets failed to load within 5 seconds.' : ('Failed to load sheets: ' + (e?.message || String(e)));
-        setLoadError(msg);
+        setLoadFailure(e?.message || String(e));
       }
     })();
 
     return () => { mounted = false; };
-  }, []);
+  }, [embedSources, storage]);
+
+  // Dev builds run the same sheet validation as sync-csvs and surface it in the Configuration error card
+  const [sheetReport, setSheetReport] = useState(null);
+  useEffect(() => {
+    if (!import.meta.env.DEV || !sources) return;
+    const { questions, phrases: phraseSource, logic: rules, levels: levelSource, niyabahQuestions, niyabahRules } = sources;
+    if (![questions, phraseSource, rules].every((s) => s?.kind === "csv")) return;
+    const report = validateSheets({
+      questions: questions.data,
+      phrases: phraseSource.data,
+      rules: rules.data,
+      levels: levelSource?.kind === "csv" ? levelSource.data : null,
+      niyabah_questions: niyabahQuestions?.kind === "csv" ? niyabahQuestions.data : null,
+      niyabah_rules: niyabahRules?.kind === "csv" ? niyabahRules.data : null,
+    });
+    for (const w of report.warnings) console.warn("Sheet warning: " + formatIssue(w));
+    setSheetReport(report);
+  }, [sources]);
+
+  // Build the active marja's ruleset from the raw sheets. onMarjaChange builds the next marja's sheets
+  // itself (it re-evaluates the answers against them), so after a switch these rebuild the same data.
+  useEffect(() => {
+    if (!sources) return;
+    const built = buildAllLogic(sources, marja);
+    if (built) setLogic(built);
+  }, [sources, marja]);
+
+  // Questions and phrases are rebuilt whenever the language changes; rules are language-independent
+  useEffect(() => {
+    if (!sources) return;
+    setTexts(buildAllTexts(sources, marja, language));
+    setPhrases(buildPhrases(sources.phrases, marja, language));
+  }, [sources, marja, language]);
 
   useEffect(() => {
     if (!texts) return;
-    try { setLevels(getLevelsOrThrow(texts)); } catch (e) { setLoadError(e?.message || String(e)); }
-  }, [texts]);
+    try { setLevels(getLevelsOrThrow(texts, language, buildLevelMeta(sources?.levels, marja, language))); } catch (e) { setLoadError(e?.message || String(e)); }
+  }, [texts, language, sources, marja]);
+
+  // Rehydrate the stored session (or the shared answers) once the active ruleset is ready
+  useEffect(() => {
+    if (sessionRestored || !logic || !levels) return;
+    if (shareLink) {
+      if (shared) {
+        const re = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers: shared.answers, resultPhrases: {}, healthByLevel: {} });
+        showLevelState(re);
+        if (re.stale.length) setVerdictNotice({ changes: [], stale: re.stale });
+        setReview({ rulesChanged: shared.rules !== rulesVersion(sources) });
+      }
+      setSessionRestored(true);
+      return;
+    }
+    const session = loadSession(storage);
+    if (session) {
+      const re = restoreSession(session, { levels, logic });
+      showLevelState(re);
+      if (session.niyabah) setNiyabahAnswers(session.niyabah);
+      if (re.changes.length || re.stale.length) setVerdictNotice({ changes: re.changes, stale: re.stale });
+    }
+    const stored = loadYears(storage);
+    if (stored) {
+      const years = {};
+      for (const [year, entry] of Object.entries(stored.years)) {
+        if (Number(year) === currentYear) continue;
+        years[year] = levelState(restoreSession({ levels: entry }, { levels, logic, baseVars: yearVars(Number(year), currentYear) }));
+      }
+      setOtherYears(years);
+      setPerformedSince(Boolean(stored.performedSince));
+    }
+    setSessionRestored(true);
+  }, [logic, levels, sessionRestored, shareLink, shared, sources, storage, currentYear]);
 
-  const sheetsReady = Boolean(texts && phrases && logic && levels && !loadError);
-  let errorIfAny = loadError;
-  if (!errorIfAny && (!texts || !phrases || !logic)) {
-    try { requireSheetsOrThrow({ texts, phrases, logic }); } catch (e) { errorIfAny = e?.message || String(e); }
+  // Persist every change after the stored session has been read back (never overwrite it before).
+  // The session always holds the current year, whichever year is on screen.
+  useEffect(() => {
+    if (!sessionRestored || shareLink) return;
+    const years = { ...otherYears, [activeYear]: { statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel } };
+    const { [currentYear]: current = EMPTY_LEVEL_STATE, ...earlier } = years;
+    saveSession({ marja, niyabah: niyabahAnswers, ...current }, storage);
+    saveYears({ years: earlier, performedSince }, storage);
+  }, [sessionRestored, shareLink, storage, marja, statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel, otherYears, activeYear, currentYear, performedSince, niyabahAnswers]);
+
+  function onYearChange(next) {
+    if (next === activeYear || review) return;
+    const years = { ...otherYears, [activeYear]: { statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel } };
+    const { [next]: target = EMPTY_LEVEL_STATE, ...rest } = years;
+    setOtherYears(rest);
+    showLevelState(target);
+    setActiveYear(next);
+    setVerdictNotice(null);
+  }
+
+  // Pasting a share link into an open tab only changes the hash; reload so it opens in review
+  useEffect(() => {
+    const onHashChange = () => {
+      if (shareParam(window.location.hash) !== (shareLink?.param ?? null)) window.location.reload();
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [shareLink]);
+
+  function exitReview() {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    window.location.reload();
+  }
+
+  const noteCategories = buildNoteCategories(sources?.phrases, marja);
+  // Rules version shown in About and stamped on results (see src/lib/versions.js)
+  const release = sources ? rulesRelease(versions, sources) : null;
+
+  // Link to the current answers; none while reviewing (the open URL already is that link) or
+  // while an earlier year is on screen
+  const shareUrl = !shareLink && activeYear === currentYear && sources && Object.keys(savedAnswers).length > 0
+    ? `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeShare({ marja, language, rules: rulesVersion(sources), answers: savedAnswers })}`
+    : null;
+
+  function onLanguageChange(next) {
+    if (!LANGUAGES[next]) return;
+    try { localStorage.setItem('language', next); } catch {}
+    setLanguage(next);
+  }
+
+  const sheetsReady = Boolean(texts && phrases && logic && levels && !loadError && !loadFailure);
+  let errorIfAny = loadError || (loadFailure ? ui("config.load_failed", { error: loadFailure }) : "");
+  const missing = missingSheet({ texts, phrases, logic });
+  if (!errorIfAny && missing) errorIfAny = ui("config.sheet_missing", { sheet: missing });
+  if (!errorIfAny && sheetReport?.errors.length) errorIfAny = ui("config.sheet_errors", { count: sheetReport.errors.length });
+
+  function onMarjaChange(next) {
+    if (!next || next === marja || review) return;
+    try { localStorage.setItem('marja', next); } catch {}
+    setMarja(next);
+    if (!sources) return;
+
+    const nextTexts = buildAllTexts(sources, next, language);
+    const nextLogic = buildAllLogic(sources, next);
+    const nextPhrases = buildPhrases(sources.phrases, next, language);
+    let nextLevels;
+    try { nextLevels = getLevelsOrThrow(nextTexts, language, buildLevelMeta(sources.levels, next, language)); } catch (e) { setLoadError(e?.message || String(e)); return; }
+
+    const re = reevaluateLevels({ levels: nextLevels, logic: nextLogic, statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel, baseVars });
+    const years = {};
+    for (const [year, state] of Object.entries(otherYears)) {
+      years[year] = levelState(reevaluateLevels({ levels: nextLevels, logic: nextLogic, ...state, baseVars: yearVars(Number(year), currentYear) }));
+    }
+    setTexts(nextTexts);
+    setLogic(nextLogic);
+    setPhrases(nextPhrases);
+    showLevelState(re);
+    setOtherYears(years);
+    setVerdictNotice({ marja: next, changes: re.changes, stale: re.stale });
   }
 
-  const completedLevels = Array.isArray(levels) ? levels.length : 0;
   const derivedHealthState = healthByLevel[2] || "GREEN";
 
-  const overallResult = Object.values(statuses).some((s) => s === "failed")
-    ? "failed"
-    : (Array.isArray(levels) &&
-      Object.values(statuses).every((s) => s === "completed") &&
-      Object.keys(statuses).length === completedLevels)
-      ? "completed"
-      : null;
+  const overallResult = overallStatus(levels, statuses);
+  const statusesByYear = Object.fromEntries(Object.entries({ ...otherYears, [activeYear]: { statuses } }).map(([year, state]) => [year, state.statuses]));
+  const conclusion = mustaqarrConclusion({ levels, statusesByYear, currentYear, performedSince });
+  const why = overallResult && levels ? verdictTrace({ levels, logic, statuses, savedAnswers, varsByLevel, baseVars }) : [];
+
+  // Embedded: the verdicts of the year on screen go to the host page whenever one changes, starting with
+  // the ones read back from the session
+  const onVerdictChange = embed?.onVerdictChange;
+  const verdicts = JSON.stringify(levels && sessionRestored ? verdictSummary({ levels, statuses, healthByLevel, overallResult }) : null);
+  useEffect(() => {
+    if (onVerdictChange && verdicts !== "null") onVerdictChange(JSON.parse(verdicts));
+  }, [verdicts, onVerdictChange]);
+
+  // Niyabah follow-up: offered for this year's answers once the levels end in a proxy duty, while
+  // NIYABAH_ENABLED is on and its sheets have questions; otherwise Home shows no entry point
+  const niyabah = NIYABAH_ENABLED ? niyabahFlow(texts, ui("niyabah.title")) : null;
+  const niyabahStart = !review && activeYear === currentYear ? niyabahVars(levels, statuses, varsByLevel) : null;
+  const niyabahResult = replayNiyabah({ flow: niyabah, logic, answers: niyabahAnswers, initialVars: niyabahStart });
   // ✱ NEW: hold the UI for 1 second on mount
   if (!ready) {
     return (
       <div className="min-h-screen w-full flex items-center justify-center" style={{ background: theme.bg }}>
-        <div style={{ color: theme.title, fontSize: 18 }}>Preparing app…</div>
+        <div style={{ color: theme.title, fontSize: 18 }}>{ui("app.preparing")}</div>
       </div>
     );
   }
@@ -1664,10 +3000,20 @@ export default function EligibilityApp() {
           <div className="flex items-start gap-3">
             <TriangleAlert className="h-6 w-6" style={{ color: theme.danger }} />
             <div>
-              <div className="font-semibold mb-2" style={{ color: theme.text }}>Configuration error</div>
+              <div className="font-semibold mb-2" style={{ color: theme.text }}>{ui("config.title")}</div>
               <div className="text-sm" style={{ color: theme.text }}>{errorIfAny}</div>
+              {sheetReport && (sheetReport.errors.length > 0 || sheetReport.warnings.length > 0) && (
+                <ul className="text-xs mt-3 space-y-1 list-disc ps-5" style={{ color: theme.text }}>
+                  {sheetReport.errors.map((issue, i) => (
+                    <li key={"e" + i} style={{ color: theme.danger }}>{formatIssue(issue)}</li>
+                  ))}
+                  {sheetReport.warnings.map((issue, i) => (
+                    <li key={"w" + i}>{formatIssue(issue)}</li>
+                  ))}
+                </ul>
+              )}
               <div className="text-xs mt-3" style={{ color: theme.text }}>
-                Set valid <code>QUESTIONS_URL</code>, <code>PHRASES_URL</code>, and <code>LOGIC_URL</code> (CSV endpoints).
+                {ui("config.hint", { config: "sheets.config.json", env: "SHEETS_CONFIG" })}
               </div>
             </div>
           </div>
@@ -1679,29 +3025,113 @@ export default function EligibilityApp() {
   if (!sheetsReady) {
     return (
       <div className="min-h-screen w-full flex items-center justify-center" style={{ background: theme.bg }}>
-        <div style={{ color: theme.title }}>Loading…</div>
+        <div style={{ color: theme.title }}>{ui("app.loading")}</div>
       </div>
     );
   }
 
-  return screen === "home" ? (
+  if (screen === "report") {
+    return (
+      <ReportView
+        theme={theme}
+        language={language}
+        marja={marja}
+        levels={levels}
+        logic={logic}
+        texts={texts}
+        phrases={phrases}
+        noteCategories={noteCategories}
+        statuses={statuses}
+        savedAnswers={savedAnswers}
+        resultPhrases={resultPhrases}
+        healthByLevel={healthByLevel}
+        varsByLevel={varsByLevel}
+        overallResult={overallResult}
+        release={release}
+        year={activeYear}
+        baseVars={baseVars}
+        onBack={() => setScreen("home")}
+      />
+    );
+  }
+
+  if (screen === "admin" && ADMIN_ENABLED) {
+    return <AdminView theme={theme} language={language} marja={marja} sources={sources} onExit={() => setScreen("home")} />;
+  }
+
+  if (screen === "niyabah" && niyabahResult) {
+    return (
+      <LevelWizard
+        key={NIYABAH_FLOW}
+        theme={theme}
+        levelId={NIYABAH_FLOW}
+        levelRules={getLevelRulesOrThrow(NIYABAH_FLOW, logic)}
+        texts={texts}
+        phrases={phrases}
+        noteCategories={noteCategories}
+        language={language}
+        healthState={derivedHealthState}
+        levels={[niyabah]}
+        initialAnswers={niyabahResult.answers}
+        initialVars={niyabahStart}
+        onSave={({ answers }) => {
+          setNiyabahAnswers(answers);
+          setScreen("home");
+        }}
+      />
+    );
+  }
+
+  return screen === "home" || screen === "niyabah" ? (
     <Home
       theme={theme}
       onPick={(id) => {
-        if (id === 3 && !(statuses[2] === "completed")) {
-
-          return;
-        }
+        if (levelAccess(levels, statuses, varsByLevel, baseVars)[id]?.locked) return;
         setLevelId(id);
+        setFocusQuestion(null);
         setScreen("level");
       }}
       statuses={statuses}
       overallResult={overallResult}
       levels={levels}
       phrases={phrases}
+      noteCategories={noteCategories}
       resultPhrases={resultPhrases}
       healthByLevel={healthByLevel}
-      onReset={() => window.location.reload()}
+      varsByLevel={varsByLevel}
+      marja={marja}
+      onMarjaChange={onMarjaChange}
+      themeName={themeName}
+      onThemeChange={onThemeChange}
+      language={language}
+      onLanguageChange={onLanguageChange}
+      verdictNotice={verdictNotice}
+      onDismissVerdictNotice={() => setVerdictNotice(null)}
+      onOpenReport={() => setScreen("report")}
+      shareUrl={shareUrl}
+      review={review}
+      onExitReview={exitReview}
+      currentYear={currentYear}
+      activeYear={activeYear}
+      onYearChange={onYearChange}
+      conclusion={conclusion}
+      performedSince={performedSince}
+      onPerformedSinceChange={setPerformedSince}
+      niyabah={niyabahResult}
+      onOpenNiyabah={() => setScreen("niyabah")}
+      pendingUpdate={pendingUpdate}
+      onApplyUpdate={applyUpdate}
+      onDismissUpdate={() => setPendingUpdate(null)}
+      release={release}
+      onOpenAdmin={ADMIN_ENABLED && !embed ? () => setScreen("admin") : undefined}
+      texts={texts}
+      why={why}
+      onOpenQuestion={(id, qIndex) => {
+        setLevelId(id);
+        setFocusQuestion(qIndex);
+        setScreen("level");
+      }}
+      onReset={() => { clearSession(storage); window.location.reload(); }}
     />
   ) : (
 
@@ -1711,22 +3141,32 @@ export default function EligibilityApp() {
       levelRules={getLevelRulesOrThrow(levelId, logic)}
       texts={texts}
       phrases={phrases}
+      noteCategories={noteCategories}
+      language={language}
       healthState={derivedHealthState}
       levels={levels}
-      onSave={({ levelId: lid, status, answers, phrase, healthState }) => {
-        setStatuses((prev) => ({ ...prev, [lid]: status }));
-        setSavedAnswers((prev) => ({ ...prev, [lid]: answers }));
-        setResultPhrases((prev) => ({ ...prev, [lid]: phrase || null }));
-        // track per-level HEALTH_STATE for banner coloring (level 2)
-        if (typeof healthState === 'string') {
-          setHealthByLevel((prev) => ({ ...prev, [lid]: healthState }));
-          
-          // Auto-complete Health if Personal has NIYABAT (ORANGE or BLUE)
-          if (lid === 1 && status === "completed" && (healthState === "ORANGE" || healthState === "BLUE")) {
-            setStatuses((prev) => ({ ...prev, 2: "completed" }));
-            setHealthByLevel((prev) => ({ ...prev, 2: healthState }));
-          }
+      initialAnswers={savedAnswers[levelId]}
+      initialVars={incomingVars(levels, levelId, statuses, varsByLevel, baseVars)}
+      readOnly={Boolean(review)}
+      initialFocus={focusQuestion}
+      onSave={({ levelId: lid, status, answers, vars, phrase, healthState }) => {
+        if (review) { setScreen("home"); return; }
+        const saved = {
+          statuses: { ...statuses, [lid]: status },
+          savedAnswers: { ...savedAnswers, [lid]: answers },
+          resultPhrases: { ...resultPhrases, [lid]: phrase || null },
+          healthByLevel: typeof healthState === 'string' ? { ...healthByLevel, [lid]: healthState } : healthByLevel,
+          varsByLevel: { ...varsByLevel, [lid]: vars || null },
+        };
+        // A level that no longer passes re-locks everything that requires it in Home
+        if (statuses[lid] === "completed" && status !== "completed") {
+          for (const id of dependentsOf(levels, lid)) for (const map of Object.values(saved)) delete map[id];
         }
+        // Later levels replay with the vars this level now hands on (and auto-complete from them)
+        const re = reevaluateLevels({ levels, logic, ...saved, baseVars });
+        showLevelState(re);
+        const changes = re.changes.filter((c) => c.levelId !== lid && saved.statuses[c.levelId]);
+        if (changes.length || re.stale.length) setVerdictNotice({ upstream: true, changes, stale: re.stale });
         setScreen("home");
       }}
     />
@@ -0,0 +1,28 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import App from "./App.jsx";
+import { EMBED_SOURCE, readEmbedOptions, hostOrigin, allowedSources, verdictMessages } from "@/lib/embed";
+import { parseEmbedConfig } from "@/lib/sources";
+
+import "./index.css";
+
+// embed.html: the calculator framed in a partner's page. Options come from the query string; verdicts and
+// the height of the app go to the host page as window messages (see src/lib/embed.js). Messages only go to
+// the host's own origin, and its `sources` only count when sheets.config.json allows them.
+const { origin: givenOrigin, sources: givenSources, ...options } = readEmbedOptions(window.location.search);
+const origin = hostOrigin(givenOrigin, document.referrer);
+const sources = allowedSources(givenSources, parseEmbedConfig(import.meta.env.VITE_SHEETS_CONFIG || "{}").allowSources);
+if (givenSources && !sources) console.warn("hajj-eligibility: sources ignored, it reads sheets from outside embed.allowSources in sheets.config.json");
+if (!origin) console.warn("hajj-eligibility: no origin to post messages to, pass the host page's origin");
+const post = (message) => origin && window.parent.postMessage({ source: EMBED_SOURCE, ...message }, origin);
+
+let reported = null;
+function onVerdictChange(verdicts) {
+  for (const message of verdictMessages(reported, verdicts)) post(message);
+  reported = verdicts;
+}
+
+// the host sizes the frame to the app, so the calculator never scrolls inside the page
+new ResizeObserver(() => post({ type: "resize", height: document.documentElement.scrollHeight })).observe(document.body);
+
+createRoot(document.getElementById("root")).render(<App embed={{ ...options, ...(sources && { sources }), onVerdictChange }} />);
@@ -0,0 +1,62 @@
+import { parseCSV } from "./engine.js";
+import { rowsToCsv } from "./sources.js";
+
+/* =====================
+   AUTHORING (ADMIN MODE)
+   ===================== */
+// The admin screen edits a sheet as a grid ({ header, rows }) and turns it back into CSV text for the
+// engine, the validator and the download. Every grid row is written out, so an issue the validator
+// reports for sheet row N is grid row N - 2 (row 1 is the header).
+
+// Sheets the admin screen edits, by file name, with the key the app loads each under
+export const AUTHORING_SHEETS = { questions: "questions", rules: "logic", phrases: "phrases" };
+
+export function toGrid(text) {
+  const { header, data } = parseCSV(text || "");
+  return { header, rows: data.map((row) => header.map((_, i) => row[i] ?? "")) };
+}
+
+export function fromGrid({ header, rows }) {
+  return rowsToCsv([header, ...rows]);
+}
+
+export function setCell(grid, rowIndex, column, value) {
+  return { ...grid, rows: grid.rows.map((row, i) => (i === rowIndex ? row.map((cell, c) => (c === column ? value : cell)) : row)) };
+}
+
+// A blank row after `rowIndex` (-1: first), prefilled with the level/qId of the row above so a new
+// route or question starts in the right place
+export function insertRow(grid, rowIndex) {
+  const above = grid.rows[rowIndex];
+  const keep = new Set(["level", "qid"]);
+  const row = grid.header.map((h, c) => (above && keep.has(h.toLowerCase()) ? above[c] : ""));
+  return { ...grid, rows: [...grid.rows.slice(0, rowIndex + 1), row, ...grid.rows.slice(rowIndex + 1)] };
+}
+
+export function removeRow(grid, rowIndex) {
+  return { ...grid, rows: grid.rows.filter((_, i) => i !== rowIndex) };
+}
+
+// Validator issues of one sheet by grid row: { [rowIndex]: { level: "error" | "warning", messages } };
+// issues on the header (or a whole sheet) are under -1
+export function issuesByRow({ errors, warnings }, file) {
+  const byRow = {};
+  const add = (issue, level) => {
+    if (issue.sheet !== file) return;
+    const index = issue.row >= 2 ? issue.row - 2 : -1;
+    byRow[index] ??= { level, messages: [] };
+    if (level === "error") byRow[index].level = "error";
+    byRow[index].messages.push(issue.message);
+  };
+  for (const issue of errors) add(issue, "error");
+  for (const issue of warnings) add(issue, "warning");
+  return byRow;
+}
+
+// Rows (by grid index) with a cell containing `query`, case-insensitive; all rows for an empty query
+export function filterRows(grid, query) {
+  const q = String(query || "").trim().toLowerCase();
+  const indexes = grid.rows.map((_, i) => i);
+  if (!q) return indexes;
+  return indexes.filter((i) => grid.rows[i].some((cell) => cell.toLowerCase().includes(q)));
+}
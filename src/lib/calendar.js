@@ -0,0 +1,115 @@
+/* =====================
+   CALENDARS
+   ===================== */
+// Gregorian <-> Hijri through day numbers (Julian Day Numbers), so dates can be subtracted in rules.
+// The Hijri side is the tabular (arithmetical) calendar: it can differ from a sighted month by a day
+// or two, which is fine for lunar ages and "days until Hajj" but worth saying next to the result.
+// 1 Muharram 1446, for one, is 2024-07-08 here and 2024-07-07 in the Umm al-Qura calendar.
+const HIJRI_EPOCH = 1948440; // day number of 1 Muharram 1 AH
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function gregorianToDay(year, month, day) {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+export function dayToGregorian(dayNumber) {
+  const a = dayNumber + 32044;
+  const b = Math.floor((4 * a + 3) / 146097);
+  const c = a - Math.floor(146097 * b / 4);
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor(1461 * d / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+  return {
+    year: 100 * b + d - 4800 + Math.floor(m / 10),
+    month: m + 3 - 12 * Math.floor(m / 10),
+    day: e - Math.floor((153 * m + 2) / 5) + 1,
+  };
+}
+
+export function hijriToDay(year, month, day) {
+  return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + HIJRI_EPOCH - 1;
+}
+
+export function dayToHijri(dayNumber) {
+  const year = Math.floor((30 * (dayNumber - HIJRI_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((dayNumber - 29 - hijriToDay(year, 1, 1)) / 29.5) + 1);
+  return { year, month, day: dayNumber - hijriToDay(year, month, 1) + 1 };
+}
+
+// Odd months have 30 days, even months 29; Dhu al-Hijjah has 30 in the 11 leap years of each 30-year cycle
+export function hijriMonthLength(year, month) {
+  if (month % 2 === 1) return 30;
+  if (month === 12 && (14 + 11 * year) % 30 < 11) return 30;
+  return 29;
+}
+
+export function isValidGregorian(year, month, day) {
+  if (![year, month, day].every(Number.isInteger) || year < 1 || month < 1 || month > 12 || day < 1) return false;
+  const back = dayToGregorian(gregorianToDay(year, month, day));
+  return back.month === month && back.day === day;
+}
+
+export function isValidHijri(year, month, day) {
+  return [year, month, day].every(Number.isInteger) && year >= 1 && month >= 1 && month <= 12 && day >= 1 && day <= hijriMonthLength(year, month);
+}
+
+// "2001-04-15" -> day number, or null
+export function isoToDay(iso) {
+  const m = String(iso ?? "").match(ISO_DATE);
+  if (!m) return null;
+  const [year, month, day] = m.slice(1).map(Number);
+  return isValidGregorian(year, month, day) ? gregorianToDay(year, month, day) : null;
+}
+
+export function dayToIso(dayNumber) {
+  const { year, month, day } = dayToGregorian(dayNumber);
+  return `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// Local calendar day of a JS Date
+export function dayOf(date) {
+  return gregorianToDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+// Completed lunar years between two days, e.g. for bulugh (15 or 9 lunar years)
+export function lunarAge(birthDay, onDay) {
+  const birth = dayToHijri(birthDay);
+  const on = dayToHijri(onDay);
+  const beforeBirthday = on.month < birth.month || (on.month === birth.month && on.day < birth.day);
+  return on.year - birth.year - (beforeBirthday ? 1 : 0);
+}
+
+// The Hajj season starts on 8 Dhu al-Hijjah and ends with the days of tashriq (13 Dhu al-Hijjah)
+export function hajjStart(hijriYear) {
+  return hijriToDay(hijriYear, 12, 8);
+}
+
+// Hijri year of the next Hajj season on or after a day (the current one while it is still running)
+export function hajjYearOf(dayNumber) {
+  const { year } = dayToHijri(dayNumber);
+  return dayNumber <= hijriToDay(year, 12, 13) ? year : year + 1;
+}
+
+// Shown for a date answer: the Gregorian date in the UI language, then the Hijri date
+export function formatDateAnswer(iso, language, ui) {
+  const dayNumber = isoToDay(iso);
+  if (dayNumber === null) return String(iso ?? "");
+  return `${formatGregorian(dayNumber, language)} · ${formatHijri(dayToHijri(dayNumber), ui)}`;
+}
+
+export function formatGregorian(dayNumber, language) {
+  const { year, month, day } = dayToGregorian(dayNumber);
+  return new Date(Date.UTC(year, month - 1, day))
+    .toLocaleDateString(language || undefined, { timeZone: "UTC", day: "numeric", month: "long", year: "numeric" });
+}
+
+export function gregorianMonthName(month, language) {
+  return new Date(Date.UTC(2000, month - 1, 1)).toLocaleDateString(language || undefined, { timeZone: "UTC", month: "long" });
+}
+
+export function formatHijri({ year, month, day }, ui) {
+  return ui("date.hijri_format", { day, month: ui(`hijri.month.${month}`), year });
+}
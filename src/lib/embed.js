@@ -0,0 +1,91 @@
+/* =====================
+   EMBEDDING
+   ===================== */
+// Partner sites put the calculator on their pages with the <hajj-eligibility> element (src/widget.js),
+// which frames embed.html, or by framing embed.html themselves. Options travel in the frame's query
+// string; verdicts travel back to the host page as window messages tagged with EMBED_SOURCE, which the
+// element re-dispatches as "levelchange" / "resultchange" DOM events.
+//
+//   marja, language, theme   defaults until the visitor picks their own in Settings
+//   sources                  sheets.config.json-style JSON; the sheets it names replace the built-in sources,
+//                            if every url it reads is under one of sheets.config.json's embed.allowSources
+//   origin                   the host page's origin, the only one messages are posted to (default: the
+//                            origin of the framing page, from document.referrer; never "*")
+
+import { sheetVersion } from "./report.js";
+import { sheetOverrides } from "./sources.js";
+
+export const EMBED_SOURCE = "hajj-eligibility";
+export const EMBED_OPTIONS = ["marja", "language", "theme", "sources", "origin"];
+
+// Options → embed.html query string, leaving out the ones not given
+export function embedQuery(options) {
+  const params = new URLSearchParams();
+  for (const name of EMBED_OPTIONS) {
+    const value = options?.[name];
+    if (value !== null && value !== undefined && value !== "") params.set(name, value);
+  }
+  return params.toString();
+}
+
+// embed.html query string → { marja?, language?, theme?, sources?, origin? } as given; the app checks
+// each value against what it knows, like a value read back from localStorage
+export function readEmbedOptions(search) {
+  const params = new URLSearchParams(search);
+  const options = {};
+  for (const name of EMBED_OPTIONS) {
+    if (params.get(name)) options[name] = params.get(name);
+  }
+  return options;
+}
+
+// Origin embed.html posts its messages to: the `origin` option when it is an origin (so not "*"), without
+// one the origin of the page that framed it (its referrer), else null and nothing is posted
+export function hostOrigin(origin, referrer) {
+  if (origin) return originOf(origin) === origin ? origin : null;
+  return originOf(referrer);
+}
+
+const originOf = (url) => {
+  try {
+    const { origin } = new URL(url);
+    return origin === "null" ? null : origin;
+  } catch {
+    return null;
+  }
+};
+
+// The `sources` option if sheets.config.json lets pages use it: every sheet it names is read from a url
+// starting with one of `allowSources` (never a `path`, i.e. a file of this site). Otherwise null, and the
+// calculator keeps the built-in sheets.
+export function allowedSources(sources, allowSources) {
+  if (!sources || !allowSources?.length) return null;
+  let entries;
+  try {
+    entries = Object.values(sheetOverrides(sources));
+  } catch {
+    return null;
+  }
+  const allowed = (entry) => !entry.path && allowSources.some((prefix) => entry.url?.startsWith(prefix));
+  return entries.length && entries.every(allowed) ? sources : null;
+}
+
+// Prefix of the localStorage keys (sheet caches, session, earlier years) of a calculator embedded with its
+// own `sources`: a hash of them, so neither its cached sheets nor its answers mix with the main app's or
+// those of a page with other sources. Empty without sources, where the embed shares the app's storage.
+export function storagePrefix(sources) {
+  return sources ? `embed_${sheetVersion({ sources: { data: sources } }).hash}_` : "";
+}
+
+// Messages for the host page after the verdicts changed from `before` to `after` ({ levels: { id: verdict },
+// result }, verdicts as in verdictLabel without the "verdict." prefix): one "level" message per level whose
+// verdict changed and a "result" message when the overall verdict did. `before` is null on the first call,
+// which always reports the overall verdict so the host learns the restored state.
+export function verdictMessages(before, after) {
+  const messages = [];
+  for (const [levelId, verdict] of Object.entries(after.levels)) {
+    if ((before?.levels[levelId] ?? "not_completed") !== verdict) messages.push({ type: "level", levelId: Number(levelId), verdict });
+  }
+  if (!before || before.result !== after.result) messages.push({ type: "result", verdict: after.result, levels: after.levels });
+  return messages;
+}
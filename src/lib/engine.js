@@ -0,0 +1,1040 @@
+// Rule engine: CSV parsing, sheet builders, routing and level replay.
+// Pure and framework-free so it runs in the browser, in scripts/ and under `node --test`.
+import { parseExpression, parseGuard, evaluateExpression, evaluateGuard, expressionVars } from "./expression.js";
+import { isoToDay, dayToIso, dayOf, dayToHijri, lunarAge, hajjStart, hajjYearOf } from "./calendar.js";
+
+const BASE_LANGUAGE = "en";
+
+/* =====================
+   CSV PARSER
+   ===================== */
+export function parseCSV(text) {
+  // Normalize line endings and strip UTF-8 BOM if present
+  if (text && text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  // FIX: properly normalize CRLF/LF using a valid regex
+  text = text.replace(/\r?\n/g, "\n");
+
+  const rows = [];
+  let cur = [];
+  let field = "";
+  let inQuotes = false;
+  const pushField = () => { cur.push(field); field = ""; };
+  const pushRow = () => { rows.push(cur); cur = []; };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        const next = text[i + 1];
+        if (next === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else field += ch;
+    } else {
+      if (ch === '"') inQuotes = true;
+      else if (ch === ",") pushField();
+      else if (ch === "\n") { pushField(); pushRow(); }
+      else field += ch;
+    }
+  }
+  pushField();
+  if (cur.length) pushRow();
+
+  // Trim cells and drop fully empty rows; rowNumbers[i] is the sheet row (1-based, header = 1) of data[i]
+  const kept = rows.map((r, i) => [r.map(c => c.trim()), i + 1]).filter(([r]) => r.some(c => c !== ""));
+  const [rawHeader = [], ...data] = kept.map(([r]) => r);
+  const rowNumbers = kept.slice(1).map(([, n]) => n);
+
+  // Clean header: strip BOM on first cell, normalize case for lookups
+  const header = rawHeader.map((h, idx) => (idx === 0 ? h.replace(/^\uFEFF/, "") : h));
+  const headerLC = header.map(h => h.toLowerCase());
+  const idx = (name) => headerLC.indexOf(String(name).toLowerCase());
+
+  return { header, data, idx, rowNumbers };
+}
+
+/* =====================
+   MARJA RULESETS
+   ===================== */
+// Every sheet may carry an optional `marja` column. Rows with an empty cell are shared by
+// all marjas; rows tagged with a marja (e.g. "khamenei", or "sistani;khamenei") replace the
+// shared rows with the same key (qId for questions/rules, key for phrases) for that marja only.
+export const MARJAS = {
+  sistani: "Ayatollah Sistani",
+  khamenei: "Ayatollah Khamenei",
+};
+export const DEFAULT_MARJA = "sistani";
+
+export function selectMarjaRows(data, idx, marja, keyOf) {
+  const col = idx("marja");
+  if (col < 0) return data;
+  const tagsOf = (row) => String(row[col] || "").split(/[,;]/).map(s => s.trim().toLowerCase()).filter(Boolean);
+  const wanted = String(marja || DEFAULT_MARJA).toLowerCase();
+
+  const overridden = new Set();
+  for (const row of data) if (tagsOf(row).includes(wanted)) overridden.add(keyOf(row));
+
+  return data.filter((row) => {
+    const tags = tagsOf(row);
+    if (tags.length === 0) return !overridden.has(keyOf(row));
+    return tags.includes(wanted);
+  });
+}
+
+/* =====================
+   BUILD QUESTIONS + PHRASES
+   ===================== */
+// Translations live in language-suffixed columns next to the English one
+// (question_text_ar, help_text_fa, label1_ur, text_ar, ...). Empty cells fall back to English.
+export function localizedCell(row, idx, name, lang) {
+  if (lang && lang !== BASE_LANGUAGE) {
+    const i = idx(`${name}_${lang}`);
+    if (i >= 0 && row[i]) return row[i];
+  }
+  return row[idx(name)] || "";
+}
+
+export function buildTexts(source, marja, lang) {
+  if (!source) return null;
+  if (source.kind !== "csv") return source.data;
+  const { data, idx } = parseCSV(source.data);
+  const texts = {};
+  for (const row of selectMarjaRows(data, idx, marja, (r) => r[idx("qId")])) {
+    const level = row[idx("level")] || "";
+    const qId = row[idx("qId")] || "";
+    const prompt = localizedCell(row, idx, "question_text", lang);
+    const help = localizedCell(row, idx, "help_text", lang);
+    // `values` are the English labels the rules match on; `labels` is what the user sees
+    const labels = [];
+    const values = [];
+    for (const key of ["label1", "label2", "label3", "label4", "label5"]) {
+      const i = idx(key);
+      if (i >= 0 && row[i]) {
+        values.push(row[i]);
+        labels.push(localizedCell(row, idx, key, lang));
+      }
+    }
+    if (level && qId) {
+      const lvlKey = `L${level}`;
+      texts[lvlKey] ??= {};
+      texts[lvlKey][qId] = { prompt, help, labels, values };
+    }
+  }
+  return texts;
+}
+
+// Advisory notes (PRINT=ZC) are grouped by the optional `category` column of phrases.csv
+export const NOTE_CATEGORIES = ["duty", "proxy", "info"];
+const DEFAULT_NOTE_CATEGORY = "info";
+
+export function buildPhrases(source, marja, lang) {
+  if (!source) return null;
+  if (source.kind !== "csv") return source.data;
+  const { data, idx } = parseCSV(source.data);
+  const dict = {};
+  for (const row of selectMarjaRows(data, idx, marja, (r) => r[idx("key")])) {
+    const key = row[idx("key")];
+    const val = localizedCell(row, idx, "text", lang);
+    if (key) dict[key] = val || "";
+  }
+  return dict;
+}
+
+// phrase key -> note category, for the phrases that have one
+export function buildNoteCategories(source, marja) {
+  if (!source || source.kind !== "csv") return {};
+  const { data, idx } = parseCSV(source.data);
+  if (idx("category") < 0) return {};
+  const categories = {};
+  for (const row of selectMarjaRows(data, idx, marja, (r) => r[idx("key")])) {
+    const category = String(row[idx("category")] || "").trim().toLowerCase();
+    if (row[idx("key")] && NOTE_CATEGORIES.includes(category)) categories[row[idx("key")]] = category;
+  }
+  return categories;
+}
+
+/* =====================
+   BUILD LOGIC
+   ===================== */
+// number/currency/date nodes are answered with a value instead of a choice. Each of their routes has
+// an option_value like ">= 1000" or "< 2010-01-01" (matched against the answer) or an empty one that
+// matches any valid answer. Dates are answered as ISO Gregorian dates ("2001-04-15") and put in
+// vars as day numbers, so rules can subtract them (see src/lib/calendar.js).
+const NUMERIC_INPUTS = new Set(["number", "currency"]);
+const CONDITION = /^(<=|>=|<|>|==|!=)\s*(\S+)$/;
+
+export function isNumericInput(inputType) {
+  return NUMERIC_INPUTS.has(inputType);
+}
+
+export function isDateInput(inputType) {
+  return inputType === "date";
+}
+
+export function isValueInput(inputType) {
+  return isNumericInput(inputType) || isDateInput(inputType);
+}
+
+// { op, value } of a value route's option_value (">= 1000", "< 2010-01-01"), or null
+export function parseCondition(text, inputType) {
+  const m = String(text ?? "").trim().match(CONDITION);
+  if (!m) return null;
+  const value = isDateInput(inputType) ? isoToDay(m[2]) : /^-?\d+(\.\d+)?$/.test(m[2]) ? Number(m[2]) : null;
+  return value === null ? null : { op: m[1], value };
+}
+
+// A set_vars value that starts with "=", like a spreadsheet formula, is kept as { expr } and computed from
+// the current vars when its route is taken. The first "=" assigns, the second starts the formula:
+//   SURPLUS = =SAVINGS - DEBTS - HAJJ_COST
+// Anything else is a plain value, hyphens, slashes and parentheses included (PACKAGE=full-package);
+// validateSheets warns about a plain value that reads like a formula missing its "=".
+export function isComputedValue(v) {
+  return Boolean(v) && typeof v === "object" && typeof v.expr === "string";
+}
+
+export function parseSetValue(raw) {
+  if (raw === "true") return true;
+  if (raw === "false") return false;
+  if (raw !== "" && raw !== undefined && !isNaN(Number(raw))) return Number(raw);
+  if (raw?.startsWith("=")) return { expr: raw.slice(1).trim() };
+  return raw;
+}
+
+// [name, raw value] of each NAME=value in a set_vars cell; the name ends at the first "=", so a
+// formula keeps its own
+export function setVarPairs(cell) {
+  return String(cell || "").split(";")
+    .map((pair) => {
+      const at = pair.indexOf("=");
+      return at < 0 ? [pair.trim(), undefined] : [pair.slice(0, at).trim(), pair.slice(at + 1).trim()];
+    })
+    .filter(([k]) => k);
+}
+
+export function buildLogic(source, marja) {
+  if (!source) return null;
+  if (source.kind === "json") return source.data;
+
+  const { data, idx, rowNumbers } = parseCSV(source.data || "");
+  const rowOf = new Map(data.map((row, i) => [row, rowNumbers[i]]));
+
+  const byLevel = {};
+  const ensure = (obj, key, def) => (obj[key] ??= def);
+  const parseSetVars = (s) => {
+    const out = {};
+    for (const [k, vRaw] of setVarPairs(s)) {
+      // PRINT=ZA;PRINT=ZC gives the route both notes
+      out[k] = k === "PRINT" && out.PRINT ? `${out.PRINT},${vRaw}` : parseSetValue(vRaw);
+    }
+    return out;
+  };
+  for (const row of selectMarjaRows(data, idx, marja, (r) => r[idx("qId")])) {
+    const level = row[idx("level")]; if (!level) continue;
+    const qId = row[idx("qId")]; if (!qId) continue;
+    const itype = row[idx("input_type")] || "bool";
+    const field = row[idx("field")] || qId;
+    const optLabel = row[idx("option_label")] || "";
+    const optValue = row[idx("option_value")] || "";
+    const next = row[idx("next")] || "";
+    const failReason = row[idx("fail_reason")] || "";
+    const setVars = parseSetVars(row[idx("set_vars")] || "");
+    const phrase = row[idx("phrase")] || "";
+    const guardExpr = row[idx("guard_expr")] || "";
+    const guardVar = row[idx("guard_if_var")] || "";
+    const guardOp = row[idx("guard_op")] || "";
+    const guardValue = row[idx("guard_value")] || "";
+    const guardNext = row[idx("guard_next")] || "";
+    const guardReason = row[idx("guard_reason")] || "";
+    const fallback = row[idx("fallback")] || "";
+    const lvl = ensure(byLevel, String(level), { entry_node: null, nodes: [], fallback_node: null });
+    let node = lvl.nodes.find(n => n.id === qId);
+    if (!node) {
+      node = { id: qId, field, input_type: (itype === "options" || itype === "options3") ? "options3" : itype, routes: [], fallback_node: null };
+      lvl.nodes.push(node);
+      if (!lvl.entry_node) lvl.entry_node = qId;
+    }
+        // build route: store both the visible label and the stable value
+    const stableValue = (node.input_type === "bool"
+      ? (String(optValue).toLowerCase() === "true")
+      : (optValue || optLabel)
+    );
+    let when = { op: "==", field, value: stableValue };
+    if (isValueInput(node.input_type)) {
+      const condition = parseCondition(optValue || optLabel, node.input_type);
+      if (condition) when = { ...condition, field };
+      else if (!optValue && !optLabel) when = { op: "any", field, value: null };
+    }
+
+    const route = {
+      // when.value uses the stable value (unchanged)
+      when,
+      goto_node: next || undefined,
+      // NEW: keep metadata: what was the label and what was the option_value from CSV.
+      // This helps the UI map a visible label back to the stable code.
+      optLabel: optLabel || "",
+      optValue: (optValue || optLabel) || "",
+      // sheet row the route was read from, for the "Why this result?" trace
+      row: rowOf.get(row),
+    };
+
+    if (failReason && (!next || next === "FAIL")) { route.goto_node = "FAIL"; route.reason = failReason; }
+    if (phrase) route.print = phrase;
+    if (Object.keys(setVars).length) route.set = setVars;
+    if (guardExpr) route.guard = { expr: guardExpr, next: guardNext || "", reason: guardReason || "" };
+    else if (guardVar && guardOp) route.guard = { field: guardVar, op: guardOp, value: guardValue, next: guardNext || "", reason: guardReason || "" };
+    if (fallback && !node.fallback_node) node.fallback_node = fallback;
+    node.routes.push(route);
+  }
+  return byLevel;
+}
+
+/* =====================
+   LEVELS + QUESTIONS
+   ===================== */
+// Level ids present in the questions sheet (texts keys are "L1", "L2", ...), ascending
+export function getLevelIds(texts) {
+  return Object.keys(texts || {})
+    .filter(k => /^L\d+$/.test(k))
+    .map(k => Number(k.slice(1)))
+    .sort((a, b) => a - b);
+}
+
+// qIds of a level ordered by their question number (L3Q2 before L3Q10)
+export function getQuestionIds(texts, levelId) {
+  return Object.keys(texts?.["L" + levelId] || {}).sort((a, b) => {
+    const ai = Number(a.split("Q")[1]);
+    const bi = Number(b.split("Q")[1]);
+    return ai - bi;
+  });
+}
+
+/* =====================
+   LEVEL METADATA
+   ===================== */
+// levels.csv: one row per level, in Home order, with its title (plus title_<lang> columns),
+// a lucide icon name, `requires` (level ids that must be completed first, e.g. "1;2") and an
+// optional auto-complete condition written like a rule guard (var / op / value).
+export function buildLevelMeta(source, marja, lang) {
+  if (!source) return null;
+  if (source.kind !== "csv") return source.data;
+  const { data, idx } = parseCSV(source.data);
+  const meta = [];
+  for (const row of selectMarjaRows(data, idx, marja, (r) => r[idx("level")])) {
+    const id = parseInt(row[idx("level")], 10);
+    if (!Number.isFinite(id)) continue;
+    const field = row[idx("auto_complete_if_var")] || "";
+    const op = row[idx("auto_complete_op")] || "";
+    meta.push({
+      id,
+      title: localizedCell(row, idx, "title", lang),
+      icon: row[idx("icon")] || "",
+      requires: String(row[idx("requires")] || "").split(/[,;]/).map((s) => parseInt(s, 10)).filter(Number.isFinite),
+      autoComplete: field && op ? { field, op, value: row[idx("auto_complete_value")] || "" } : null,
+    });
+  }
+  return meta;
+}
+
+/* =====================
+   COMPUTED VARS
+   ===================== */
+// Functions a computed set_var may call. Dates are day numbers; TODAY (the day the answers are
+// evaluated on) and HAJJ_YEAR (Hijri year of the next Hajj season) are available as vars unless a
+// route sets them, e.g. AGE=LUNAR_AGE(BIRTH) or DAYS_LEFT=HAJJ_START(HAJJ_YEAR) - TODAY.
+export const EXPRESSION_FUNCTIONS = ["LUNAR_AGE", "HIJRI_YEAR", "HAJJ_START", "MIN", "MAX"];
+
+function expressionScope(vars) {
+  const today = Number.isFinite(vars.TODAY) ? vars.TODAY : dayOf(new Date());
+  const valid = (...args) => args.every(Number.isFinite);
+  return {
+    scope: { ...vars, TODAY: today, HAJJ_YEAR: vars.HAJJ_YEAR ?? hajjYearOf(today) },
+    functions: {
+      LUNAR_AGE: (day, on = today) => (valid(day, on) ? lunarAge(day, on) : null),
+      HIJRI_YEAR: (day) => (valid(day) ? dayToHijri(day).year : null),
+      HAJJ_START: (year) => (valid(year) ? hajjStart(year) : null),
+      MIN: Math.min,
+      MAX: Math.max,
+    },
+  };
+}
+
+// Sheet cells are parsed once per built ruleset: the AST is kept against the guard or computed value
+// object of that ruleset, so it goes when the ruleset does (the sheet editor builds one per edit).
+// A cell that does not parse is null (validateSheets reports it).
+const parsedCells = new WeakMap();
+function parsedCell(parse, holder, text) {
+  if (!parsedCells.has(holder)) {
+    let ast = null;
+    try { ast = parse(text); } catch { /* reported by validateSheets */ }
+    parsedCells.set(holder, ast);
+  }
+  return parsedCells.get(holder);
+}
+
+function computeValue(value, vars) {
+  const ast = parsedCell(parseExpression, value, value.expr);
+  if (!ast) return null;
+  const { scope, functions } = expressionScope(vars);
+  return evaluateExpression(ast, scope, functions);
+}
+
+// A guard is either guard_if_var / guard_op / guard_value or a guard_expr such as
+// `GIFT == TRUE AND NOT NIYABAT`; comparisons in both go through opCompare
+export function guardMatches(guard, vars) {
+  if (guard.expr === undefined) return opCompare(guard.op, vars[guard.field], guard.value);
+  const ast = parsedCell(parseGuard, guard, guard.expr);
+  if (!ast) return false;
+  const { scope, functions } = expressionScope(vars);
+  return evaluateGuard(ast, scope, { functions, compare: opCompare });
+}
+
+// Var names a guard reads
+export function guardFields(guard) {
+  if (!guard) return [];
+  if (guard.expr === undefined) return guard.field ? [guard.field] : [];
+  return expressionVars(parsedCell(parseGuard, guard, guard.expr));
+}
+
+// set_vars are applied in sheet order, so a computed var can use one set just before it. PRINT
+// adds to the notes the level already has instead of replacing them.
+function applySet(vars, set, { computedOnly = false } = {}) {
+  for (const [k, v] of Object.entries(set)) {
+    if (isComputedValue(v)) vars[k] = computeValue(v, vars);
+    else if (computedOnly) continue;
+    else if (k === "PRINT") vars.PRINT = printKeys(`${vars.PRINT ?? ""},${v}`).join(",");
+    else vars[k] = v;
+  }
+}
+
+/* =====================
+   ROUTING ENGINE
+   ===================== */
+// Sheets spell booleans TRUE/FALSE while set_vars produce true/false; compare them case-insensitively
+function comparable(v) {
+  const s = String(v).trim();
+  const lower = s.toLowerCase();
+  return lower === "true" || lower === "false" ? lower : s;
+}
+
+// An unset var (null/empty) is never smaller or larger than anything
+function numeric(v) {
+  return v === null || v === undefined || v === "" ? NaN : Number(v);
+}
+
+export function opCompare(op, a, b) {
+  switch (op) {
+    case "==": return comparable(a) === comparable(b);
+    case "!=": return comparable(a) !== comparable(b);
+    case "<": return numeric(a) < numeric(b);
+    case "<=": return numeric(a) <= numeric(b);
+    case ">": return numeric(a) > numeric(b);
+    case ">=": return numeric(a) >= numeric(b);
+    case "any": return a !== null && a !== undefined && a !== "";
+    default: return false;
+  }
+}
+
+// Typed value of a number/currency answer, or null if it is not one. Digits in Arabic/Persian
+// script and thousands separators are accepted; a currency amount cannot be negative.
+export function parseNumericAnswer(raw, inputType) {
+  if (typeof raw === "number") return Number.isFinite(raw) && !(inputType === "currency" && raw < 0) ? raw : null;
+  const text = String(raw ?? "").trim()
+    .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/\u066B/g, ".")
+    .replace(/[\s,\u066C]/g, "");
+  if (!/^-?(\d+(\.\d+)?|\.\d+)$/.test(text)) return null;
+  const n = Number(text);
+  if (inputType === "currency" && n < 0) return null;
+  return n;
+}
+
+// What a number/currency/date answer is compared and stored as in vars (a date's day number), or null
+export function parseAnswerValue(raw, inputType) {
+  return isDateInput(inputType) ? isoToDay(raw) : parseNumericAnswer(raw, inputType);
+}
+
+export function evalRoutesFor(levelRules, nodeId, uiAnswer, vars) {
+  if (!levelRules) return { ok: true };
+  const list = levelRules.nodes || [];
+  const node = list.find((n) => n.id === nodeId);
+  if (!node) return { ok: true };
+
+  let answer = uiAnswer;
+  if (node.input_type === "bool") {
+    const s = String(uiAnswer).trim().toLowerCase();
+    if (s === "yes") answer = true;
+    if (s === "no") answer = false;
+    if (s === "true") answer = true;
+    if (s === "false") answer = false;
+  }
+  if (isValueInput(node.input_type)) answer = parseAnswerValue(uiAnswer, node.input_type);
+
+  const outVars = { ...(vars || {}) };
+  if (node.field) outVars[node.field] = answer;
+
+  // What decided the answer, for the "Why this result?" trace (see replayLevel): the route taken (or
+  // "fallback"/"none"), every guard checked on the way with the values it read, and the vars the route set
+  const guards = [];
+  const decide = (res, route, via) => ({
+    ...res,
+    trace: {
+      via,
+      row: route?.row ?? null,
+      option: route ? route.optLabel || route.optValue : null,
+      guards,
+      set: via === "route" && route.set ? Object.fromEntries(Object.keys(route.set).map((k) => [k, outVars[k]])) : {},
+    },
+  });
+
+  if (Array.isArray(node.routes)) {
+    for (const r of node.routes) {
+      // Check option value FIRST
+      const when = r.when || {};
+      const left = outVars[when.field];
+      const right = when.value;
+      
+      // If option value doesn't match, skip this route entirely
+      if (!opCompare(when.op, left, right)) {
+        continue;
+      }
+
+      // Option matched - now check guard if present. The route's computed set_vars are already
+      // worked out for it, so a guard can compare e.g. AGE=LUNAR_AGE(BIRTH) on the same row.
+      if (r.guard) {
+        const guardVars = { ...outVars };
+        if (r.set) applySet(guardVars, r.set, { computedOnly: true });
+        const matched = guardMatches(r.guard, guardVars);
+        guards.push({ row: r.row ?? null, test: guardText(r.guard), values: Object.fromEntries(guardFields(r.guard).map((k) => [k, guardVars[k] ?? null])), matched });
+        if (matched) {
+          // Guard matched - follow guard action
+          if (r.guard.next === "FAIL") return decide({ ok: false, vars: outVars, reason: r.guard.reason || "L", print: r.print }, r, "guard");
+          if (r.guard.next === "END") return decide({ ok: true, vars: outVars, complete: true, print: r.print, guardReason: r.guard.reason }, r, "guard");
+          if (r.guard.next) return decide({ ok: true, vars: outVars, nextNode: r.guard.next, print: r.print, guardReason: r.guard.reason }, r, "guard");
+          return decide({ ok: false, vars: outVars, reason: r.guard.reason || "L", print: r.print }, r, "guard");
+        }
+        // Guard present but did NOT match -> skip this route
+        continue;
+      }
+
+      // Option matched, no guard (or guard didn't match) - proceed with normal route
+      if (r.set && typeof r.set === "object") applySet(outVars, r.set);
+
+      if (r.goto_node === "END") return decide({ ok: true, vars: outVars, complete: true, print: r.print }, r, "route");
+      if (r.reset_to) return decide({ ok: true, vars: outVars, action: "resetTo", nextNode: r.reset_to, print: r.print }, r, "route");
+      if (r.goto_node === "FAIL") return decide({ ok: false, vars: outVars, reason: r.reason || "L", print: r.print }, r, "route");
+      if (r.goto_node) return decide({ ok: true, vars: outVars, nextNode: r.goto_node, print: r.print }, r, "route");
+
+      // matched route with no explicit next: DO NOT advance implicitly
+      return decide({ ok: true, vars: outVars, print: r.print }, r, "route");
+    }
+  }
+
+  // fallbacks
+  if (node.fallback_node === "FAIL") return decide({ ok: false, vars: outVars, reason: "L" }, null, "fallback");
+  if (node.fallback_node === "END") return decide({ ok: true, vars: outVars, complete: true }, null, "fallback");
+  if (node.fallback_node) return decide({ ok: true, vars: outVars, nextNode: node.fallback_node }, null, "fallback");
+
+  return decide({ ok: true, vars: outVars }, null, "none");
+}
+
+// A guard as written in the sheet: its guard_expr, or "guard_if_var guard_op guard_value"
+export function guardText(guard) {
+  if (guard.expr !== undefined) return guard.expr;
+  return [guard.field, guard.op, guard.value].filter((part) => part !== "" && part !== undefined).join(" ");
+}
+
+export function nodeIdFor(levelId, qIndex) { return "L" + levelId + "Q" + (qIndex + 1); }
+export function indexFromNodeId(nodeId) { const parts = String(nodeId).split("Q"); const n = parseInt(parts[1], 10); return Number.isFinite(n) ? n - 1 : null; }
+export function passesRule(levelId, qIndex, answer, options) {
+  const nodeId = nodeIdFor(levelId, qIndex);
+  const res = evalRoutesFor(options && options.levelRules, nodeId, answer, options && options.vars);
+  if (res) return res;
+  return { ok: true };
+}
+
+// Global phrase resolver: only returns phrases from the sheet (no hardcoded fallbacks)
+export function resolvePhrase(phrases, raw) {
+  if (!raw) return "";
+  const key = String(raw).trim();
+  const variants = [key, key.split(' ').filter(Boolean).join('_')];
+  for (const k of variants) {
+    if (phrases && phrases[k]) return phrases[k];
+  }
+  return "";
+}
+
+/* =====================
+   LEVEL REPLAY
+   ===================== */
+export function getHealthStateFromNiyabat(niyabat) {
+  if (niyabat === false) return "GREEN";
+  if (niyabat === "force") return "ORANGE";
+  if (niyabat === "choice") return "BLUE";
+  return "GREEN";
+}
+
+// Health state of a level the user answered: the proxy duty its own answers set. A NIYABAT only
+// carried in from an earlier level leaves it GREEN, since that earlier level already shows the duty.
+export function levelHealthState(vars, initialVars) {
+  const carried = initialVars?.NIYABAT ?? defaultVars().NIYABAT;
+  return vars?.NIYABAT === carried ? "GREEN" : getHealthStateFromNiyabat(vars?.NIYABAT);
+}
+
+export function defaultVars() {
+  return {
+    NIYABAT: false,
+    GIFT: false,
+    END_PHRASE: null,
+  };
+}
+
+// `initialVars` are the vars carried in from earlier levels (see incomingVars)
+export function replayLevel({ levelId, lvl, levelRules, answersMap, initialVars }) {
+  let vars = { ...defaultVars(), ...initialVars };
+  const path = [];
+  let stop = null;
+  let ended = false;
+  let print = null;
+  let guardReason = null;
+  // one step per answered question on the path: what the answer matched and where it led
+  const trace = [];
+
+  let qIdx = 0;
+  const maxQ = (lvl.questions?.length ?? 0);
+  const seen = new Set();
+
+  while (qIdx != null && qIdx < maxQ) {
+    if (seen.has(qIdx)) break;
+    seen.add(qIdx);
+
+    path.push(qIdx);
+
+    const val = answersMap[qIdx];
+    if (val === undefined) break;      // wait for answer here
+
+    const res = passesRule(levelId, qIdx, val, { levelRules, vars });
+    if (res?.vars) vars = res.vars;
+    if (res?.print) print = res.print;
+    if (res?.guardReason) guardReason = res.guardReason;
+    trace.push({
+      qIndex: qIdx,
+      node: nodeIdFor(levelId, qIdx),
+      answer: val,
+      ...(res?.trace || { via: "none", row: null, option: null, guards: [], set: {} }),
+      next: res?.ok === false ? "FAIL" : res?.complete ? "END" : res?.nextNode || null,
+      reason: res?.ok === false ? res.reason || "NOT_ELIGIBLE_CONTINUE" : res?.guardReason || null,
+    });
+
+    if (res?.complete) { ended = true; break; }           // END
+    if (res && res.ok === false) {                        // FAIL
+      stop = { qIndex: qIdx, reason: res.reason || "NOT_ELIGIBLE_CONTINUE" };
+      break;
+    }
+    if (res?.action === "resetTo" && res.nextNode) {      // jump
+      qIdx = indexFromNodeId(res.nextNode);
+      continue;
+    }
+    if (res?.nextNode) {                                  // jump
+      qIdx = indexFromNodeId(res.nextNode);
+      continue;
+    }
+
+    // ✱ No implicit linear advance. If no nextNode is provided, stop here.
+    break;
+  }
+
+  // keep only answers still reachable
+  const prunedAnswers = {};
+  for (const i of path) if (answersMap[i] !== undefined) prunedAnswers[i] = answersMap[i];
+
+  return { path, vars, stop, ended, answers: prunedAnswers, print, guardReason, trace };
+}
+
+// Status/phrase/health state a replayed level is saved with (same rules as the wizard's Done button)
+export function levelOutcome({ path, vars, stop, ended, answers, print }, initialVars) {
+  const allAnsweredAndEligible = ended || (!stop && path.every((q) => answers[q] !== undefined));
+  return {
+    status: stop ? "failed" : allAnsweredAndEligible ? "completed" : "idle",
+    phrase: print || null,
+    healthState: levelHealthState(vars, initialVars),
+  };
+}
+
+/* ----- answer history ----- */
+// A level's answers as the wizard edits them: undo/redo stacks of answer maps around the present one,
+// plus the last answer given to every question (`remembered`). A change that takes questions off the
+// route drops their answers from the present only, so answering as before brings them back.
+export function startHistory(answers = {}) {
+  return { past: [], present: answers, future: [], remembered: { ...answers } };
+}
+
+const sameAnswers = (a, b) => Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((q) => a[q] === b[q]);
+
+// `answers` become the present; whatever could be redone is dropped
+export function recordAnswers(history, answers) {
+  if (sameAnswers(history.present, answers)) return history;
+  return { past: [...history.past, history.present], present: answers, future: [], remembered: { ...history.remembered, ...answers } };
+}
+
+export function undoAnswers(history) {
+  if (!history.past.length) return history;
+  return { ...history, past: history.past.slice(0, -1), present: history.past[history.past.length - 1], future: [history.present, ...history.future] };
+}
+
+export function redoAnswers(history) {
+  if (!history.future.length) return history;
+  return { ...history, past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) };
+}
+
+// The replay of answering `value` to qIndex, with remembered answers filled in wherever the new route
+// reaches them, and `cleared`: the questions answered now that the new route no longer asks
+export function changeAnswer({ levelId, lvl, levelRules, initialVars, history, qIndex, value }) {
+  const answersMap = { ...history.remembered, ...history.present, [qIndex]: value };
+  const replay = replayLevel({ levelId, lvl, levelRules, answersMap, initialVars });
+  const cleared = Object.keys(history.present).map(Number).filter((q) => replay.answers[q] === undefined);
+  return { ...replay, cleared };
+}
+
+// Back one question: the last answered question on the route is cleared (and forgotten) so it is asked again
+export function stepBack(history, path) {
+  const last = [...path].reverse().find((q) => history.present[q] !== undefined);
+  if (last === undefined) return history;
+  const { [last]: _cleared, ...answers } = history.present;
+  const next = recordAnswers(history, answers);
+  const { [last]: _forgotten, ...remembered } = next.remembered;
+  return { ...next, remembered };
+}
+
+// Verdict of all levels together, as on the Home banner: "failed" as soon as one level failed,
+// "completed" once every level is, otherwise null
+export function overallStatus(levels, statuses) {
+  const values = Object.values(statuses || {});
+  if (values.some((s) => s === "failed")) return "failed";
+  if (Array.isArray(levels) && values.length === levels.length && values.every((s) => s === "completed")) return "completed";
+  return null;
+}
+
+// UI dictionary key describing a level verdict
+export function verdictLabel(status, healthState) {
+  if (status === "failed") return "verdict.failed";
+  if (status !== "completed") return "verdict.not_completed";
+  if (healthState === "ORANGE") return "verdict.passed_proxy";
+  if (healthState === "BLUE") return "verdict.passed_choice";
+  return "verdict.passed";
+}
+
+// The levels behind the overall verdict, each with its replay trace (for "Why this result?"): the failed
+// level if one failed, else every completed level in order. An auto-completed level has no steps.
+export function verdictTrace({ levels, logic, statuses, savedAnswers, varsByLevel, baseVars = {} }) {
+  const failed = levels.find((lvl) => statuses?.[lvl.id] === "failed");
+  const deciding = failed ? [failed] : levels.filter((lvl) => statuses?.[lvl.id] === "completed");
+  return deciding.map((lvl) => {
+    const levelRules = logic?.[String(lvl.id)];
+    const answersMap = savedAnswers?.[lvl.id];
+    const steps = answersMap && levelRules
+      ? replayLevel({ levelId: lvl.id, lvl, levelRules, answersMap, initialVars: incomingVars(levels, lvl.id, statuses, varsByLevel, baseVars) }).trace
+      : [];
+    return { levelId: lvl.id, status: statuses[lvl.id], steps };
+  });
+}
+
+// Vars that describe one level's own result and are not carried into the next level
+const LEVEL_RESULT_VARS = ["END_PHRASE", "PRINT"];
+
+/* =====================
+   ADVISORY NOTES
+   ===================== */
+// PRINT holds the phrase keys of a level's advisory notes, comma-separated ("ZA" or "ZA,ZC"): things
+// the user should know whatever the verdict, such as paying khums/zakat. A route adds one with
+// PRINT=ZC, or several with PRINT=ZA;PRINT=ZC.
+export function printKeys(value) {
+  return [...new Set(String(value ?? "").split(",").map((s) => s.trim()).filter(Boolean))];
+}
+
+export function levelNotes(vars, categories) {
+  return printKeys(vars?.PRINT).map((key) => ({ key, category: categories?.[key] || DEFAULT_NOTE_CATEGORY }));
+}
+
+// Notes of every decided level (completed or failed), in level order, each key once
+export function advisoryNotes({ levels, statuses, varsByLevel, categories }) {
+  const notes = [];
+  for (const lvl of levels) {
+    if (statuses[lvl.id] !== "completed" && statuses[lvl.id] !== "failed") continue;
+    for (const note of levelNotes(varsByLevel?.[lvl.id], categories)) {
+      const seen = notes.find((n) => n.key === note.key);
+      if (seen) seen.levels.push(lvl.id);
+      else notes.push({ ...note, levels: [lvl.id] });
+    }
+  }
+  return notes;
+}
+
+// Vars a level starts from: the defaults (plus `baseVars`, e.g. the TODAY of an earlier year being
+// evaluated) and whatever the completed levels before it (in level order) left behind, so e.g.
+// NIYABAT set in Personal reaches the guard on L3Q1.
+export function incomingVars(levels, levelId, statuses, varsByLevel, baseVars = {}) {
+  const vars = { ...defaultVars(), ...baseVars };
+  for (const lvl of levels) {
+    if (lvl.id === levelId) break;
+    if (statuses[lvl.id] !== "completed" || !varsByLevel[lvl.id]) continue;
+    const carried = { ...varsByLevel[lvl.id] };
+    for (const k of LEVEL_RESULT_VARS) delete carried[k];
+    Object.assign(vars, carried);
+  }
+  return vars;
+}
+
+export function requirementsMet(lvl, statuses) {
+  return (lvl.requires || []).every((id) => statuses[id] === "completed");
+}
+
+export function autoCompletes(lvl, vars) {
+  const ac = lvl.autoComplete;
+  return Boolean(ac && opCompare(ac.op, vars?.[ac.field], ac.value));
+}
+
+// Home lock state per level: locked until every required level is completed; a level that
+// completes automatically (Health when Personal sets NIYABAT) is never opened either.
+export function levelAccess(levels, statuses, varsByLevel, baseVars = {}) {
+  const access = {};
+  for (const lvl of levels) {
+    const ready = requirementsMet(lvl, statuses);
+    const autoCompleted = ready && autoCompletes(lvl, incomingVars(levels, lvl.id, statuses, varsByLevel, baseVars));
+    access[lvl.id] = { locked: !ready || autoCompleted, autoCompleted };
+  }
+  return access;
+}
+
+// Levels that require `levelId`, directly or through another level
+export function dependentsOf(levels, levelId) {
+  const out = [];
+  const queue = [levelId];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const lvl of levels) {
+      if ((lvl.requires || []).includes(id) && !out.includes(lvl.id)) {
+        out.push(lvl.id);
+        queue.push(lvl.id);
+      }
+    }
+  }
+  return out;
+}
+
+// True when `value` is one of the options the node's routes accept
+export function answerMatchesNode(levelRules, nodeId, value) {
+  const node = levelRules?.nodes?.find((n) => n.id === nodeId);
+  if (!node) return false;
+  let answer = value;
+  if (node.input_type === "bool") {
+    const s = String(value).trim().toLowerCase();
+    if (s === "yes" || s === "true") answer = true;
+    if (s === "no" || s === "false") answer = false;
+  }
+  if (isValueInput(node.input_type)) answer = parseAnswerValue(value, node.input_type);
+  return (node.routes || []).some((r) => opCompare(r.when?.op || "==", answer, r.when?.value));
+}
+
+// Re-run the saved answers of every level against a (possibly different) ruleset,
+// e.g. after switching marja or restoring a stored session, and report which level
+// verdicts moved and which answers no longer lie on a valid path.
+export function reevaluateLevels({ levels, logic, statuses, savedAnswers, resultPhrases, healthByLevel, varsByLevel = {}, baseVars = {} }) {
+  const next = {
+    statuses: { ...statuses },
+    savedAnswers: { ...savedAnswers },
+    resultPhrases: { ...resultPhrases },
+    healthByLevel: { ...healthByLevel },
+    varsByLevel: { ...varsByLevel },
+  };
+  const stale = [];
+
+  // In level order, so every level replays with the vars of the (re-evaluated) levels before it
+  for (const lvl of levels) {
+    const initialVars = incomingVars(levels, lvl.id, next.statuses, next.varsByLevel, baseVars);
+    if (requirementsMet(lvl, next.statuses) && autoCompletes(lvl, initialVars)) {
+      // completed without being asked; any answers it had no longer apply
+      next.statuses[lvl.id] = "completed";
+      delete next.savedAnswers[lvl.id];
+      next.resultPhrases[lvl.id] = null;
+      next.healthByLevel[lvl.id] = getHealthStateFromNiyabat(initialVars.NIYABAT);
+      next.varsByLevel[lvl.id] = initialVars;
+      continue;
+    }
+
+    const answersMap = savedAnswers[lvl.id];
+    const levelRules = logic?.[String(lvl.id)];
+    if (!answersMap && lvl.autoComplete) {
+      // was only ever auto-completed and the condition no longer holds
+      for (const map of Object.values(next)) delete map[lvl.id];
+      continue;
+    }
+    if (!answersMap || !levelRules) continue;
+
+    const validAnswers = {};
+    for (const [qIndex, value] of Object.entries(answersMap)) {
+      if (answerMatchesNode(levelRules, nodeIdFor(lvl.id, Number(qIndex)), value)) validAnswers[qIndex] = value;
+    }
+    const replay = replayLevel({ levelId: lvl.id, lvl, levelRules, answersMap: validAnswers, initialVars });
+    for (const [qIndex, value] of Object.entries(answersMap)) {
+      if (replay.answers[qIndex] === undefined) {
+        stale.push({ levelId: lvl.id, qIndex: Number(qIndex), prompt: lvl.questions?.[qIndex] || nodeIdFor(lvl.id, Number(qIndex)), answer: value });
+      }
+    }
+
+    const out = levelOutcome(replay, initialVars);
+    next.statuses[lvl.id] = out.status;
+    next.savedAnswers[lvl.id] = replay.answers;
+    next.resultPhrases[lvl.id] = out.phrase;
+    next.healthByLevel[lvl.id] = out.healthState;
+    next.varsByLevel[lvl.id] = replay.vars;
+  }
+
+  const changes = [];
+  for (const lvl of levels) {
+    const from = verdictLabel(statuses[lvl.id], healthByLevel[lvl.id]);
+    const to = verdictLabel(next.statuses[lvl.id], next.healthByLevel[lvl.id]);
+    if (from !== to) changes.push({ levelId: lvl.id, title: lvl.title, from, to });
+  }
+
+  return { ...next, changes, stale };
+}
+
+/* =====================
+   NIYABAH FOLLOW-UP
+   ===================== */
+// Once every level has passed with a proxy duty (NIYABAT force or choice), a follow-up flow with its
+// own sheets (niyabah_questions.csv / niyabah_rules.csv, level column "N") covers sending the nayeb:
+// from the home city or the miqat, who pays, who may serve and what recovery changes. It is replayed
+// like a level (nodes LNQ1, LNQ2, ...) from the vars the levels leave behind, so its guards see NIYABAT.
+export const NIYABAH_FLOW = "N";
+export const NIYABAH_DUTIES = ["force", "choice"];
+
+// Vars the follow-up starts from, or null while it does not apply
+export function niyabahVars(levels, statuses, varsByLevel, baseVars = {}) {
+  if (overallStatus(levels, statuses) !== "completed") return null;
+  const vars = incomingVars(levels, NIYABAH_FLOW, statuses, varsByLevel, baseVars);
+  return NIYABAH_DUTIES.includes(vars.NIYABAT) ? vars : null;
+}
+
+// The flow as a level ({ id, title, questions }) for replayLevel and the wizard, or null without questions
+export function niyabahFlow(texts, title) {
+  const qIds = getQuestionIds(texts, NIYABAH_FLOW);
+  if (!qIds.length) return null;
+  return { id: NIYABAH_FLOW, title, questions: qIds.map((qId) => texts["L" + NIYABAH_FLOW][qId]?.prompt || qId) };
+}
+
+// Saved follow-up answers replayed against the current rules, or null when the follow-up does not
+// apply. `result` is the phrase key to show: the fail reason, the guard reason or END_PHRASE.
+export function replayNiyabah({ flow, logic, answers, initialVars }) {
+  const levelRules = logic?.[NIYABAH_FLOW];
+  if (!flow || !levelRules || !initialVars) return null;
+  const valid = {};
+  for (const [qIndex, value] of Object.entries(answers || {})) {
+    if (answerMatchesNode(levelRules, nodeIdFor(NIYABAH_FLOW, Number(qIndex)), value)) valid[qIndex] = value;
+  }
+  const replay = replayLevel({ levelId: NIYABAH_FLOW, lvl: flow, levelRules, answersMap: valid, initialVars });
+  const { status, phrase } = levelOutcome(replay);
+  const result = replay.stop?.reason || (status === "completed" ? replay.guardReason || replay.vars.END_PHRASE : null) || null;
+  return { status, answers: replay.answers, vars: replay.vars, phrase, result };
+}
+
+/* =====================
+   PATH ENUMERATION
+   ===================== */
+// Vars a level's guards read but never set itself (e.g. NIYABAT on L3Q1, set in Personal/Health),
+// each with every value the sheet can give it. Levels are enumerated once per combination.
+export function pathScenarios(logic, levelId) {
+  const nodes = logic?.[String(levelId)]?.nodes || [];
+  const guarded = new Set();
+  const setHere = new Set();
+  for (const node of nodes) {
+    setHere.add(node.field);
+    for (const r of node.routes || []) {
+      for (const name of guardFields(r.guard)) guarded.add(name);
+      for (const k of Object.keys(r.set || {})) setHere.add(k);
+    }
+  }
+
+  const valuesOf = (name) => {
+    const seen = new Map();
+    const add = (v) => { if (v !== undefined && !isComputedValue(v) && !seen.has(comparable(v))) seen.set(comparable(v), v); };
+    add(defaultVars()[name]);
+    for (const lvl of Object.values(logic || {})) {
+      for (const node of lvl.nodes || []) for (const r of node.routes || []) add(r.set?.[name]);
+    }
+    return [...seen.values()];
+  };
+
+  let scenarios = [{}];
+  for (const name of [...guarded].filter((g) => !setHere.has(g)).sort()) {
+    // vars no sheet sets (TODAY, HAJJ_YEAR) keep their evaluation-time value
+    const values = valuesOf(name);
+    if (values.length) scenarios = scenarios.flatMap((s) => values.map((v) => ({ ...s, [name]: v })));
+  }
+  return scenarios;
+}
+
+// Answers that take each side of every threshold on a number/currency/date node. A number/currency
+// node also gets an amount above them all (0 and 1000 when it has none), so a formula that weighs one
+// answer against another (SAVINGS - HAJJ_COST) comes out both ways. A date node without thresholds is
+// read relative to `today` (a lunar age, days until a due date): a year ahead, today, and 10 and 20
+// years back.
+const DATE_SAMPLE_YEARS = [-1, 0, 10, 20];
+
+function valueSamples(node, today) {
+  const samples = new Set();
+  for (const r of node.routes) {
+    const t = r.when?.value;
+    if (typeof t !== "number") continue;
+    if (r.when.op === ">=" || r.when.op === "<") { samples.add(t - 1); samples.add(t); }
+    else { samples.add(t); samples.add(t + 1); }
+  }
+  if (!samples.size && isDateInput(node.input_type)) for (const years of DATE_SAMPLE_YEARS) samples.add(today - Math.round(years * 365.25));
+  if (!samples.size) samples.add(0);
+  if (isNumericInput(node.input_type)) samples.add(Math.max(...samples) + 1000);
+  const sorted = [...samples].filter((n) => node.input_type !== "currency" || n >= 0).sort((a, b) => a - b);
+  return isDateInput(node.input_type) ? sorted.map(dayToIso) : sorted;
+}
+
+// Walk every reachable answer combination of a level from its entry node with the same
+// evalRoutesFor semantics the wizard uses. Each path ends in END, FAIL, OPEN (a matched
+// route without a next) or LOOP (a route back to a node already on the path).
+export function enumeratePaths(logic, levelId, scenario = {}) {
+  const levelRules = logic?.[String(levelId)];
+  const nodes = levelRules?.nodes || [];
+  const fields = new Set(nodes.map((n) => n.field));
+  const paths = [];
+
+  const finish = (steps, outcome, res) => {
+    const vars = {};
+    for (const [k, v] of Object.entries(res?.vars || {})) if (!fields.has(k)) vars[k] = v;
+    paths.push({
+      steps,
+      outcome,
+      reason: res?.reason || res?.guardReason || "",
+      print: res?.print || "",
+      endPhrase: vars.END_PHRASE || "",
+      vars,
+    });
+  };
+
+  const walk = (nodeId, vars, steps, onPath) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    if (!node) { finish(steps, "OPEN", { vars, reason: `missing node ${nodeId}` }); return; }
+    if (onPath.has(nodeId)) { finish(steps, "LOOP", { vars }); return; }
+
+    const options = isValueInput(node.input_type)
+      ? valueSamples(node, Number.isFinite(vars.TODAY) ? vars.TODAY : dayOf(new Date()))
+      : [...new Set(node.routes.map((r) => r.optLabel || r.optValue))];
+    for (const answer of options) {
+      const res = evalRoutesFor(levelRules, nodeId, answer, vars);
+      const nextSteps = [...steps, { nodeId, answer, row: res.trace.row, via: res.trace.via }];
+      if (res.complete) finish(nextSteps, "END", res);
+      else if (res.ok === false) finish(nextSteps, "FAIL", res);
+      else if (res.nextNode) walk(res.nextNode, res.vars, nextSteps, new Set([...onPath, nodeId]));
+      else finish(nextSteps, "OPEN", res);
+    }
+  };
+
+  if (levelRules?.entry_node) walk(levelRules.entry_node, { ...defaultVars(), ...scenario }, [], new Set());
+  return paths;
+}
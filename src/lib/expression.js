@@ -0,0 +1,214 @@
+/* =====================
+   EXPRESSIONS
+   ===================== */
+// Arithmetic for computed set_vars, e.g. `SURPLUS = =SAVINGS - DEBTS - HAJJ_COST`. A small tokenizer and
+// recursive-descent parser: numbers, var names, + - * /, unary minus, parentheses and calls to the
+// functions the caller passes in (e.g. LUNAR_AGE(BIRTH)). Nothing is ever passed to eval/Function,
+// so a sheet cell can only read vars and call those functions, never run code.
+//
+// Guards (guard_expr in rules.csv) use the same grammar plus comparisons, AND / OR / NOT, TRUE /
+// FALSE and quoted text, e.g. `GIFT == TRUE AND NOT (NIYABAT == 'force' OR SAVINGS < 1000)`.
+const NUMBER = /^\d+(?:\.\d+)?|^\.\d+/;
+const IDENT = /^[A-Za-z_][A-Za-z0-9_]*/;
+const STRING = /^'([^']*)'|^"([^"]*)"/;
+const OPERATORS = new Set(["+", "-", "*", "/", "(", ")", ","]);
+const COMPARISONS = ["==", "!=", "<=", ">=", "<", ">"];
+const KEYWORDS = new Set(["AND", "OR", "NOT", "TRUE", "FALSE"]);
+
+function tokenize(text, guard) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) { i += space[0].length; continue; }
+    const num = rest.match(NUMBER);
+    if (num) { tokens.push({ type: "num", value: Number(num[0]), at: i }); i += num[0].length; continue; }
+    const ident = rest.match(IDENT);
+    if (ident) {
+      const word = ident[0].toUpperCase();
+      tokens.push(guard && KEYWORDS.has(word) ? { type: "kw", value: word, at: i } : { type: "var", value: ident[0], at: i });
+      i += ident[0].length;
+      continue;
+    }
+    if (OPERATORS.has(rest[0])) { tokens.push({ type: "op", value: rest[0], at: i }); i += 1; continue; }
+    if (guard) {
+      const cmp = COMPARISONS.find((op) => rest.startsWith(op));
+      if (cmp) { tokens.push({ type: "op", value: cmp, at: i }); i += cmp.length; continue; }
+      const str = rest.match(STRING);
+      if (str) { tokens.push({ type: "str", value: str[1] ?? str[2], at: i }); i += str[0].length; continue; }
+      if (rest[0] === "=") throw new Error(`"=" at position ${i + 1} should be "=="`);
+    }
+    throw new Error(`unexpected "${rest[0]}" at position ${i + 1}`);
+  }
+  return tokens;
+}
+
+// AST nodes: { type: "num", value } | { type: "var", name } | { type: "call", name, args }
+//          | { type: "neg", arg } | { type: "bin", op, left, right }
+// and in guards also { type: "str" | "bool", value } | { type: "cmp", op, left, right }
+//          | { type: "not", arg } | { type: "logic", op: "AND" | "OR", left, right }
+export function parseExpression(text) {
+  return parse(text, false);
+}
+
+export function parseGuard(text) {
+  return parse(text, true);
+}
+
+function parse(text, guard) {
+  const tokens = tokenize(String(text ?? ""), guard);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const isKw = (value) => peek()?.type === "kw" && peek().value === value;
+  const fail = (what) => {
+    const tok = peek();
+    throw new Error(tok ? `unexpected "${tok.value}" at position ${tok.at + 1}` : `expected ${what} at end of expression`);
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (tok?.type === "num") { pos++; return { type: "num", value: tok.value }; }
+    if (tok?.type === "str") { pos++; return { type: "str", value: tok.value }; }
+    if (isKw("TRUE") || isKw("FALSE")) { pos++; return { type: "bool", value: tok.value === "TRUE" }; }
+    if (tok?.type === "var") {
+      pos++;
+      if (!isOp("(")) return { type: "var", name: tok.value };
+      pos++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(sum());
+        while (isOp(",")) { pos++; args.push(sum()); }
+      }
+      if (!isOp(")")) fail('")"');
+      pos++;
+      return { type: "call", name: tok.value, args };
+    }
+    if (isOp("(")) {
+      pos++;
+      const inner = guard ? any() : sum();
+      if (!isOp(")")) fail('")"');
+      pos++;
+      return inner;
+    }
+    if (isOp("-")) { pos++; return { type: "neg", arg: primary() }; }
+    return fail(guard ? "a value" : "a number or var");
+  };
+  const product = () => {
+    let left = primary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      left = { type: "bin", op, left, right: primary() };
+    }
+    return left;
+  };
+  const sum = () => {
+    let left = product();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      left = { type: "bin", op, left, right: product() };
+    }
+    return left;
+  };
+
+  const comparison = () => {
+    const left = sum();
+    const op = COMPARISONS.find(isOp);
+    if (!op) return left;
+    pos++;
+    return { type: "cmp", op, left, right: sum() };
+  };
+  const negation = () => {
+    if (!isKw("NOT")) return comparison();
+    pos++;
+    return { type: "not", arg: negation() };
+  };
+  const logic = (op, operand) => () => {
+    let left = operand();
+    while (isKw(op)) { pos++; left = { type: "logic", op, left, right: operand() }; }
+    return left;
+  };
+  const any = logic("OR", logic("AND", negation));
+
+  const ast = guard ? any() : sum();
+  if (pos < tokens.length) fail("an operator");
+  return ast;
+}
+
+const children = (n) => [n.arg, n.left, n.right, ...(n.args || [])].filter(Boolean);
+
+// Var names an expression reads
+export function expressionVars(ast) {
+  if (!ast) return [];
+  if (ast.type === "var") return [ast.name];
+  return [...new Set(children(ast).flatMap(expressionVars))];
+}
+
+// Function names an expression calls
+export function expressionFunctions(ast) {
+  if (!ast) return [];
+  const called = children(ast).flatMap(expressionFunctions);
+  return [...new Set(ast.type === "call" ? [ast.name, ...called] : called)];
+}
+
+// Arithmetic never reads booleans or empty vars as numbers
+const toNumber = (v) => (v === null || v === undefined || v === "" || typeof v === "boolean" ? NaN : Number(v));
+
+// Sheets spell booleans TRUE/FALSE; an empty or missing var is false
+function truthy(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v !== 0;
+  if (typeof v === "string") return v.trim() !== "" && v.trim().toLowerCase() !== "false";
+  return v === true;
+}
+
+function looseCompare(op, a, b) {
+  if (op === "==") return a === b;
+  if (op === "!=") return a !== b;
+  const [x, y] = [toNumber(a), toNumber(b)];
+  return op === "<" ? x < y : op === "<=" ? x <= y : op === ">" ? x > y : op === ">=" ? x >= y : false;
+}
+
+function evaluate(ast, vars, functions, compare) {
+  const walk = (n) => {
+    switch (n.type) {
+      case "num":
+      case "str":
+      case "bool": return n.value;
+      case "var": return vars?.[n.name] ?? null;
+      case "call": {
+        const fn = Object.hasOwn(functions, n.name) ? functions[n.name] : null;
+        if (typeof fn !== "function") return NaN;
+        const result = fn(...n.args.map((a) => toNumber(walk(a))));
+        return result === null || result === undefined ? NaN : Number(result);
+      }
+      case "neg": return -toNumber(walk(n.arg));
+      case "bin": {
+        const a = toNumber(walk(n.left));
+        const b = toNumber(walk(n.right));
+        if (n.op === "+") return a + b;
+        if (n.op === "-") return a - b;
+        if (n.op === "*") return a * b;
+        return a / b;
+      }
+      case "cmp": return compare(n.op, walk(n.left), walk(n.right));
+      case "not": return !truthy(walk(n.arg));
+      case "logic": return n.op === "AND" ? truthy(walk(n.left)) && truthy(walk(n.right)) : truthy(walk(n.left)) || truthy(walk(n.right));
+      default: return NaN;
+    }
+  };
+  return walk(ast);
+}
+
+// Number, or null when a var is missing/not numeric, a function is unknown or the result is not
+// finite (e.g. x / 0)
+export function evaluateExpression(ast, vars, functions = {}) {
+  const result = toNumber(evaluate(ast, vars, functions, looseCompare));
+  return Number.isFinite(result) ? result : null;
+}
+
+// true/false for a parsed guard; `compare(op, left, right)` decides comparisons (the engine passes
+// opCompare so guard_expr compares exactly like guard_if_var / guard_op / guard_value)
+export function evaluateGuard(ast, vars, { functions = {}, compare = looseCompare } = {}) {
+  return truthy(evaluate(ast, vars, functions, compare));
+}
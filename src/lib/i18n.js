@@ -0,0 +1,27 @@
+import en from "../json-files/en.json";
+import ar from "../json-files/ar.json";
+import ur from "../json-files/ur.json";
+import fa from "../json-files/fa.json";
+
+export const LANGUAGES = {
+  en: { name: "English", dir: "ltr" },
+  ar: { name: "العربية", dir: "rtl" },
+  ur: { name: "اردو", dir: "rtl" },
+  fa: { name: "فارسی", dir: "rtl" },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const DICTIONARIES = { en, ar, ur, fa };
+
+// UI string lookup; missing translations fall back to English, then to the key itself.
+// `{{name}}` placeholders are filled from params.
+export function translate(lang, key, params) {
+  const raw = DICTIONARIES[lang]?.[key] ?? en[key] ?? key;
+  if (!params) return raw;
+  return raw.replace(/\{\{(\w+)\}\}/g, (_, name) => (params[name] ?? ""));
+}
+
+export function directionOf(lang) {
+  return LANGUAGES[lang]?.dir || "ltr";
+}
@@ -0,0 +1,30 @@
+/* =====================
+   KEYBOARD ANSWERING
+   ===================== */
+// A question's choice buttons form a radio group: the arrow keys move between the choices (mirrored in
+// right-to-left languages, so "forward" follows the reading direction), Home/End jump to the first/last
+// choice and a digit answers that choice directly. Digits typed on an Arabic or Persian keyboard count too.
+
+// Number 1-9 of a digit key in Latin, Arabic-Indic or Extended Arabic-Indic script, or null
+function digitOf(key) {
+  if (typeof key !== "string" || key.length !== 1) return null;
+  const code = key.charCodeAt(0);
+  const n = code >= 0x0660 && code <= 0x0669 ? code - 0x0660
+    : code >= 0x06F0 && code <= 0x06F9 ? code - 0x06F0
+    : key >= "0" && key <= "9" ? Number(key) : null;
+  return n ? n : null;
+}
+
+// What a key does in a group of `count` choices while choice `index` has focus (-1: none):
+// { focus: i } moves focus to choice i, { answer: i } answers it; null for a key the group leaves alone
+export function choiceKeyAction(key, { count, index = -1, rtl = false }) {
+  if (!count) return null;
+  const digit = digitOf(key);
+  if (digit) return digit <= count ? { answer: digit - 1 } : null;
+
+  const step = { ArrowDown: 1, ArrowUp: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1 }[key];
+  if (step) return { focus: index < 0 ? (step > 0 ? 0 : count - 1) : (index + step + count) % count };
+  if (key === "Home") return { focus: 0 };
+  if (key === "End") return { focus: count - 1 };
+  return null;
+}
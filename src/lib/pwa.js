@@ -0,0 +1,41 @@
+/* =====================
+   SERVICE WORKER (PWA)
+   ===================== */
+// Registers sw.js (built from src/sw.js; `url` is /sw.js unless the app is built for another base path) and
+// reports the two updates it can bring: sheets that changed when revalidated in the background ("rules"),
+// and a new build of the app waiting to take over ("app").
+// Neither is applied on its own, so rules never switch in the middle of a session.
+export function registerServiceWorker({ url = "/sw.js", onRulesUpdated, onAppUpdated }) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const sw = navigator.serviceWorker;
+  const onMessage = (event) => {
+    if (event.data?.type === "sheets-updated") onRulesUpdated?.(event.data.url);
+  };
+  sw.addEventListener("message", onMessage);
+
+  sw.register(url)
+    .then((registration) => {
+      if (registration.waiting && sw.controller) onAppUpdated?.();
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker?.addEventListener("statechange", () => {
+          // the very first install has no controller yet, which is not an update
+          if (worker.state === "installed" && sw.controller) onAppUpdated?.();
+        });
+      });
+    })
+    .catch((e) => console.warn("Service worker registration failed", e));
+
+  return () => sw.removeEventListener("message", onMessage);
+}
+
+// Lets the waiting build take over, then reloads into it
+export async function applyAppUpdate() {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (!registration?.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: "skip-waiting" });
+}
@@ -0,0 +1,93 @@
+import { replayLevel, incomingVars, nodeIdFor, resolvePhrase, verdictLabel, isDateInput, levelNotes } from "./engine.js";
+import { formatDateAnswer } from "./calendar.js";
+
+/* =====================
+   ELIGIBILITY REPORT
+   ===================== */
+// Colour of a level in the report, matching the Home cards: red when failed, orange/blue for a
+// level whose own rules set NIYABAT (proxy forced / proxy optional), green otherwise, grey while open.
+export function reportColour({ status, healthState, autoCompleted, setsNiyabat }) {
+  if (status === "failed") return "red";
+  if (status !== "completed") return "grey";
+  if (autoCompleted || !setsNiyabat) return "green";
+  if (healthState === "ORANGE") return "orange";
+  if (healthState === "BLUE") return "blue";
+  return "green";
+}
+
+// The label the user picked, in the current language (same mapping as the wizard's choices);
+// number/currency answers are formatted for the language, dates in both calendars
+function answerLabel(entry, value, ui, language, inputType) {
+  if (isDateInput(inputType)) return formatDateAnswer(value, language, ui);
+  if (typeof value === "number") return value.toLocaleString(language || undefined, { maximumFractionDigits: 2 });
+  const i = entry?.values?.indexOf(value) ?? -1;
+  if (i >= 0 && entry.labels?.[i]) return entry.labels[i];
+  const s = String(value).toLowerCase();
+  if (s === "yes") return ui("answer.yes");
+  if (s === "no") return ui("answer.no");
+  return String(value);
+}
+
+// One entry per level: verdict, colour, every answered question on the path (replayed with the
+// same vars the wizard used), for a failure the reason phrase from phrases.csv, and the level's
+// advisory notes (PRINT) with their category.
+export function buildReport({ levels, logic, texts, phrases, noteCategories, statuses, savedAnswers, healthByLevel, varsByLevel, baseVars, ui, language }) {
+  return levels.map((lvl) => {
+    const status = statuses[lvl.id] || "idle";
+    const healthState = healthByLevel[lvl.id] || null;
+    const levelRules = logic?.[String(lvl.id)];
+    const answersMap = savedAnswers[lvl.id];
+    const autoCompleted = status === "completed" && !answersMap && Boolean(lvl.autoComplete);
+    const setsNiyabat = (levelRules?.nodes || []).some((n) => n.routes.some((r) => r.set && "NIYABAT" in r.set));
+
+    let steps = [];
+    let reason = "";
+    let notes = [];
+    if (answersMap && levelRules) {
+      const replay = replayLevel({
+        levelId: lvl.id, lvl, levelRules, answersMap,
+        initialVars: incomingVars(levels, lvl.id, statuses, varsByLevel, baseVars),
+      });
+      steps = replay.path
+        .filter((q) => replay.answers[q] !== undefined)
+        .map((q) => {
+          const nodeId = nodeIdFor(lvl.id, q);
+          const entry = texts?.[`L${lvl.id}`]?.[nodeId];
+          const inputType = levelRules.nodes.find((n) => n.id === nodeId)?.input_type;
+          return { nodeId, prompt: entry?.prompt || lvl.questions?.[q] || nodeId, answer: answerLabel(entry, replay.answers[q], ui, language, inputType) };
+        });
+      if (replay.stop) reason = resolvePhrase(phrases, replay.stop.reason);
+      notes = levelNotes(replay.vars, noteCategories).map((note) => ({ ...note, text: resolvePhrase(phrases, note.key) }));
+    }
+
+    return {
+      id: lvl.id,
+      title: lvl.title,
+      status,
+      verdict: verdictLabel(status, healthState),
+      colour: reportColour({ status, healthState, autoCompleted, setsNiyabat }),
+      autoCompleted,
+      steps,
+      reason,
+      notes,
+    };
+  });
+}
+
+// Identifies the sheets a report was produced from: a short hash of their content (FNV-1a)
+// and the latest time any of them was fetched.
+export function sheetVersion(sources) {
+  let hash = 0x811c9dc5;
+  const dates = [];
+  for (const key of Object.keys(sources || {}).sort()) {
+    const src = sources[key];
+    if (!src) continue;
+    const text = typeof src.data === "string" ? src.data : JSON.stringify(src.data);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    if (src.fetchedAt) dates.push(src.fetchedAt);
+  }
+  return { hash: hash.toString(16).padStart(8, "0"), fetchedAt: dates.sort().pop() || null };
+}
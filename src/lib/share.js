@@ -0,0 +1,64 @@
+import { MARJAS, DEFAULT_MARJA } from "./engine.js";
+import { sheetVersion } from "./report.js";
+
+/* =====================
+   SHARE LINKS
+   ===================== */
+// A share link carries everything needed to replay someone's answers in the URL fragment, which
+// browsers never send to a server: #share=<base64url JSON>. Yes/No answers are stored as true/false.
+const SHARE_PARAM = "share";
+const SHARE_VERSION = 1;
+
+// Version of the sheets that decide verdicts (rules + levels); question and phrase wording is left out
+export function rulesVersion(sources) {
+  return sheetVersion({ logic: sources?.logic, levels: sources?.levels }).hash;
+}
+
+function toBase64Url(text) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+// Fragment (without "#") for the given state; levels without answers are left out
+export function encodeShare({ marja, language, rules, answers }) {
+  const a = {};
+  for (const [levelId, map] of Object.entries(answers || {})) {
+    if (!map || Object.keys(map).length === 0) continue;
+    a[levelId] = Object.fromEntries(Object.entries(map).map(([q, v]) => [q, v === "Yes" ? true : v === "No" ? false : v]));
+  }
+  return `${SHARE_PARAM}=${toBase64Url(JSON.stringify({ v: SHARE_VERSION, m: marja, l: language, r: rules, a }))}`;
+}
+
+// Raw share value of a location hash ("#share=..."), or null when the URL is not a share link
+export function shareParam(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  return params.get(SHARE_PARAM);
+}
+
+// { marja, language, rules, answers } from a share value, or null if it cannot be read
+export function decodeShare(param) {
+  let payload;
+  try { payload = JSON.parse(fromBase64Url(param || "")); } catch { return null; }
+  if (payload?.v !== SHARE_VERSION || !payload.a || typeof payload.a !== "object") return null;
+
+  const answers = {};
+  for (const [levelId, map] of Object.entries(payload.a)) {
+    if (!/^\d+$/.test(levelId) || !map || typeof map !== "object") continue;
+    const entries = Object.entries(map)
+      .filter(([q, v]) => /^\d+$/.test(q) && (typeof v === "string" || typeof v === "boolean" || Number.isFinite(v)))
+      .map(([q, v]) => [q, v === true ? "Yes" : v === false ? "No" : v]);
+    if (entries.length) answers[levelId] = Object.fromEntries(entries);
+  }
+  return {
+    marja: MARJAS[payload.m] ? payload.m : DEFAULT_MARJA,
+    language: typeof payload.l === "string" ? payload.l : null,
+    rules: typeof payload.r === "string" ? payload.r : null,
+    answers,
+  };
+}
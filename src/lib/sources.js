@@ -0,0 +1,167 @@
+import { parseCSV } from "./engine.js";
+import { readWorkbook } from "./xlsx.js";
+
+/* =====================
+   DATA SOURCES
+   ===================== */
+// Where each sheet comes from, shared by the app (through Vite, see vite.config.js) and scripts/sync-csvs.js,
+// so a centre running its own copy only edits sheets.config.json (or points SHEETS_CONFIG at another file):
+//
+//   { "sheets": { "rules": { "type": "gsheet", "url": "https://docs.google.com/.../pub?gid=1&output=csv" }, ... } }
+//
+// type    where the sheet is read from
+//   gsheet  a Google Sheets tab published as CSV (url)
+//   csv     any CSV file served over HTTP (url)
+//   xlsx    a tab of an Excel workbook (url or path; `sheet` names the tab, default the sheet's own name)
+//   json    a sheet of a JSON bundle (url or path; `sheet` as for xlsx), see sheets.schema.json
+//   file    a CSV file in the repo (path); the app uses the bundled copy only
+//
+// Whatever the format, a sheet is turned into the CSV text of csv/<name>.csv, so the engine, validation,
+// golden paths and sheet versions see the same thing for every source. A sheet that is not configured
+// is read from csv/<name>.csv.
+export const SHEET_NAMES = ["questions", "phrases", "rules", "levels", "niyabah_questions", "niyabah_rules"];
+export const SOURCE_TYPES = ["gsheet", "csv", "xlsx", "json", "file"];
+export const BUNDLE_FORMAT = "hajj-eligibility-sheets";
+export const BUNDLE_VERSION = 1;
+
+const localEntry = (name) => ({ type: "file", path: `csv/${name}.csv` });
+
+// Normalized { [sheet name]: entry } of a parsed or JSON-text config; throws on the first mistake
+export function parseSourceConfig(config) {
+  const parsed = typeof config === "string" ? JSON.parse(config) : config || {};
+  const sheets = parsed.sheets || {};
+  for (const name of Object.keys(sheets)) {
+    if (!SHEET_NAMES.includes(name)) throw new Error(`sheets.${name}: unknown sheet (expected one of ${SHEET_NAMES.join(", ")})`);
+  }
+  const entries = {};
+  for (const name of SHEET_NAMES) {
+    const entry = sheets[name] ? { ...sheets[name] } : localEntry(name);
+    if (!SOURCE_TYPES.includes(entry.type)) throw new Error(`sheets.${name}: type must be one of ${SOURCE_TYPES.join(", ")}`);
+    if (entry.type === "file" && !entry.path) throw new Error(`sheets.${name}: a file source needs a path`);
+    if (["gsheet", "csv"].includes(entry.type) && !entry.url) throw new Error(`sheets.${name}: a ${entry.type} source needs a url`);
+    if (["xlsx", "json"].includes(entry.type) && !entry.url === !entry.path) throw new Error(`sheets.${name}: a ${entry.type} source needs either a url or a path`);
+    if (entry.type === "gsheet" && !/[?&]output=csv\b/.test(entry.url)) throw new Error(`sheets.${name}: publish the tab as CSV (the url needs output=csv)`);
+    entries[name] = entry;
+  }
+  return entries;
+}
+
+// Only the entries a partial config names (the `sources` option of an embedded calculator, see
+// src/lib/embed.js), checked like a full one; the sheets it leaves out keep their configured source
+export function sheetOverrides(config) {
+  const parsed = typeof config === "string" ? JSON.parse(config) : config || {};
+  const entries = parseSourceConfig(parsed);
+  return Object.fromEntries(Object.keys(parsed.sheets || {}).map((name) => [name, entries[name]]));
+}
+
+// The "embed" section of a config: { allowSources }, the url prefixes an embedding page's own `sources` may
+// read sheets from (see allowedSources in src/lib/embed.js). Each ends in a "/" after the host, so
+// "https://example.org/" cannot match https://example.org.evil.test. Empty by default: pages get the sheets above.
+export function parseEmbedConfig(config) {
+  const parsed = typeof config === "string" ? JSON.parse(config) : config || {};
+  const allowSources = parsed.embed?.allowSources ?? [];
+  if (!Array.isArray(allowSources) || !allowSources.every((prefix) => typeof prefix === "string" && /^https:\/\/[^/?#]+\//.test(prefix))) {
+    throw new Error('embed.allowSources: list https url prefixes with a path, e.g. "https://docs.google.com/spreadsheets/d/e/<id>/"');
+  }
+  return { allowSources };
+}
+
+// URL the app pulls a sheet from, or null when it only has the bundled /csv/<name>.csv
+export function remoteUrl(entry) {
+  return entry?.url || null;
+}
+
+export const isBinarySource = (entry) => entry?.type === "xlsx";
+
+/* ----- CSV text ----- */
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells as CSV text, laid out like the committed sheets (CRLF, no trailing newline)
+export function rowsToCsv(rows) {
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  return rows.map((row) => Array.from({ length: width }, (_, i) => csvCell(row[i])).join(",")).join("\r\n");
+}
+
+/* ----- JSON bundles ----- */
+// Columns each row of a sheet must fill (the same as sheets.schema.json requires)
+const REQUIRED_COLUMNS = {
+  questions: ["level", "qId"],
+  phrases: ["key"],
+  rules: ["level", "qId"],
+  levels: ["level"],
+  niyabah_questions: ["level", "qId"],
+  niyabah_rules: ["level", "qId"],
+};
+const isCellValue = (v) => v === null || ["string", "number", "boolean"].includes(typeof v);
+
+// Problems of a JSON bundle against sheets.schema.json, as readable strings ([] when valid)
+export function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) return ["the bundle must be a JSON object"];
+  const problems = [];
+  if (bundle.format !== BUNDLE_FORMAT) problems.push(`format must be "${BUNDLE_FORMAT}"`);
+  if (bundle.version !== BUNDLE_VERSION) problems.push(`version must be ${BUNDLE_VERSION}`);
+  const sheets = bundle.sheets;
+  if (!sheets || typeof sheets !== "object" || Array.isArray(sheets)) return [...problems, "sheets must be an object of sheet name -> rows"];
+  for (const [name, rows] of Object.entries(sheets)) {
+    if (!SHEET_NAMES.includes(name)) { problems.push(`sheets.${name}: unknown sheet`); continue; }
+    if (!Array.isArray(rows)) { problems.push(`sheets.${name}: must be an array of rows`); continue; }
+    rows.forEach((row, i) => {
+      if (!row || typeof row !== "object" || Array.isArray(row)) { problems.push(`sheets.${name}[${i}]: a row must be an object of column -> value`); return; }
+      for (const [column, value] of Object.entries(row)) {
+        if (!isCellValue(value)) problems.push(`sheets.${name}[${i}].${column}: must be text, a number, true/false or null`);
+      }
+      for (const column of REQUIRED_COLUMNS[name]) {
+        if (row[column] === undefined || row[column] === null || row[column] === "") problems.push(`sheets.${name}[${i}]: ${column} is required`);
+      }
+    });
+  }
+  for (const name of ["questions", "phrases", "rules"]) {
+    if (!(name in sheets)) problems.push(`sheets.${name}: required`);
+  }
+  return problems;
+}
+
+// CSV text of a bundle sheet: the columns in order of first appearance, then one line per row
+export function bundleSheetToCsv(rows) {
+  const columns = [];
+  for (const row of rows) for (const column of Object.keys(row)) if (!columns.includes(column)) columns.push(column);
+  return rowsToCsv([columns, ...rows.map((row) => columns.map((column) => (typeof row[column] === "boolean" ? String(row[column]).toUpperCase() : row[column])))]);
+}
+
+// A bundle holding the given CSV sheets ({ [name]: text }), e.g. to move a copy off Google Sheets
+// (`npm run versions -- export <file>`); empty cells are left out of the rows
+export function csvToBundle(sheets) {
+  const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, sheets: {} };
+  for (const name of SHEET_NAMES) {
+    if (typeof sheets[name] !== "string") continue;
+    const { header, data } = parseCSV(sheets[name]);
+    bundle.sheets[name] = data.map((row) => Object.fromEntries(header.map((column, i) => [column, row[i] ?? ""]).filter(([, value]) => value !== "")));
+  }
+  return bundle;
+}
+
+/* ----- decoding ----- */
+// CSV text of sheet `name` from the body of its source (text, or bytes for xlsx); throws when the
+// body is not what the entry says it is
+export async function decodeSheet(entry, name, body) {
+  const tab = entry.sheet || name;
+  if (entry.type === "xlsx") {
+    const tabs = await readWorkbook(body);
+    if (!tabs[tab]) throw new Error(`${name}: workbook has no tab "${tab}" (tabs: ${Object.keys(tabs).join(", ")})`);
+    return rowsToCsv(tabs[tab]);
+  }
+  const text = typeof body === "string" ? body : new TextDecoder().decode(body);
+  if (entry.type === "json") {
+    const bundle = JSON.parse(text);
+    const problems = validateBundle(bundle);
+    if (problems.length) throw new Error(`${name}: invalid JSON bundle: ${problems.slice(0, 5).join("; ")}`);
+    if (!bundle.sheets[tab]) throw new Error(`${name}: bundle has no sheet "${tab}"`);
+    return bundleSheetToCsv(bundle.sheets[tab]);
+  }
+  // a published Google Sheet answers an unpublished or private tab with its HTML sign-in page
+  if (/^\s*</.test(text)) throw new Error(`${name}: expected CSV but got an HTML page (is the sheet published?)`);
+  return text;
+}
@@ -0,0 +1,276 @@
+import { parseCSV, buildLogic, defaultVars, printKeys, NOTE_CATEGORIES, DEFAULT_MARJA, isValueInput, isDateInput, parseCondition, parseSetValue, setVarPairs, isComputedValue, EXPRESSION_FUNCTIONS } from "./engine.js";
+import { parseExpression, parseGuard, expressionFunctions, expressionVars } from "./expression.js";
+
+/* =====================
+   SHEET VALIDATION
+   ===================== */
+// Cross-sheet checks on the raw questions/phrases/rules(/levels, niyabah_*) CSVs. Run by scripts/sync-csvs.js
+// before anything is published and by dev builds of the app. Errors break the wizard and
+// block publishing; warnings (unreachable nodes, values the engine ignores) are only reported.
+const TERMINALS = new Set(["END", "FAIL"]);
+const LABEL_COLUMNS = ["label1", "label2", "label3", "label4", "label5"];
+const INPUT_TYPES = new Set(["bool", "options", "options3", "number", "currency", "date"]);
+
+export function validateSheets({ questions, phrases, rules, levels, niyabah_questions: niyabahQuestions, niyabah_rules: niyabahRules }) {
+  const errors = [];
+  const warnings = [];
+  const report = (list, sheet, row, message) => list.push({ sheet, row, message });
+
+  const Q = parseCSV(questions || "");
+  const P = parseCSV(phrases || "");
+  const cell = (sheet, row, name) => (sheet.idx(name) >= 0 ? row[sheet.idx(name)] || "" : "");
+
+  const phraseKeys = new Set(P.data.map((row) => cell(P, row, "key")).filter(Boolean));
+  P.data.forEach((row, i) => {
+    const category = cell(P, row, "category").trim().toLowerCase();
+    if (category && !NOTE_CATEGORIES.includes(category)) {
+      report(warnings, "phrases.csv", P.rowNumbers[i], `category "${category}" of ${cell(P, row, "key")} is not one of ${NOTE_CATEGORIES.join(", ")}; the note is shown as info`);
+    }
+  });
+  // same lookup as resolvePhrase: "Some Key" also resolves to "Some_Key"
+  const hasPhrase = (key) => phraseKeys.has(key) || phraseKeys.has(key.split(" ").filter(Boolean).join("_"));
+
+  const flow = { hasPhrase, report, errors, warnings };
+  const knownVars = validateFlow({ ...flow, Q, R: parseCSV(rules || ""), rules, names: { questions: "questions.csv", rules: "rules.csv" } });
+  // the niyabah follow-up starts from the vars all levels leave behind (NIYABAT, ...)
+  if (niyabahQuestions || niyabahRules) {
+    validateFlow({
+      ...flow,
+      Q: parseCSV(niyabahQuestions || ""),
+      R: parseCSV(niyabahRules || ""),
+      rules: niyabahRules,
+      names: { questions: "niyabah_questions.csv", rules: "niyabah_rules.csv" },
+      inheritedVars: knownVars,
+    });
+  }
+
+  if (levels) {
+    // level -> sheet row of its first question
+    const questionLevels = new Map();
+    Q.data.forEach((row, i) => {
+      const level = cell(Q, row, "level");
+      if (level && !questionLevels.has(level)) questionLevels.set(level, Q.rowNumbers[i]);
+    });
+    validateLevels(parseCSV(levels), questionLevels, report, errors, warnings);
+  }
+
+  const byPosition = (a, b) => a.sheet.localeCompare(b.sheet) || a.row - b.row;
+  return { errors: errors.sort(byPosition), warnings: warnings.sort(byPosition) };
+}
+
+// Route checks for one questions/rules sheet pair (the levels, or a follow-up flow); returns the vars
+// its rules can set, for the guards of a flow that runs after it
+function validateFlow({ Q, R, rules, names, hasPhrase, report, errors, warnings, inheritedVars = [] }) {
+  const cell = (sheet, row, name) => (sheet.idx(name) >= 0 ? row[sheet.idx(name)] || "" : "");
+
+  // `${level}:${qId}` -> English option labels of the question
+  const questionLabels = new Map();
+  for (const row of Q.data) {
+    const level = cell(Q, row, "level");
+    const qId = cell(Q, row, "qId");
+    if (!level || !qId) continue;
+    questionLabels.set(`${level}:${qId}`, LABEL_COLUMNS.map((c) => cell(Q, row, c)).filter(Boolean));
+  }
+
+  const nodesByLevel = new Map();
+  for (const row of R.data) {
+    const level = cell(R, row, "level");
+    const qId = cell(R, row, "qId");
+    if (!level || !qId) continue;
+    if (!nodesByLevel.has(level)) nodesByLevel.set(level, new Set());
+    nodesByLevel.get(level).add(qId);
+  }
+
+  // vars a guard_expr can read: answers (by field), set_vars of any level, and the built-in ones
+  const knownVars = new Set([...Object.keys(defaultVars()), "TODAY", "HAJJ_YEAR", ...inheritedVars]);
+  for (const row of R.data) {
+    knownVars.add(cell(R, row, "field") || cell(R, row, "qId"));
+    for (const [name] of setVarPairs(cell(R, row, "set_vars"))) knownVars.add(name);
+  }
+
+  const missingQuestions = new Set();
+  const firstRowOf = new Map();
+  const unguarded = new Map();
+  const routedLabels = new Map();
+  R.data.forEach((row, i) => {
+    const n = R.rowNumbers[i];
+    const level = cell(R, row, "level");
+    const qId = cell(R, row, "qId");
+    if (!level || !qId) return;
+    const key = `${level}:${qId}`;
+    if (!firstRowOf.has(key)) firstRowOf.set(key, n);
+
+    const labels = questionLabels.get(key);
+    if (!labels && !missingQuestions.has(key)) {
+      missingQuestions.add(key);
+      report(errors, names.rules, n, `${qId} has no row in ${names.questions}`);
+    }
+
+    for (const col of ["next", "guard_next", "fallback"]) {
+      const target = cell(R, row, col);
+      if (target && !TERMINALS.has(target) && !nodesByLevel.get(level).has(target)) {
+        report(errors, names.rules, n, `${col} "${target}" of ${qId} is not a question of level ${level}`);
+      }
+    }
+
+    const setPairs = setVarPairs(cell(R, row, "set_vars"));
+    const setVars = Object.fromEntries(setPairs);
+    const phraseRefs = [
+      ["fail_reason", cell(R, row, "fail_reason")],
+      ["guard_reason", cell(R, row, "guard_reason")],
+      ["phrase", cell(R, row, "phrase")],
+      ["END_PHRASE", setVars.END_PHRASE],
+      ...setPairs.filter(([k]) => k === "PRINT").flatMap(([, v]) => printKeys(v)).map((key) => ["PRINT", key]),
+    ];
+    for (const [col, ref] of phraseRefs) {
+      if (ref && !hasPhrase(ref)) report(errors, names.rules, n, `${col} "${ref}" of ${qId} is not a key in phrases.csv`);
+    }
+    for (const [name, raw] of Object.entries(setVars)) {
+      const value = parseSetValue(raw);
+      if (!isComputedValue(value)) {
+        if (looksLikeFormula(value, knownVars)) report(warnings, names.rules, n, `set_vars ${name} of ${qId} is the text "${value}"; write ${name} = =${value} to compute it`);
+        continue;
+      }
+      let ast;
+      try { ast = parseExpression(value.expr); } catch (e) { report(errors, names.rules, n, `set_vars ${name} of ${qId} is not a valid formula (${name} = =expression): ${e.message}`); continue; }
+      for (const fn of expressionFunctions(ast)) {
+        if (!EXPRESSION_FUNCTIONS.includes(fn)) report(errors, names.rules, n, `set_vars ${name} of ${qId} calls unknown function ${fn}`);
+      }
+    }
+
+    const guardExpr = cell(R, row, "guard_expr");
+    if (guardExpr) {
+      if (cell(R, row, "guard_if_var")) report(errors, names.rules, n, `guard_expr and guard_if_var of ${qId} are both set`);
+      let ast = null;
+      try { ast = parseGuard(guardExpr); } catch (e) { report(errors, names.rules, n, `guard_expr of ${qId} is not a valid expression: ${e.message}`); }
+      for (const fn of expressionFunctions(ast)) {
+        if (!EXPRESSION_FUNCTIONS.includes(fn)) report(errors, names.rules, n, `guard_expr of ${qId} calls unknown function ${fn}`);
+      }
+      for (const name of expressionVars(ast)) {
+        if (!knownVars.has(name)) report(warnings, names.rules, n, `guard_expr of ${qId} reads ${name}, which no question or set_vars sets`);
+      }
+    }
+
+    // the answer a route matches: TRUE/FALSE for bool questions, a comparison for numbers and dates, the option value otherwise
+    const inputType = cell(R, row, "input_type") || "bool";
+    const optLabel = cell(R, row, "option_label");
+    const optValue = cell(R, row, "option_value") || optLabel;
+    let match = optValue;
+    if (!INPUT_TYPES.has(inputType)) {
+      report(errors, names.rules, n, `input_type "${inputType}" of ${qId} is not one of ${[...INPUT_TYPES].join(", ")}`);
+    } else if (isValueInput(inputType)) {
+      const example = isDateInput(inputType) ? ">= 2010-01-01" : ">= 1000";
+      if (optValue && !parseCondition(optValue, inputType)) report(errors, names.rules, n, `option_value "${optValue}" of ${inputType} question ${qId} is not a comparison like "${example}"`);
+    } else if (inputType === "bool") {
+      match = optValue.toLowerCase();
+      if (match !== "true" && match !== "false") report(errors, names.rules, n, `option_value "${optValue}" of bool question ${qId} is not TRUE or FALSE`);
+      if (labels?.length && optLabel && !labels.includes(optLabel)) report(errors, names.rules, n, `option "${optLabel}" of ${qId} matches no label in ${names.questions}`);
+    } else if (labels && !labels.includes(optValue)) {
+      report(errors, names.rules, n, `option "${optValue}" of ${qId} matches no label in ${names.questions}`);
+    }
+    if (!routedLabels.has(key)) routedLabels.set(key, { n, qId, inputType, values: new Set(), fallback: false });
+    const routed = routedLabels.get(key);
+    routed.values.add(match);
+    if (cell(R, row, "fallback")) routed.fallback = true;
+
+    // a second unguarded route for the same answer (and marja) can never be taken
+    if (!cell(R, row, "guard_if_var") && !guardExpr) {
+      const routeKey = `${key}:${cell(R, row, "marja").toLowerCase()}:${match}`;
+      if (unguarded.has(routeKey)) {
+        report(errors, names.rules, n, `duplicate unguarded route for ${qId} = ${optLabel || optValue} (first on row ${unguarded.get(routeKey)})`);
+      } else unguarded.set(routeKey, n);
+    }
+
+    // values the engine reads but never shows for this route
+    const next = cell(R, row, "next");
+    const failReason = cell(R, row, "fail_reason");
+    const fails = next === "FAIL" || (!next && failReason) || cell(R, row, "guard_next") === "FAIL";
+    const phrase = cell(R, row, "phrase");
+    if (phrase && !fails) report(warnings, names.rules, n, `phrase "${phrase}" on ${qId} = ${optLabel || optValue} is set on a route that does not fail`);
+    if (failReason && next && next !== "FAIL") report(warnings, names.rules, n, `fail_reason "${failReason}" on ${qId} = ${optLabel || optValue} is ignored because next is ${next}`);
+  });
+
+  // option questions: every label shown to the user needs a route (or a fallback)
+  for (const [key, { n, qId, inputType, values, fallback }] of routedLabels) {
+    if (inputType === "bool" || isValueInput(inputType) || fallback) continue;
+    for (const label of questionLabels.get(key) || []) {
+      if (!values.has(label)) report(errors, names.questions, n, `label "${label}" of ${qId} has no route in ${names.rules}`);
+    }
+  }
+
+  // reachable in at least one marja's ruleset, starting from the level's entry node
+  const marjas = R.idx("marja") >= 0
+    ? [...new Set([DEFAULT_MARJA, ...R.data.flatMap((row) => cell(R, row, "marja").split(/[,;]/).map((s) => s.trim().toLowerCase()))])].filter(Boolean)
+    : [DEFAULT_MARJA];
+  const reachable = new Set();
+  for (const marja of marjas) {
+    const logic = buildLogic({ kind: "csv", data: rules || "" }, marja);
+    for (const [level, lvl] of Object.entries(logic)) {
+      const queue = lvl.entry_node ? [lvl.entry_node] : [];
+      while (queue.length) {
+        const id = queue.shift();
+        if (reachable.has(`${level}:${id}`)) continue;
+        reachable.add(`${level}:${id}`);
+        const node = lvl.nodes.find((nd) => nd.id === id);
+        if (!node) continue;
+        const targets = [node.fallback_node, ...node.routes.flatMap((r) => [r.goto_node, r.guard?.next])];
+        for (const t of targets) if (t && !TERMINALS.has(t)) queue.push(t);
+      }
+    }
+  }
+  for (const [key, n] of firstRowOf) {
+    if (!reachable.has(key)) report(warnings, names.rules, n, `${key.split(":")[1]} is unreachable from the first question of level ${key.split(":")[0]}`);
+  }
+
+  return knownVars;
+}
+
+// A plain set_vars value that reads like arithmetic on known vars (SURPLUS = SAVINGS - DEBTS): probably a
+// formula written without its leading "=", which the engine keeps as text
+function looksLikeFormula(value, knownVars) {
+  if (typeof value !== "string" || !/\s[-+*/]\s/.test(value)) return false;
+  try {
+    const vars = expressionVars(parseExpression(value));
+    return vars.length > 0 && vars.every((name) => knownVars.has(name));
+  } catch {
+    return false;
+  }
+}
+
+export function formatIssue({ sheet, row, message }) {
+  return `${sheet} row ${row}: ${message}`;
+}
+
+// levels.csv: requirements must name known levels without cycles; every level with questions needs a row
+function validateLevels(L, questionLevels, report, errors, warnings) {
+  const cell = (row, name) => (L.idx(name) >= 0 ? row[L.idx(name)] || "" : "");
+  const rows = new Map();
+  L.data.forEach((row, i) => {
+    const level = cell(row, "level");
+    if (!level) return;
+    const n = L.rowNumbers[i];
+    if (!rows.has(level)) rows.set(level, { n, requires: cell(row, "requires").split(/[,;]/).map((s) => s.trim()).filter(Boolean) });
+    if (!questionLevels.has(level)) report(errors, "levels.csv", n, `level ${level} has no questions in questions.csv`);
+    if (cell(row, "auto_complete_if_var") && !cell(row, "auto_complete_op")) report(errors, "levels.csv", n, `auto_complete_op of level ${level} is empty`);
+  });
+
+  for (const [level, { n, requires }] of rows) {
+    for (const req of requires) {
+      if (!rows.has(req)) report(errors, "levels.csv", n, `level ${level} requires unknown level ${req}`);
+    }
+    // a level that (indirectly) requires itself can never be unlocked
+    const seen = new Set();
+    const queue = [...requires];
+    while (queue.length) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      queue.push(...(rows.get(id)?.requires || []));
+    }
+    if (seen.has(level)) report(errors, "levels.csv", n, `level ${level} requires itself through ${requires.join(";")}`);
+  }
+
+  for (const [level, n] of questionLevels) {
+    if (!rows.has(level)) report(warnings, "questions.csv", n, `level ${level} has no row in levels.csv`);
+  }
+}
@@ -0,0 +1,86 @@
+import { sheetVersion } from "./report.js";
+
+/* =====================
+   SHEET VERSIONS
+   ===================== */
+// Every set of sheets that sync-csvs publishes is kept as a snapshot (csv/versions/<id>/*.csv) and listed
+// in a manifest, also served to the app as /csv/versions.json:
+//
+//   { active: "<id>", pinned: false, versions: [{ id, createdAt, source, sheets: { rules: "<hash>", ... } }] }
+//
+// A snapshot id is the same content hash the app computes for the sheets it loaded (sheetVersion), so
+// the rules version shown in the app and on reports names a snapshot that can be rolled back to.
+// `pinned` holds the published sheets at `active` (see scripts/sheet-versions.js): sync-csvs stops
+// publishing and the app loads the bundled files instead of the live Google Sheets.
+
+// csv/<name>.csv by the key the app loads it under (the `sources` of EligibilityApp)
+export const SHEET_SOURCES = {
+  questions: "questions",
+  phrases: "phrases",
+  rules: "logic",
+  levels: "levels",
+  niyabah_questions: "niyabahQuestions",
+  niyabah_rules: "niyabahRules",
+};
+
+// Snapshot id of a sheet set ({ [name]: text }, missing sheets null), equal to sheetVersion of the same
+// sheets loaded by the app
+export function snapshotId(sheets) {
+  const sources = {};
+  for (const [name, key] of Object.entries(SHEET_SOURCES)) {
+    if (typeof sheets?.[name] === "string") sources[key] = { kind: "csv", data: sheets[name] };
+  }
+  return sheetVersion(sources).hash;
+}
+
+// Per-sheet hashes, so `versions list` can say which sheets a snapshot changed
+export function sheetHashes(sheets) {
+  const hashes = {};
+  for (const name of Object.keys(SHEET_SOURCES)) {
+    if (typeof sheets?.[name] === "string") hashes[name] = snapshotId({ [name]: sheets[name] });
+  }
+  return hashes;
+}
+
+// Sheets whose edits change verdicts. They go live only through a sync, once the golden paths accepted
+// them, so the app takes a live pull of one only if a published snapshot has the same sheet
+export const VERDICT_SHEETS = ["rules", "niyabah_rules"];
+
+export function isApprovedSheet(manifest, name, text) {
+  const hash = sheetHashes({ [name]: text })[name];
+  return (manifest?.versions || []).some((v) => v.sheets?.[name] === hash);
+}
+
+export const emptyManifest = () => ({ active: null, pinned: false, versions: [] });
+
+// Manifest with the snapshot made active; a sheet set seen before keeps its first entry (and date)
+export function addVersion(manifest, { id, createdAt, source, sheets }) {
+  const base = manifest || emptyManifest();
+  const known = base.versions.some((v) => v.id === id);
+  return {
+    ...base,
+    active: id,
+    versions: known ? base.versions : [...base.versions, { id, createdAt, source, sheets }],
+  };
+}
+
+// The snapshot an id or unambiguous id prefix names; throws when there is none or several
+export function findVersion(manifest, ref) {
+  const matches = (manifest?.versions || []).filter((v) => v.id.startsWith(String(ref || "").toLowerCase()));
+  if (!ref || !matches.length) throw new Error(`no sheet version "${ref || ""}"`);
+  if (matches.length > 1) throw new Error(`"${ref}" matches ${matches.length} versions: ${matches.map((v) => v.id).join(", ")}`);
+  return matches[0];
+}
+
+// What the app shows as its rules version: the hash of the sheets it loaded, with the snapshot's date
+// when the manifest knows it (a live sheet edited after the last sync has none yet)
+export function rulesRelease(manifest, sources) {
+  const { hash, fetchedAt } = sheetVersion(sources);
+  const snapshot = (manifest?.versions || []).find((v) => v.id === hash) || null;
+  return {
+    id: hash,
+    createdAt: snapshot?.createdAt || null,
+    fetchedAt,
+    pinned: Boolean(manifest?.pinned && manifest.active === hash),
+  };
+}
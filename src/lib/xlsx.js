@@ -0,0 +1,115 @@
+/* =====================
+   XLSX WORKBOOKS
+   ===================== */
+// Just enough of the Office Open XML format to read the text of a workbook's tabs: the zip container
+// (stored or deflated entries, inflated with the platform's DecompressionStream, so it runs in the
+// browser and in node alike), shared strings, inline strings and plain cell values. Styles, formulas
+// and date formats are ignored: a cell reads as the value Excel saved for it, so sheets are expected to
+// hold text, as the Google Sheets tabs do.
+
+const EOCD = 0x06054b50;
+const CENTRAL_ENTRY = 0x02014b50;
+const LOCAL_ENTRY = 0x04034b50;
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// { [path]: () => Promise<Uint8Array> } for the files of a zip archive
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === EOCD) { end = i; break; }
+  }
+  if (end < 0) throw new Error("not an xlsx workbook (no zip directory found)");
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(at, true) !== CENTRAL_ENTRY) throw new Error("corrupt xlsx workbook (bad zip directory)");
+    const method = view.getUint16(at + 10, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    files[name] = async () => {
+      if (view.getUint32(offset, true) !== LOCAL_ENTRY) throw new Error(`corrupt xlsx workbook (${name})`);
+      const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`unsupported compression in xlsx workbook (${name})`);
+    };
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity.toLowerCase()];
+  if (named) return named;
+  return String.fromCodePoint(entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+});
+
+const attribute = (tag, name) => decodeXml(tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? "");
+
+// Text of every <t> inside an element (rich text runs are concatenated; phonetic runs skipped)
+const textOf = (xml) => decodeXml(xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").match(/<t\b[^>]*>[\s\S]*?<\/t>/g)?.map((t) => t.replace(/^<t\b[^>]*>|<\/t>$/g, "")).join("") ?? "");
+
+// "C12" -> 2
+function columnIndex(ref) {
+  let col = 0;
+  for (const ch of ref.match(/^[A-Z]+/)?.[0] ?? "") col = col * 26 + ch.charCodeAt(0) - 64;
+  return col - 1;
+}
+
+function parseWorksheet(xml, sharedStrings) {
+  const rows = [];
+  for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const [, tag, body = ""] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = attribute(tag, "t");
+      const value = decodeXml(body.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? "");
+      let text = value;
+      if (type === "s") text = sharedStrings[Number(value)] ?? "";
+      else if (type === "inlineStr") text = textOf(body);
+      else if (type === "b") text = value === "1" ? "TRUE" : "FALSE";
+      const ref = attribute(tag, "r");
+      const col = ref ? columnIndex(ref) : row.length;
+      while (row.length < col) row.push("");
+      row[col] = text;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// { [tab name]: rows (arrays of cell text) } of an .xlsx file
+export async function readWorkbook(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const files = readZip(bytes);
+  const read = async (path) => (files[path] ? new TextDecoder().decode(await files[path]()) : null);
+
+  const workbook = await read("xl/workbook.xml");
+  if (!workbook) throw new Error("not an xlsx workbook (no xl/workbook.xml)");
+  const rels = (await read("xl/_rels/workbook.xml.rels")) || "";
+  const targets = {};
+  for (const [tag] of rels.matchAll(/<Relationship\b[^>]*>/g)) targets[attribute(tag, "Id")] = attribute(tag, "Target");
+  const shared = (await read("xl/sharedStrings.xml")) || "";
+  const sharedStrings = [...shared.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(([, si]) => textOf(si));
+
+  const tabs = {};
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const target = targets[attribute(tag, "r:id")] || "";
+    const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    const xml = await read(path);
+    if (xml !== null) tabs[attribute(tag, "name")] = parseWorksheet(xml, sharedStrings);
+  }
+  return tabs;
+}
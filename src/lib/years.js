@@ -0,0 +1,52 @@
+import { overallStatus } from "./engine.js";
+import { dayOf, dayToGregorian, hajjYearOf, hijriToDay } from "./calendar.js";
+
+/* =====================
+   YEARS (MUSTAQARR)
+   ===================== */
+// Every Hijri year keeps its own level answers. Hajj that was obligatory in an earlier year and not
+// performed stays obligatory (mustaqarr) even when this year's conditions are not met, so the
+// conclusion looks at all evaluated years together.
+
+// Hijri year of the Hajj season the app evaluates by default (the next one, or the one under way)
+export function currentHajjYear(date = new Date()) {
+  return hajjYearOf(dayOf(date));
+}
+
+// Vars an earlier year is evaluated with: its own Hajj season, seen from 1 Dhu al-Hijjah of that
+// year, so date rules (lunar age, days until Hajj) give the answer that applied at the time
+export function yearVars(year, currentYear) {
+  if (year === currentYear) return {};
+  return { HAJJ_YEAR: year, TODAY: hijriToDay(year, 12, 1) };
+}
+
+// Gregorian year in which a Hijri year's Hajj season fell, to help place it
+export function gregorianYearOf(year) {
+  return dayToGregorian(hijriToDay(year, 12, 1)).year;
+}
+
+// Earlier years offered for evaluation, newest first
+export function pastYears(currentYear, count = 40) {
+  return Array.from({ length: count }, (_, i) => currentYear - 1 - i);
+}
+
+// { status, year, verdicts } for `statusesByYear` ({ [hijriYear]: level statuses }):
+//   "performed"      Hajjatul Islam was performed after it first became obligatory (`year`)
+//   "mustaqarr"      obligatory in the earlier `year` and not performed: still owed today
+//   "obligatory"     obligatory this year
+//   "not_obligatory" this year failed and no earlier evaluated year was obligatory
+//   "incomplete"     nothing decided yet
+// `verdicts` lists every evaluated year (newest first) with its overall verdict.
+export function mustaqarrConclusion({ levels, statusesByYear, currentYear, performedSince = false }) {
+  const verdicts = Object.entries(statusesByYear || {})
+    .filter(([, statuses]) => Object.keys(statuses || {}).length > 0)
+    .map(([year, statuses]) => ({ year: Number(year), verdict: overallStatus(levels, statuses) }))
+    .sort((a, b) => b.year - a.year);
+  const current = verdicts.find((v) => v.year === currentYear)?.verdict ?? null;
+  const firstObligatory = verdicts.filter((v) => v.year < currentYear && v.verdict === "completed").pop();
+
+  if (firstObligatory) return { status: performedSince ? "performed" : "mustaqarr", year: firstObligatory.year, verdicts };
+  if (current === "completed") return { status: "obligatory", year: currentYear, verdicts };
+  if (current === "failed") return { status: "not_obligatory", year: null, verdicts };
+  return { status: "incomplete", year: null, verdicts };
+}
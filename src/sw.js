@@ -0,0 +1,105 @@
+/* =====================
+   SERVICE WORKER
+   ===================== */
+// Built into dist/sw.js by the precache plugin in vite.config.js, which fills in BUILD, PRECACHE (the
+// hashed bundle, index.html, the manifest, images and csv/*.csv) and SHEET_URLS (the remote sources of
+// sheets.config.json). Registered in production only.
+//
+// - The app shell is precached per build and served cache-first, so the app opens offline. A new build
+//   waits until the page asks it to take over (see src/lib/pwa.js), never in the middle of a session.
+// - Sheets (csv/*.csv and the configured remote sources) are served stale-while-revalidate from a cache
+//   that outlives builds. When the revalidated copy differs, open pages get a "sheets-updated" message
+//   and offer to apply the new rules instead of switching silently.
+const BUILD = "__BUILD__";
+const PRECACHE = ["__PRECACHE__"];
+const SHEET_URLS = ["__SHEET_URLS__"];
+
+// The folder sw.js is served from: the base path the app was built for
+const BASE = new URL("./", self.location.href).pathname;
+
+const SHELL_CACHE = `shell-${BUILD}`;
+const SHEETS_CACHE = "sheets-v1";
+
+// The app adds ?v=<boot time> to skip HTTP caches; one cache entry per sheet regardless
+function sheetKey(url) {
+  const key = new URL(url);
+  key.searchParams.delete("v");
+  return key.href;
+}
+
+const remoteSheets = new Set(SHEET_URLS.map(sheetKey));
+const isSheet = (url) =>
+  (url.origin === self.location.origin && url.pathname.startsWith(BASE + "csv/") && url.pathname.endsWith(".csv")) ||
+  remoteSheets.has(sheetKey(url));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(PRECACHE.filter((path) => !isSheet(new URL(path, self.location.origin))));
+    // the bundled CSVs seed the sheet cache, without replacing a newer copy it already holds
+    const sheets = await caches.open(SHEETS_CACHE);
+    for (const path of PRECACHE.filter((p) => isSheet(new URL(p, self.location.origin)))) {
+      const key = sheetKey(new URL(path, self.location.origin));
+      if (!(await sheets.match(key))) await sheets.add(key).catch(() => {});
+    }
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith("shell-") && name !== SHELL_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+async function notifySheetsUpdated(url) {
+  for (const client of await self.clients.matchAll({ type: "window" })) {
+    client.postMessage({ type: "sheets-updated", url });
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHEETS_CACHE);
+  const key = sheetKey(event.request.url);
+  const cached = await cache.match(key);
+  const before = cached ? await cached.clone().text() : null;
+
+  // a request of its own, so it completes even when the page gives up waiting (SHEET_TIMEOUT_MS)
+  const revalidate = fetch(event.request.url, { cache: "no-store" }).then(async (response) => {
+    if (!response.ok) return response;
+    const text = await response.clone().text();
+    await cache.put(key, response.clone());
+    if (before !== null && text !== before) await notifySheetsUpdated(key);
+    return response;
+  });
+
+  if (!cached) return revalidate;
+  event.waitUntil(revalidate.catch(() => {}));
+  return cached;
+}
+
+// Every navigation gets the single-page app shell of this build, except the pages it precaches itself
+// (embed.html, the calculator framed in partner sites)
+async function cacheFirst(request) {
+  const page = request.mode === "navigate" && (await caches.match(request, { ignoreSearch: true }));
+  const cached = page || (await caches.match(request.mode === "navigate" ? BASE + "index.html" : request));
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (isSheet(url)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+  event.respondWith(cacheFirst(request));
+});
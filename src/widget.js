@@ -0,0 +1,65 @@
+import { EMBED_SOURCE, EMBED_OPTIONS, embedQuery } from "@/lib/embed";
+
+/* =====================
+   <hajj-eligibility> ELEMENT
+   ===================== */
+// Built to dist/widget.js. A partner page loads it as a module next to the build and places the element:
+//
+//   <script type="module" src="https://example.org/hajj/widget.js"></script>
+//   <hajj-eligibility marja="khamenei" language="ur" theme="dark"></hajj-eligibility>
+//
+// The element frames embed.html from the same build (or the page its `src` attribute names), so the
+// calculator keeps its own document, styles and storage. It sizes the frame to the calculator and
+// re-dispatches its messages as "levelchange" ({ levelId, verdict }) and "resultchange" ({ verdict,
+// levels }) events, which bubble out of the element. Browsers load a module from another site only with
+// CORS, so widget.js and assets/ are served with Access-Control-Allow-Origin; a site that cannot load it
+// frames embed.html?marja=…&origin=… itself and listens for the same messages on window.
+const APP_URL = new URL("embed.html", import.meta.url).href;
+const ATTRIBUTES = ["src", ...EMBED_OPTIONS.filter((name) => name !== "origin")];
+
+class HajjEligibility extends HTMLElement {
+  static observedAttributes = ATTRIBUTES;
+
+  constructor() {
+    super();
+    this.frame = document.createElement("iframe");
+    this.frame.title = "Hajj eligibility";
+    this.frame.style.cssText = "display: block; width: 100%; height: 40rem; border: 0;";
+    this.attachShadow({ mode: "open" }).append(this.frame);
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener("message", this.onMessage);
+    this.load();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener("message", this.onMessage);
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.load();
+  }
+
+  load() {
+    const url = new URL(this.getAttribute("src") || APP_URL, document.baseURI);
+    const options = Object.fromEntries(EMBED_OPTIONS.map((name) => [name, this.getAttribute(name)]));
+    url.search = embedQuery({ ...options, origin: window.location.origin });
+    if (this.frame.src !== url.href) this.frame.src = url.href;
+  }
+
+  onMessage(event) {
+    if (event.source !== this.frame.contentWindow || event.data?.source !== EMBED_SOURCE) return;
+    const { type, height, levelId, verdict, levels } = event.data;
+    if (type === "resize") {
+      this.frame.style.height = `${Math.ceil(height)}px`;
+      return;
+    }
+    if (type !== "level" && type !== "result") return;
+    const detail = type === "level" ? { levelId, verdict } : { verdict, levels };
+    this.dispatchEvent(new CustomEvent(`${type}change`, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (!customElements.get("hajj-eligibility")) customElements.define("hajj-eligibility", HajjEligibility);
@@ -0,0 +1,181 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM, VirtualConsole } from "jsdom";
+import axe from "axe-core";
+import { createServer } from "vite";
+
+import { loadRuleset } from "./helpers.js";
+
+// The app rendered in jsdom, screen by screen, with axe checking each against WCAG 2.1 A/AA. jsdom does
+// no layout, so axe leaves colour contrast unchecked (see the palettes in src/App.jsx for that).
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const en = JSON.parse(fs.readFileSync(path.join(ROOT, "src", "json-files", "en.json"), "utf8"));
+const { phrases } = loadRuleset("sistani", "en");
+
+// page errors still reach the test output; jsdom's notes on what it does not implement (canvas) do not
+const virtualConsole = new VirtualConsole();
+virtualConsole.forwardTo(console, { jsdomErrors: "none" });
+
+const dom = new JSDOM('<!doctype html><html lang="en"><head><title>Hajj eligibility</title></head><body><div id="root"></div></body></html>', {
+  url: "http://localhost/",
+  pretendToBeVisual: true,
+  runScripts: "outside-only",
+  virtualConsole,
+});
+const { window } = dom;
+const document = window.document;
+// React and the app run against jsdom's window; it has no matchMedia, so no theme or motion preference
+window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} });
+for (const name of Object.getOwnPropertyNames(window)) {
+  if (!(name in globalThis)) Object.defineProperty(globalThis, name, { configurable: true, writable: true, value: window[name] });
+}
+Object.defineProperty(globalThis, "navigator", { configurable: true, value: window.navigator });
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+// the bundled sheets from public/; nothing else (the configured remote sheets fail over to them)
+globalThis.fetch = async (url) => {
+  const { origin, pathname } = new URL(url, window.location.href);
+  const file = path.join(ROOT, "public", decodeURIComponent(pathname));
+  if (origin !== window.location.origin || !fs.existsSync(file)) return new Response("", { status: 404 });
+  return new Response(fs.readFileSync(file));
+};
+window.eval(axe.source);
+
+async function violations() {
+  const { violations } = await window.axe.run(document, { runOnly: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"] });
+  return [...violations].map((v) => `${v.id}: ${[...v.nodes].map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+let server;
+let act;
+let root;
+
+const pause = (ms) => act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+
+// Waits (through React's act, so effects and animations run) until `find` returns something
+async function waitFor(find, what) {
+  for (let i = 0; i < 100; i++) {
+    const found = find();
+    if (found) return found;
+    await pause(50);
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+// A control by its accessible name (aria-label or text), optionally within `scope`
+function control(name, scope = document) {
+  return [...scope.querySelectorAll('button, [role="button"], [role="radio"]')]
+    .find((el) => el.getAttribute("aria-label") === name || el.textContent.trim() === name);
+}
+
+async function click(name, scope) {
+  const el = await waitFor(() => control(name, scope), `"${name}"`);
+  await act(() => el.click());
+}
+
+async function pressEscape() {
+  await act(() => document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Escape", bubbles: true })));
+}
+
+const dialog = () => document.querySelector('[role="dialog"], [role="alertdialog"]');
+
+// Types into a field or picks an option the way React sees it (through the value setter it tracks)
+async function fill(el, value) {
+  const proto = el.tagName === "SELECT" ? window.HTMLSelectElement : window.HTMLInputElement;
+  Object.getOwnPropertyDescriptor(proto.prototype, "value").set.call(el, value);
+  await act(() => el.dispatchEvent(new window.Event(el.tagName === "SELECT" ? "change" : "input", { bubbles: true })));
+}
+
+// Answers the date question on screen with a Gregorian ISO date
+async function enterDate(iso) {
+  const [year, month, day] = iso.split("-").map(Number);
+  const part = (name) => document.querySelector(`[aria-label$="– ${en[`date.${name}`]}"]`);
+  await waitFor(() => part("day"), "the date question");
+  await fill(part("day"), String(day));
+  await fill(part("month"), String(month));
+  await fill(part("year"), String(year));
+  await click(en["input.confirm"]);
+}
+
+// Opens a Home modal from the menu, checks it and closes it with Escape
+async function checkModal(item) {
+  await click(en["header.menu"]);
+  await click(item);
+  await waitFor(dialog, `the ${item} dialog`);
+  await pause(500);
+  assert.deepEqual(await violations(), []);
+  await pressEscape();
+  await waitFor(() => !dialog(), `the ${item} dialog to close`);
+}
+
+before(async () => {
+  server = await createServer({ root: ROOT, logLevel: "silent", appType: "custom", server: { middlewareMode: true, hmr: false, watch: null } });
+  const { default: App } = await server.ssrLoadModule("/src/App.jsx");
+  const React = await import("react");
+  const { createRoot } = await import("react-dom/client");
+  act = React.act;
+  window.localStorage.setItem("hajj_app_visited", "true");
+  root = createRoot(document.getElementById("root"));
+  await act(() => root.render(React.createElement(App)));
+  await waitFor(() => control(phrases.Reset), "Home");
+  await pause(500);
+});
+
+after(async () => {
+  if (root) await act(() => root.unmount());
+  await server?.close();
+  window.close();
+});
+
+describe("accessibility", () => {
+  test("Home", async () => {
+    assert.deepEqual(await violations(), []);
+  });
+
+  test("the Settings, Help and About modals", async () => {
+    for (const item of [phrases.Settings, phrases.Help, phrases.About]) await checkModal(item);
+  });
+
+  test("the reset confirmation", async () => {
+    await click(phrases.Reset);
+    await waitFor(() => document.querySelector('[role="alertdialog"]'), "the reset confirmation");
+    await pause(500);
+    assert.deepEqual(await violations(), []);
+    await pressEscape();
+    await waitFor(() => !dialog(), "the reset confirmation to close");
+  });
+
+  test("a level in the wizard, with the confirmation before an answer clears later ones", async () => {
+    const personal = await waitFor(() => [...document.querySelectorAll('[role="button"]')].find((el) => el.textContent.includes("Personal")), "the Personal card");
+    await act(() => personal.click());
+    const group = (i) => document.querySelectorAll('[role="radiogroup"]')[i];
+    // L1Q1 asks for the birth date; an adult goes on to the yes/no questions
+    await enterDate("1990-01-01");
+    await waitFor(() => group(0), "the second question");
+    await click(en["answer.yes"], group(0));
+    await pause(500);
+    assert.deepEqual(await violations(), []);
+
+    await enterDate("2020-01-01");
+    await waitFor(() => document.querySelector('[role="alertdialog"]'), "the confirmation");
+    assert.deepEqual(await violations(), []);
+    // the changed answer fails the level, so Home then has an overall result and its report
+    await click(en["wizard.prune_confirm"]);
+    await click(en["common.done"]);
+  });
+
+  test("the share modal", async () => {
+    await checkModal(en["share.button"]);
+  });
+
+  test("the report", async () => {
+    await click(en["report.open"]);
+    await waitFor(() => control(en["report.back"]), "the report");
+    await pause(500);
+    assert.deepEqual(await violations(), []);
+    await click(en["report.back"]);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { validateSheets } from "../src/lib/validate.js";
+import { SHEET_NAMES } from "../src/lib/sources.js";
+import { toGrid, fromGrid, setCell, insertRow, removeRow, issuesByRow, filterRows } from "../src/lib/authoring.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const sheets = Object.fromEntries(SHEET_NAMES.map((name) => [name, fs.readFileSync(path.join(ROOT, "csv", `${name}.csv`), "utf8")]));
+
+describe("authoring grids", () => {
+  test("an unedited grid reads back as the same grid", () => {
+    for (const name of ["questions", "rules", "phrases"]) {
+      const grid = toGrid(sheets[name]);
+      assert.deepEqual(toGrid(fromGrid(grid)), grid, name);
+    }
+  });
+
+  test("a new row keeps the level and qId of the row above", () => {
+    const grid = toGrid('level,qId,question\r\n1,Q1,"Age, in years"\r\n1,Q2,Name');
+    const inserted = insertRow(grid, 0);
+    assert.deepEqual(inserted.rows, [["1", "Q1", "Age, in years"], ["1", "Q1", ""], ["1", "Q2", "Name"]]);
+    assert.deepEqual(insertRow(grid, -1).rows[0], ["", "", ""]);
+    assert.equal(fromGrid(removeRow(setCell(inserted, 1, 2, "New"), 0)), "level,qId,question\r\n1,Q1,New\r\n1,Q2,Name");
+    assert.equal(grid.rows.length, 2);
+  });
+
+  test("validator issues land on the grid row they were reported for", () => {
+    assert.equal(issuesByRow(validateSheets(sheets), "rules.csv")[4], undefined);
+    const grid = toGrid(sheets.rules);
+    const next = grid.header.indexOf("next");
+    const broken = fromGrid(setCell(grid, 4, next, "NO_SUCH_NODE"));
+    const issues = issuesByRow(validateSheets({ ...sheets, rules: broken }), "rules.csv");
+    assert.equal(issues[4]?.level, "error");
+    assert.match(issues[4].messages.join("\n"), /NO_SUCH_NODE/);
+  });
+
+  test("rows are filtered by any cell, ignoring case", () => {
+    const grid = toGrid("key,text\r\nA,Hello\r\nB,World");
+    assert.deepEqual(filterRows(grid, "world"), [1]);
+    assert.deepEqual(filterRows(grid, " "), [0, 1]);
+  });
+});
@@ -0,0 +1,70 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  gregorianToDay,
+  dayToGregorian,
+  hijriToDay,
+  dayToHijri,
+  isValidGregorian,
+  isValidHijri,
+  isoToDay,
+  dayToIso,
+  lunarAge,
+  hajjStart,
+  hajjYearOf,
+  formatDateAnswer,
+} from "../src/lib/calendar.js";
+
+const ui = (key, params) => (key === "date.hijri_format" ? `${params.day} ${params.month} ${params.year} AH` : key);
+
+describe("calendar conversion", () => {
+  test("converts known dates between Gregorian and Hijri", () => {
+    assert.deepEqual(dayToHijri(isoToDay("2023-07-19")), { year: 1445, month: 1, day: 1 });
+    assert.equal(dayToIso(hijriToDay(1446, 12, 8)), "2025-06-05");
+    assert.equal(dayToIso(hijriToDay(1, 1, 1)), "0622-07-19");
+  });
+
+  test("is the tabular calendar, a day after Umm al-Qura on 1 Muharram 1446", () => {
+    assert.equal(dayToIso(hijriToDay(1446, 1, 1)), "2024-07-08");
+  });
+
+  test("round-trips every day over several Hijri cycles", () => {
+    for (let day = isoToDay("1990-01-01"); day < isoToDay("2050-01-01"); day += 7) {
+      const g = dayToGregorian(day);
+      const h = dayToHijri(day);
+      assert.equal(gregorianToDay(g.year, g.month, g.day), day);
+      assert.equal(hijriToDay(h.year, h.month, h.day), day);
+      assert.ok(isValidHijri(h.year, h.month, h.day));
+    }
+  });
+
+  test("rejects dates that do not exist", () => {
+    assert.equal(isValidGregorian(2024, 2, 29), true);
+    assert.equal(isValidGregorian(2023, 2, 29), false);
+    assert.equal(isValidHijri(1445, 2, 30), false);
+    assert.equal(isValidHijri(1445, 13, 1), false);
+    assert.equal(isoToDay("2023-02-29"), null);
+    assert.equal(isoToDay("19/07/2023"), null);
+  });
+});
+
+describe("derived dates", () => {
+  test("lunar age counts completed Hijri years", () => {
+    const birth = isoToDay("2000-01-01");
+    assert.equal(lunarAge(birth, isoToDay("2014-07-01")), 14);
+    assert.equal(lunarAge(birth, isoToDay("2014-09-01")), 15);
+    assert.equal(lunarAge(birth, birth), 0);
+  });
+
+  test("the Hajj year stays current until the days of tashriq are over", () => {
+    assert.equal(hajjStart(1446), isoToDay("2025-06-05"));
+    assert.equal(hajjYearOf(isoToDay("2025-06-10")), 1446);
+    assert.equal(hajjYearOf(isoToDay("2025-06-11")), 1447);
+  });
+
+  test("formats a date answer in both calendars", () => {
+    assert.equal(formatDateAnswer("2023-07-19", "en", ui), "July 19, 2023 · 1 hijri.month.1 1445 AH");
+    assert.equal(formatDateAnswer("not a date", "en", ui), "not a date");
+  });
+});
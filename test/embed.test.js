@@ -0,0 +1,64 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { embedQuery, readEmbedOptions, hostOrigin, allowedSources, storagePrefix, verdictMessages } from "../src/lib/embed.js";
+
+describe("embed options", () => {
+  test("options given to the widget reach the framed app", () => {
+    const sources = '{"sheets":{"rules":{"type":"csv","url":"https://example.org/rules.csv?a=1&b=2"}}}';
+    const query = embedQuery({ marja: "khamenei", language: "ur", theme: "", sources, origin: "https://partner.example", src: "x" });
+    assert.deepEqual(readEmbedOptions("?" + query), { marja: "khamenei", language: "ur", sources, origin: "https://partner.example" });
+    assert.deepEqual(readEmbedOptions(""), {});
+  });
+
+  test("messages go to the host's origin, never to any page", () => {
+    assert.equal(hostOrigin("https://partner.example", "https://other.example/page"), "https://partner.example");
+    assert.equal(hostOrigin(undefined, "https://partner.example/hajj/?x=1"), "https://partner.example");
+    assert.equal(hostOrigin("*", "https://partner.example/"), null);
+    assert.equal(hostOrigin("https://partner.example/page", ""), null);
+    assert.equal(hostOrigin(undefined, ""), null);
+  });
+
+  test("a page's own sources count only under the allowed url prefixes", () => {
+    const allow = ["https://example.org/sheets/"];
+    const sources = '{"sheets":{"rules":{"type":"csv","url":"https://example.org/sheets/rules.csv"}}}';
+    assert.equal(allowedSources(sources, allow), sources);
+    assert.equal(allowedSources(sources, []), null);
+    assert.equal(allowedSources(sources, undefined), null);
+    assert.equal(allowedSources('{"sheets":{"rules":{"type":"csv","url":"https://example.org/sheetsx/rules.csv"}}}', allow), null);
+    assert.equal(allowedSources('{"sheets":{"rules":{"type":"csv","url":"https://example.org/sheets/rules.csv"},"phrases":{"type":"csv","url":"https://evil.example/phrases.csv"}}}', allow), null);
+    assert.equal(allowedSources('{"sheets":{"rules":{"type":"json","path":"csv/other.json"}}}', allow), null);
+    assert.equal(allowedSources('{"sheets":{}}', allow), null);
+    assert.equal(allowedSources("not json", allow), null);
+  });
+
+  test("a calculator with its own sources keeps its caches and session apart", () => {
+    const sources = '{"sheets":{"rules":{"type":"csv","url":"https://example.org/rules.csv"}}}';
+    const other = '{"sheets":{"rules":{"type":"csv","url":"https://example.org/other.csv"}}}';
+    assert.equal(storagePrefix(undefined), "");
+    assert.match(storagePrefix(sources), /^embed_[0-9a-f]{8}_$/);
+    assert.equal(storagePrefix(sources), storagePrefix(sources));
+    assert.notEqual(storagePrefix(sources), storagePrefix(other));
+  });
+});
+
+describe("verdict messages", () => {
+  const start = { levels: { 1: "not_completed", 2: "not_completed" }, result: "not_completed" };
+
+  test("the first report gives the overall verdict and every decided level", () => {
+    assert.deepEqual(verdictMessages(null, start), [{ type: "result", verdict: "not_completed", levels: start.levels }]);
+    const restored = { levels: { 1: "passed", 2: "not_completed" }, result: "not_completed" };
+    assert.deepEqual(verdictMessages(null, restored).map((m) => m.type), ["level", "result"]);
+  });
+
+  test("only the verdicts that changed are reported", () => {
+    const level1 = { ...start, levels: { ...start.levels, 1: "passed_proxy" } };
+    assert.deepEqual(verdictMessages(start, level1), [{ type: "level", levelId: 1, verdict: "passed_proxy" }]);
+    assert.deepEqual(verdictMessages(level1, level1), []);
+    const failed = { levels: { ...level1.levels, 2: "failed" }, result: "failed" };
+    assert.deepEqual(verdictMessages(level1, failed), [
+      { type: "level", levelId: 2, verdict: "failed" },
+      { type: "result", verdict: "failed", levels: failed.levels },
+    ]);
+  });
+});
@@ -0,0 +1,709 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { isoToDay } from "../src/lib/calendar.js";
+
+import {
+  parseCSV,
+  selectMarjaRows,
+  localizedCell,
+  buildTexts,
+  buildPhrases,
+  buildNoteCategories,
+  buildLogic,
+  buildLevelMeta,
+  getLevelIds,
+  getQuestionIds,
+  opCompare,
+  parseNumericAnswer,
+  parseSetValue,
+  parseCondition,
+  isValueInput,
+  answerMatchesNode,
+  enumeratePaths,
+  pathScenarios,
+  evalRoutesFor,
+  defaultVars,
+  replayLevel,
+  levelOutcome,
+  levelHealthState,
+  startHistory,
+  recordAnswers,
+  undoAnswers,
+  redoAnswers,
+  changeAnswer,
+  stepBack,
+  verdictTrace,
+  reevaluateLevels,
+  incomingVars,
+  levelAccess,
+  dependentsOf,
+  printKeys,
+  levelNotes,
+  advisoryNotes,
+  NIYABAH_FLOW,
+  niyabahVars,
+  niyabahFlow,
+  replayNiyabah,
+} from "../src/lib/engine.js";
+import { readCsv, readFixture, source, loadRuleset } from "./helpers.js";
+
+const { texts, logic, levelMeta, levelOf, levels } = loadRuleset("sistani", "en");
+
+describe("parseCSV", () => {
+  test("strips the BOM and looks headers up case-insensitively", () => {
+    const { idx, data } = parseCSV("﻿Level,qId,question_text\r\n1,L1Q1,Hello\n");
+    assert.equal(idx("level"), 0);
+    assert.equal(idx("QID"), 1);
+    assert.equal(idx("question_text"), 2);
+    assert.deepEqual(data, [["1", "L1Q1", "Hello"]]);
+  });
+
+  test("handles quoted commas, escaped quotes and multi-line cells", () => {
+    const { data } = parseCSV('a,b,c\n"x, y","z""w","line1\nline2"\n');
+    assert.deepEqual(data, [["x, y", 'z"w', "line1\nline2"]]);
+  });
+
+  test("drops fully empty rows but keeps sheet row numbers", () => {
+    const { data, rowNumbers } = parseCSV("a,b\n,\n1,2\n\n");
+    assert.deepEqual(data, [["1", "2"]]);
+    assert.deepEqual(rowNumbers, [3]);
+  });
+
+  test("counts a multi-line cell as one sheet row", () => {
+    const { rowNumbers } = parseCSV('a,b\n"x\ny",1\nz,2\n');
+    assert.deepEqual(rowNumbers, [2, 3]);
+  });
+});
+
+describe("marja rulesets", () => {
+  const csv = "key,text,marja\nA,shared A,\nB,shared B,\nB,khamenei B,khamenei\nC,only sistani,sistani";
+
+  test("shared rows are inherited and tagged rows override by key", () => {
+    const { data, idx } = parseCSV(csv);
+    const key = (r) => r[idx("key")];
+    const texts = (marja) => selectMarjaRows(data, idx, marja, key).map((r) => r[idx("text")]);
+    assert.deepEqual(texts("sistani"), ["shared A", "shared B", "only sistani"]);
+    assert.deepEqual(texts("khamenei"), ["shared A", "khamenei B"]);
+  });
+
+  test("sheets without a marja column are used as-is", () => {
+    const { data, idx } = parseCSV("key,text\nA,a");
+    assert.equal(selectMarjaRows(data, idx, "khamenei", (r) => r[0]).length, 1);
+  });
+
+  test("buildPhrases applies the marja override", () => {
+    assert.equal(buildPhrases(source(csv), "khamenei", "en").B, "khamenei B");
+    assert.equal(buildPhrases(source(csv), "sistani", "en").B, "shared B");
+  });
+});
+
+describe("localized sheet columns", () => {
+  const csv = "level,qId,question_text,question_text_ar,label1,label1_ar,label2\n1,L1Q1,Are you baligh?,هل أنت بالغ؟,Yes,نعم,No";
+
+  test("falls back to English when a translation is missing", () => {
+    const { data, idx } = parseCSV(csv);
+    assert.equal(localizedCell(data[0], idx, "question_text", "ar"), "هل أنت بالغ؟");
+    assert.equal(localizedCell(data[0], idx, "question_text", "fa"), "Are you baligh?");
+    assert.equal(localizedCell(data[0], idx, "label2", "ar"), "No");
+  });
+
+  test("labels are translated while answer values stay English", () => {
+    const entry = buildTexts(source(csv), "sistani", "ar").L1.L1Q1;
+    assert.deepEqual(entry.labels, ["نعم", "No"]);
+    assert.deepEqual(entry.values, ["Yes", "No"]);
+  });
+});
+
+describe("opCompare", () => {
+  test("treats sheet TRUE/FALSE and boolean vars as equal", () => {
+    assert.equal(opCompare("==", true, "TRUE"), true);
+    assert.equal(opCompare("!=", false, "FALSE"), false);
+    assert.equal(opCompare("!=", "force", "FALSE"), true);
+  });
+
+  test("compares numerically for ordering operators", () => {
+    assert.equal(opCompare("<", "9", "10"), true);
+    assert.equal(opCompare(">=", 10, "10"), true);
+    assert.equal(opCompare("bogus", 1, 1), false);
+  });
+});
+
+// A var value that makes `op value` evaluate to `want`
+function varFor(op, value, want) {
+  const n = Number(value);
+  switch (op) {
+    case "==": return want ? value : `not-${value}`;
+    case "!=": return want ? `not-${value}` : value;
+    case "<": return want ? n - 1 : n;
+    case "<=": return want ? n : n + 1;
+    case ">": return want ? n + 1 : n;
+    case ">=": return want ? n : n - 1;
+    default: throw new Error(`unknown guard op ${op}`);
+  }
+}
+
+function expectOutcome(res, next, reason, where) {
+  if (next === "END") {
+    assert.equal(res.complete, true, `${where}: expected END`);
+  } else if (next === "FAIL") {
+    assert.equal(res.ok, false, `${where}: expected FAIL`);
+    assert.equal(res.reason, reason || "L", `${where}: fail reason`);
+  } else {
+    assert.equal(res.nextNode, next, `${where}: next node`);
+  }
+}
+
+describe("shipped rules.csv", () => {
+  const { data, idx } = parseCSV(readCsv("rules.csv"));
+  const col = (row, name) => row[idx(name)] || "";
+
+  test("every level with questions has rules", () => {
+    for (const lvl of levels) assert.ok(logic[String(lvl.id)]?.nodes?.length, `level ${lvl.id}`);
+  });
+
+  // One check per sheet row: every option of every node, guarded and unguarded branches alike
+  data.forEach((row, i) => {
+    const qId = col(row, "qId");
+    const option = col(row, "option_label");
+    const where = `rules.csv row ${i + 2} (${qId} = ${option})`;
+
+    test(where, () => {
+      const levelRules = logic[col(row, "level")];
+      const vars = defaultVars();
+      const guardVar = col(row, "guard_if_var");
+
+      // A number/currency/date row is answered with a value and its guard may read a formula over earlier
+      // answers, so it is checked on the enumerated paths that take it
+      if (isValueInput(levelRules.nodes.find((n) => n.id === qId).input_type)) {
+        const via = guardVar ? "guard" : "route";
+        const taken = pathScenarios(logic, Number(col(row, "level")))
+          .flatMap((scenario) => enumeratePaths(logic, Number(col(row, "level")), scenario))
+          .flatMap((p) => p.steps.map((step, k) => ({ step, p, after: p.steps[k + 1] })))
+          .filter(({ step }) => step.nodeId === qId && step.row === i + 2 && step.via === via);
+        assert.ok(taken.length, `${where}: no path takes it`);
+        const next = guardVar ? col(row, "guard_next") : col(row, "fail_reason") && (!col(row, "next") || col(row, "next") === "FAIL") ? "FAIL" : col(row, "next");
+        const reason = guardVar ? col(row, "guard_reason") : col(row, "fail_reason");
+        for (const { p, after } of taken) {
+          if (next === "END" || next === "FAIL") assert.deepEqual([after, p.outcome, next === "FAIL" ? p.reason : next], [undefined, next, next === "FAIL" ? reason || "L" : next], where);
+          else assert.equal(after?.nodeId, next, `${where}: next node`);
+        }
+        return;
+      }
+
+      // Unguarded rows only fire when every guard on the same option is false
+      for (const other of data) {
+        if (col(other, "qId") !== qId || col(other, "option_label") !== option || !col(other, "guard_if_var")) continue;
+        vars[col(other, "guard_if_var")] = varFor(col(other, "guard_op"), col(other, "guard_value"), false);
+      }
+      if (guardVar) vars[guardVar] = varFor(col(row, "guard_op"), col(row, "guard_value"), true);
+
+      const res = evalRoutesFor(levelRules, qId, option, vars);
+
+      if (guardVar) {
+        expectOutcome(res, col(row, "guard_next"), col(row, "guard_reason"), where);
+        return;
+      }
+      const failReason = col(row, "fail_reason");
+      const next = failReason && (!col(row, "next") || col(row, "next") === "FAIL") ? "FAIL" : col(row, "next");
+      expectOutcome(res, next, failReason, where);
+      for (const pair of col(row, "set_vars").split(";")) {
+        const [k, v] = pair.split("=").map((t) => t.trim());
+        if (k) assert.ok(opCompare("==", res.vars[k], v), `${where}: sets ${k}=${v}`);
+      }
+    });
+  });
+});
+
+describe("replayLevel", () => {
+  const replay = (id, answersMap) => replayLevel({ levelId: id, lvl: levelOf(id), levelRules: logic[String(id)], answersMap });
+
+  test("ends a level and collects END_PHRASE", () => {
+    const r = replay(1, { 0: "1990-01-01", 1: "Yes" });
+    assert.equal(r.ended, true);
+    assert.equal(r.vars.END_PHRASE, "K");
+    assert.deepEqual(r.path, [0, 1]);
+    assert.equal(levelOutcome(r).status, "completed");
+  });
+
+  test("stops on FAIL and prunes answers past it", () => {
+    const r = replay(1, { 0: "2020-01-01", 1: "Yes", 4: "Yes" });
+    assert.deepEqual(r.stop, { qIndex: 0, reason: "A" });
+    assert.deepEqual(r.answers, { 0: "2020-01-01" });
+    assert.equal(levelOutcome(r).status, "failed");
+  });
+
+  test("waits at the first unanswered question on the path", () => {
+    const r = replay(3, { 0: "No" });
+    assert.deepEqual(r.path, [0, 6]);
+    assert.equal(levelOutcome(r).status, "idle");
+  });
+
+  test("derives the health state from NIYABAT", () => {
+    assert.equal(levelOutcome(replay(2, { 0: "No", 1: "No" })).healthState, "ORANGE");
+    assert.equal(levelOutcome(replay(2, { 0: "No", 1: "Yes" })).healthState, "BLUE");
+    assert.equal(levelOutcome(replay(2, { 0: "Yes" })).healthState, "GREEN");
+  });
+
+  test("a NIYABAT only carried in from an earlier level keeps the level green", () => {
+    const initialVars = { NIYABAT: "force" };
+    const r = replayLevel({ levelId: 4, lvl: levelOf(4), levelRules: logic["4"], answersMap: { 0: "No", 1: "Yes", 2: "No" }, initialVars });
+    assert.equal(r.vars.NIYABAT, "force");
+    assert.equal(levelOutcome(r, initialVars).healthState, "GREEN");
+    assert.equal(levelHealthState(r.vars, initialVars), "GREEN");
+    assert.equal(levelHealthState({ NIYABAT: "choice" }, initialVars), "BLUE");
+  });
+
+  test("NIYABAT guard on L3Q1 only fails when a proxy is needed", () => {
+    assert.deepEqual(replay(3, { 0: "Yes" }).path, [0, 1]);
+    const res = evalRoutesFor(logic["3"], "L3Q1", "Yes", { ...defaultVars(), NIYABAT: "force" });
+    assert.equal(res.ok, false);
+    assert.equal(res.reason, "X");
+  });
+
+  test("terminates on cyclic routes instead of looping", () => {
+    const cyclic = buildLogic(source([
+      "level,qId,input_type,field,option_label,option_value,next",
+      "9,L9Q1,bool,a,Yes,TRUE,L9Q2",
+      "9,L9Q2,bool,b,Yes,TRUE,L9Q1",
+    ].join("\n")), "sistani");
+    const r = replayLevel({ levelId: 9, lvl: { id: 9, questions: ["L9Q1", "L9Q2"] }, levelRules: cyclic["9"], answersMap: { 0: "Yes", 1: "Yes" } });
+    assert.deepEqual(r.path, [0, 1]);
+    assert.equal(r.ended, false);
+  });
+
+  test("does not advance implicitly when a route has no next", () => {
+    const open = buildLogic(source([
+      "level,qId,input_type,field,option_label,option_value,next",
+      "9,L9Q1,bool,a,Yes,TRUE,",
+    ].join("\n")), "sistani");
+    const r = replayLevel({ levelId: 9, lvl: { id: 9, questions: ["L9Q1", "L9Q2"] }, levelRules: open["9"], answersMap: { 0: "Yes", 1: "Yes" } });
+    assert.deepEqual(r.path, [0]);
+  });
+});
+
+describe("answer history", () => {
+  const level3 = { levelId: 3, lvl: levelOf(3), levelRules: logic["3"] };
+  const answer = (history, qIndex, value) => changeAnswer({ ...level3, history, qIndex, value });
+
+  test("a change that reroutes lists the answers it clears, and answering as before restores them", () => {
+    let history = startHistory({ 0: "No", 6: "Yes" });
+    const change = answer(history, 0, "Yes");
+    assert.deepEqual(change.cleared, [6]);
+    assert.deepEqual(change.path, [0, 1]);
+    history = recordAnswers(history, change.answers);
+    assert.deepEqual(history.present, { 0: "Yes" });
+
+    const back = answer(history, 0, "No");
+    assert.deepEqual(back.cleared, []);
+    assert.deepEqual(back.answers, { 0: "No", 6: "Yes" });
+    assert.deepEqual(back.path, [0, 6, 7]);
+  });
+
+  test("undo and redo move between recorded answers", () => {
+    let history = startHistory();
+    history = recordAnswers(history, { 0: "No" });
+    history = recordAnswers(history, { 0: "No", 6: "Yes" });
+    assert.equal(recordAnswers(history, { 0: "No", 6: "Yes" }), history);
+
+    history = undoAnswers(undoAnswers(history));
+    assert.deepEqual(history.present, {});
+    assert.equal(undoAnswers(history), history);
+    history = redoAnswers(history);
+    assert.deepEqual(history.present, { 0: "No" });
+    history = recordAnswers(history, { 0: "Yes" });
+    assert.deepEqual(history.future, []);
+    assert.equal(redoAnswers(history), history);
+  });
+
+  test("back clears the last answer on the route and forgets it", () => {
+    const history = stepBack(startHistory({ 0: "No", 6: "Yes" }), [0, 6, 7]);
+    assert.deepEqual(history.present, { 0: "No" });
+    assert.deepEqual(undoAnswers(history).present, { 0: "No", 6: "Yes" });
+    assert.deepEqual(answer(recordAnswers(history, { 0: "Yes" }), 0, "No").answers, { 0: "No" });
+    assert.equal(stepBack(startHistory(), [0]).past.length, 0);
+  });
+});
+
+describe("verdict trace", () => {
+  const answers = { 0: "Yes", 1: 5000, 21: 4000, 2: "Yes" };
+
+  test("every step records the answer, the sheet row, the guards checked and where it led", () => {
+    const { trace } = replayLevel({ levelId: 3, lvl: levelOf(3), levelRules: logic["3"], answersMap: answers });
+    assert.deepEqual(trace.map((step) => [step.node, step.row, step.next]), [["L3Q1", 20, "L3Q2"], ["L3Q2", 22, "L3Q22"], ["L3Q22", 66, "L3Q3"], ["L3Q3", 24, "FAIL"]]);
+    assert.deepEqual(trace[0].guards, [{ row: 19, test: "NIYABAT != FALSE", values: { NIYABAT: false }, matched: false }]);
+    assert.deepEqual(trace[2].guards, [{ row: 65, test: "COVER < 0", values: { COVER: 1000 }, matched: false }]);
+    assert.deepEqual(trace[2].set, { GIFT: "TRUE", COVER: 1000 });
+    assert.equal(trace[3].reason, "L");
+  });
+
+  test("a guard that decides is recorded as the deciding route", () => {
+    const { trace, stop } = replayLevel({ levelId: 3, lvl: levelOf(3), levelRules: logic["3"], answersMap: { 0: "Yes" }, initialVars: { NIYABAT: "force" } });
+    assert.equal(stop.reason, "X");
+    assert.equal(trace[0].via, "guard");
+    assert.equal(trace[0].row, 19);
+    assert.equal(trace[0].guards[0].matched, true);
+  });
+
+  test("the failed level decides the overall verdict, else every completed level does", () => {
+    const failed = verdictTrace({ levels, logic, statuses: { 1: "completed", 3: "failed" }, savedAnswers: { 1: { 0: "1990-01-01", 1: "Yes" }, 3: answers }, varsByLevel: {} });
+    assert.deepEqual(failed.map((g) => [g.levelId, g.status, g.steps.length]), [[3, "failed", 4]]);
+    const passed = verdictTrace({ levels, logic, statuses: { 1: "completed", 2: "completed" }, savedAnswers: { 1: { 0: "1990-01-01", 1: "Yes" } }, varsByLevel: {} });
+    assert.deepEqual(passed.map((g) => [g.levelId, g.steps.length]), [[1, 2], [2, 0]]);
+  });
+});
+
+describe("number and currency inputs", () => {
+  // Savings, debts and Hajj cost are entered as amounts; the surplus decides L9Q4
+  const numeric = buildLogic(source([
+    "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars,phrase,guard_if_var,guard_op,guard_value,guard_next,guard_reason",
+    "9,L9Q1,currency,SAVINGS,,>= 1,L9Q2,,,,,,,,",
+    "9,L9Q1,currency,SAVINGS,,< 1,FAIL,L,,,,,,,",
+    "9,L9Q2,currency,DEBTS,,,L9Q3,,,,,,,,",
+    "9,L9Q3,currency,HAJJ_COST,,,L9Q4,,SURPLUS = =SAVINGS - DEBTS - HAJJ_COST;SHORT = =0 - SURPLUS,,,,,,",
+    "9,L9Q4,bool,resources,Yes,TRUE,END,,END_PHRASE=K,,SURPLUS,<,0,FAIL,L",
+    "9,L9Q4,bool,resources,Yes,TRUE,END,,END_PHRASE=K,,,,,,",
+    "9,L9Q4,bool,resources,No,FALSE,FAIL,L,,,,,,,",
+  ].join("\n")), "sistani");
+  const lvl = { id: 9, questions: ["L9Q1", "L9Q2", "L9Q3", "L9Q4"] };
+  const replay = (answersMap) => replayLevel({ levelId: 9, lvl, levelRules: numeric["9"], answersMap });
+
+  test("routes on the entered amount and computes set_vars from earlier answers", () => {
+    const r = replay({ 0: 12000, 1: 1500, 2: 8000, 3: "Yes" });
+    assert.equal(r.ended, true);
+    assert.equal(r.vars.SURPLUS, 2500);
+    assert.equal(r.vars.SHORT, -2500);
+    assert.equal(levelOutcome(r).status, "completed");
+  });
+
+  test("later guards compare against a computed var", () => {
+    const r = replay({ 0: 9000, 1: 1500, 2: 8000, 3: "Yes" });
+    assert.equal(r.vars.SURPLUS, -500);
+    assert.deepEqual(r.stop, { qIndex: 3, reason: "L" });
+  });
+
+  test("compares thresholds on the answer itself and accepts 0 as an answer", () => {
+    assert.deepEqual(replay({ 0: 0 }).stop, { qIndex: 0, reason: "L" });
+    const r = replay({ 0: 100, 1: 0 });
+    assert.deepEqual(r.path, [0, 1, 2]);
+    assert.deepEqual(r.answers, { 0: 100, 1: 0 });
+  });
+
+  test("an answer that is not a number matches no route", () => {
+    const r = replay({ 0: "a lot" });
+    assert.deepEqual(r.path, [0]);
+    assert.equal(r.stop, null);
+    assert.equal(answerMatchesNode(numeric["9"], "L9Q1", "a lot"), false);
+    assert.equal(answerMatchesNode(numeric["9"], "L9Q2", -5), false);
+    assert.equal(answerMatchesNode(numeric["9"], "L9Q2", 0), true);
+  });
+
+  test("parses typed amounts, including Arabic and Persian digits", () => {
+    assert.equal(parseNumericAnswer("1,500.50", "currency"), 1500.5);
+    assert.equal(parseNumericAnswer("١٥٠٠", "currency"), 1500);
+    assert.equal(parseNumericAnswer("۲۵۰٫۵", "number"), 250.5);
+    assert.equal(parseNumericAnswer("-3", "number"), -3);
+    assert.equal(parseNumericAnswer("-3", "currency"), null);
+    assert.equal(parseNumericAnswer("", "number"), null);
+    assert.equal(parseNumericAnswer("12abc", "number"), null);
+  });
+
+  test("only set_vars values marked with = are computed", () => {
+    assert.equal(parseSetValue("K"), "K");
+    assert.equal(parseSetValue("-5"), -5);
+    assert.equal(parseSetValue("TRUE"), "TRUE");
+    assert.deepEqual(parseSetValue("= SAVINGS - DEBTS"), { expr: "SAVINGS - DEBTS" });
+    assert.equal(parseSetValue("SAVINGS - DEBTS"), "SAVINGS - DEBTS");
+  });
+
+  test("hyphenated, dated and bracketed set_vars values stay plain", () => {
+    const plain = buildLogic(source([
+      "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars",
+      "9,L9Q1,bool,a,Yes,TRUE,END,,PACKAGE=full-package;DUE=1446/12/01;START=miqati (min);LEFT = =10 - 4",
+    ].join("\n")), "sistani");
+    assert.deepEqual(plain["9"].nodes[0].routes[0].set, { PACKAGE: "full-package", DUE: "1446/12/01", START: "miqati (min)", LEFT: { expr: "10 - 4" } });
+    const r = replayLevel({ levelId: 9, lvl: { id: 9, questions: ["L9Q1"] }, levelRules: plain["9"], answersMap: { 0: "Yes" } });
+    assert.equal(r.vars.PACKAGE, "full-package");
+    assert.equal(r.vars.DUE, "1446/12/01");
+    assert.equal(r.vars.LEFT, 6);
+  });
+
+  test("path enumeration samples both sides of each threshold, and an amount above them", () => {
+    const paths = enumeratePaths(numeric, 9);
+    assert.deepEqual([...new Set(paths.map((p) => p.steps[0].answer))], [0, 1, 1001]);
+    assert.deepEqual(paths.find((p) => p.steps[0].answer === 0).outcome, "FAIL");
+    // the surplus guard on L9Q4 goes both ways, though no answer is compared with a threshold there
+    const resources = paths.filter((p) => p.steps.at(-1).nodeId === "L9Q4" && p.steps.at(-1).answer === "Yes");
+    assert.deepEqual([...new Set(resources.map((p) => p.outcome))].sort(), ["END", "FAIL"]);
+  });
+});
+
+describe("date inputs", () => {
+  // Lunar age from a birth date, a passport deadline, and days until the chosen Hajj season
+  const dated = buildLogic(source([
+    "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars,phrase,guard_if_var,guard_op,guard_value,guard_next,guard_reason",
+    "10,L10Q1,date,BIRTH,,,L10Q2,,AGE = =LUNAR_AGE(BIRTH),,AGE,<,15,FAIL,Y",
+    "10,L10Q1,date,BIRTH,,,L10Q2,,AGE = =LUNAR_AGE(BIRTH),,,,,,",
+    "10,L10Q2,date,PASSPORT,,>= 2025-06-01,L10Q3,,,,,,,,",
+    "10,L10Q2,date,PASSPORT,,< 2025-06-01,FAIL,P,,,,,,,",
+    "10,L10Q3,number,SEASON,,,END,,DAYS_LEFT = =HAJJ_START(SEASON) - TODAY,,DAYS_LEFT,<,30,FAIL,T",
+    "10,L10Q3,number,SEASON,,,END,,DAYS_LEFT = =HAJJ_START(SEASON) - TODAY,,,,,,",
+  ].join("\n")), "sistani");
+  const lvl = { id: 10, questions: ["L10Q1", "L10Q2", "L10Q3"] };
+  const replay = (answersMap, today) =>
+    replayLevel({ levelId: 10, lvl, levelRules: dated["10"], answersMap, initialVars: { TODAY: isoToDay(today) } });
+
+  test("a guard compares the lunar age computed on the same row", () => {
+    assert.deepEqual(replay({ 0: "2000-01-01" }, "2014-07-01").stop, { qIndex: 0, reason: "Y" });
+    const r = replay({ 0: "2000-01-01" }, "2025-01-01");
+    assert.equal(r.vars.AGE, 25);
+    assert.equal(r.vars.BIRTH, isoToDay("2000-01-01"));
+  });
+
+  test("date conditions compare against the ISO date in option_value", () => {
+    assert.deepEqual(replay({ 0: "2000-01-01", 1: "2025-05-31" }, "2025-01-01").stop, { qIndex: 1, reason: "P" });
+    assert.deepEqual(replay({ 0: "2000-01-01", 1: "2026-01-01" }, "2025-01-01").path, [0, 1, 2]);
+    assert.deepEqual(parseCondition(">= 2025-06-01", "date"), { op: ">=", value: isoToDay("2025-06-01") });
+    assert.equal(parseCondition(">= 2025-02-30", "date"), null);
+  });
+
+  test("counts the days until the Hajj season of the chosen year", () => {
+    const answers = { 0: "2000-01-01", 1: "2026-01-01", 2: 1446 };
+    const r = replay(answers, "2025-01-01");
+    assert.equal(r.vars.DAYS_LEFT, isoToDay("2025-06-05") - isoToDay("2025-01-01"));
+    assert.equal(levelOutcome(r).status, "completed");
+    assert.deepEqual(replay(answers, "2025-05-20").stop, { qIndex: 2, reason: "T" });
+  });
+
+  test("only valid ISO dates are date answers", () => {
+    assert.equal(answerMatchesNode(dated["10"], "L10Q1", "2001-04-15"), true);
+    assert.equal(answerMatchesNode(dated["10"], "L10Q1", "2001-02-29"), false);
+    assert.equal(answerMatchesNode(dated["10"], "L10Q1", "15/04/2001"), false);
+    assert.equal(replay({ 0: "yesterday" }, "2025-01-01").stop, null);
+  });
+
+  test("path enumeration samples dates on both sides of a deadline", () => {
+    const answers = [...new Set(enumeratePaths(dated, 10).map((p) => p.steps[1]?.answer).filter(Boolean))];
+    assert.deepEqual(answers, ["2025-05-31", "2025-06-01"]);
+  });
+});
+
+describe("guard expressions", () => {
+  // GIFT and NIYABAT are checked together on one row; with guard_if_var that takes a row per var
+  const compound = buildLogic(source([
+    "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars,phrase,guard_next,guard_reason,guard_expr",
+    "11,L11Q1,bool,L11Q1_have_debts,Yes,TRUE,L11Q2,,,,,,",
+    "11,L11Q1,bool,L11Q1_have_debts,No,FALSE,L11Q2,,,,END,K,GIFT == TRUE AND NOT NIYABAT",
+    "11,L11Q1,bool,L11Q1_have_debts,No,FALSE,L11Q2,,,,,,",
+    "11,L11Q2,currency,SAVINGS,,,END,,END_PHRASE=K,,FAIL,L,L11Q1_have_debts AND (SAVINGS < 1000 OR NIYABAT == 'force')",
+    "11,L11Q2,currency,SAVINGS,,,END,,END_PHRASE=K,,,,",
+  ].join("\n")), "sistani");
+  const lvl = { id: 11, questions: ["L11Q1", "L11Q2"] };
+  const replay = (answersMap, initialVars) => replayLevel({ levelId: 11, lvl, levelRules: compound["11"], answersMap, initialVars });
+
+  test("AND / NOT combine vars carried in from earlier levels", () => {
+    const gift = replay({ 0: "No" }, { GIFT: true, NIYABAT: false });
+    assert.equal(gift.ended, true);
+    assert.equal(gift.guardReason, "K");
+    assert.deepEqual(replay({ 0: "No" }, { GIFT: true, NIYABAT: "force" }).path, [0, 1]);
+    assert.deepEqual(replay({ 0: "No" }, { GIFT: false }).path, [0, 1]);
+  });
+
+  test("reads earlier answers by field name and compares numbers and text", () => {
+    assert.deepEqual(replay({ 0: "Yes", 1: 500 }).stop, { qIndex: 1, reason: "L" });
+    assert.equal(levelOutcome(replay({ 0: "No", 1: 500 })).status, "completed");
+    assert.equal(levelOutcome(replay({ 0: "Yes", 1: 5000 })).status, "completed");
+    assert.deepEqual(replay({ 0: "Yes", 1: 5000 }, { NIYABAT: "force" }).stop, { qIndex: 1, reason: "L" });
+  });
+
+  test("path scenarios cover the vars a guard_expr reads from other levels", () => {
+    assert.deepEqual(pathScenarios(compound, 11), [{ GIFT: false, NIYABAT: false }]);
+  });
+});
+
+describe("advisory notes", () => {
+  const categories = buildNoteCategories(source(readCsv("phrases.csv")), "sistani");
+
+  test("reads note categories from phrases.csv", () => {
+    assert.deepEqual(categories, { Z: "proxy", ZA: "proxy", ZC: "duty" });
+    assert.deepEqual(buildNoteCategories(source("key,text\nZC,Pay khums\n"), "sistani"), {});
+  });
+
+  test("every PRINT on the path adds its notes to the level", () => {
+    const noted = buildLogic(source([
+      "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars",
+      "12,L12Q1,bool,a,Yes,TRUE,L12Q2,,PRINT=ZA",
+      "12,L12Q1,bool,a,No,FALSE,L12Q2,,",
+      "12,L12Q2,bool,b,Yes,TRUE,FAIL,L,PRINT=ZC;PRINT=ZA",
+      "12,L12Q2,bool,b,No,FALSE,END,,PRINT=ZD",
+    ].join("\n")), "sistani");
+    const replay = (answersMap) => replayLevel({ levelId: 12, lvl: { id: 12, questions: ["L12Q1", "L12Q2"] }, levelRules: noted["12"], answersMap });
+    assert.equal(replay({ 0: "Yes", 1: "Yes" }).vars.PRINT, "ZA,ZC");
+    assert.equal(replay({ 0: "No", 1: "No" }).vars.PRINT, "ZD");
+    assert.deepEqual(levelNotes(replay({ 0: "Yes", 1: "Yes" }).vars, categories), [{ key: "ZA", category: "proxy" }, { key: "ZC", category: "duty" }]);
+    assert.deepEqual(printKeys(" ZC , ,ZC"), ["ZC"]);
+  });
+
+  test("collects the notes of decided levels in level order, each once", () => {
+    const varsByLevel = { 1: { PRINT: "ZD" }, 2: { PRINT: "ZA" }, 3: { PRINT: "ZC,ZA" }, 4: { PRINT: "ZE" } };
+    const statuses = { 1: "completed", 2: "completed", 3: "failed", 4: "idle" };
+    assert.deepEqual(advisoryNotes({ levels, statuses, varsByLevel, categories }), [
+      { key: "ZD", category: "info", levels: [1] },
+      { key: "ZA", category: "proxy", levels: [2, 3] },
+      { key: "ZC", category: "duty", levels: [3] },
+    ]);
+  });
+
+  test("PRINT is not carried into the next level", () => {
+    const vars = incomingVars(levels, 3, { 1: "completed", 2: "completed" }, { 2: { NIYABAT: "choice", PRINT: "ZA" } });
+    assert.equal(vars.PRINT, undefined);
+    assert.equal(vars.NIYABAT, "choice");
+  });
+});
+
+describe("level metadata", () => {
+  test("reads titles, icons, requirements and auto-complete from levels.csv", () => {
+    assert.deepEqual(levelMeta.map((m) => m.id), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(levelOf(2), {
+      id: 2, title: "Health", icon: "HeartPulse", requires: [1],
+      autoComplete: { field: "NIYABAT", op: "!=", value: "FALSE" },
+      questions: getQuestionIds(texts, 2),
+    });
+    assert.deepEqual(levelOf(6).requires, [1, 2, 3, 4, 5]);
+    assert.equal(buildLevelMeta(source(readCsv("levels.csv")), "sistani", "ur")[2].title, "مالی");
+  });
+
+  test("locks levels until their requirements are completed", () => {
+    const locked = (statuses, vars = {}) => Object.entries(levelAccess(levels, statuses, vars)).filter(([, a]) => a.locked).map(([id]) => Number(id));
+    assert.deepEqual(locked({}), [2, 3, 6]);
+    assert.deepEqual(locked({ 1: "completed" }, { 1: { NIYABAT: false } }), [3, 6]);
+    assert.deepEqual(locked({ 1: "completed", 2: "completed", 3: "failed", 4: "completed", 5: "completed" }), [6]);
+  });
+
+  test("auto-completes Health when Personal hands on a NIYABAT", () => {
+    const access = levelAccess(levels, { 1: "completed" }, { 1: { NIYABAT: "choice" } });
+    assert.deepEqual(access[2], { locked: true, autoCompleted: true });
+    assert.deepEqual(levelAccess(levels, { 1: "failed" }, { 1: { NIYABAT: "choice" } })[2], { locked: true, autoCompleted: false });
+  });
+
+  test("carries vars of completed earlier levels, but not their result phrases", () => {
+    const statuses = { 1: "completed", 2: "completed", 4: "failed" };
+    const varsByLevel = { 1: { NIYABAT: "choice", END_PHRASE: "M" }, 2: { NIYABAT: "force", PRINT: "Z" }, 4: { X: 1 } };
+    const vars = incomingVars(levels, 6, statuses, varsByLevel);
+    assert.equal(vars.NIYABAT, "force");
+    assert.equal(vars.END_PHRASE, null);
+    assert.equal("PRINT" in vars, false);
+    assert.equal("X" in vars, false);
+    assert.equal(incomingVars(levels, 1, statuses, varsByLevel).NIYABAT, false);
+  });
+
+  test("finds every level that requires a level, directly or not", () => {
+    assert.deepEqual(dependentsOf(levels, 1).sort(), [2, 3, 6]);
+    assert.deepEqual(dependentsOf(levels, 4), [6]);
+    assert.deepEqual(dependentsOf(levels, 6), []);
+  });
+});
+
+describe("reevaluateLevels", () => {
+  // Khamenei override: L5Q1 "Yes" fails instead of passing
+  const rules = readCsv("rules.csv").trimEnd().split("\n");
+  const withMarja = [
+    rules[0] + ",marja",
+    ...rules.slice(1).map((r) => r + ","),
+    "5,L5Q1,bool,L5Q1_time,Yes,TRUE,FAIL,ZD,,FAILED,,,,,,,khamenei",
+    "5,L5Q1,bool,L5Q1_time,No,FALSE,FAIL,ZD,,FAILED,,,,,,,khamenei",
+  ].join("\n");
+
+  test("reports verdicts that change under another marja", () => {
+    const khamenei = buildLogic(source(withMarja), "khamenei");
+    const re = reevaluateLevels({
+      levels, logic: khamenei,
+      statuses: { 5: "completed" }, savedAnswers: { 5: { 0: "Yes" } }, resultPhrases: {}, healthByLevel: { 5: "GREEN" },
+    });
+    assert.equal(re.statuses[5], "failed");
+    assert.deepEqual(re.changes.map((c) => [c.levelId, c.from, c.to]), [[5, "verdict.passed", "verdict.failed"]]);
+  });
+
+  test("flags answers that no longer lie on a valid path", () => {
+    const re = reevaluateLevels({
+      levels, logic,
+      statuses: { 1: "completed" }, savedAnswers: { 1: { 0: "1990-01-01", 1: "Maybe", 3: "Yes" } }, resultPhrases: {}, healthByLevel: {},
+    });
+    assert.deepEqual(re.stale.map((a) => a.qIndex).sort(), [1, 3]);
+    assert.deepEqual(re.savedAnswers[1], { 0: "1990-01-01" });
+    assert.equal(re.statuses[1], "idle");
+  });
+
+  test("re-derives the Health auto-complete from Personal's NIYABAT", () => {
+    const re = reevaluateLevels({
+      levels, logic,
+      statuses: {}, savedAnswers: { 1: { 0: "1990-01-01", 1: "No", 2: "No", 3: "Yes" } }, resultPhrases: {}, healthByLevel: {},
+    });
+    assert.equal(re.statuses[1], "completed");
+    assert.equal(re.statuses[2], "completed");
+    assert.equal(re.healthByLevel[2], "BLUE");
+  });
+
+  test("drops the Health auto-complete once Personal no longer sets NIYABAT", () => {
+    const re = reevaluateLevels({
+      levels, logic,
+      statuses: { 1: "completed", 2: "completed" }, savedAnswers: { 1: { 0: "1990-01-01", 1: "Yes" } }, resultPhrases: {}, healthByLevel: { 2: "BLUE" },
+    });
+    assert.equal(re.statuses[2], undefined);
+    assert.deepEqual(re.changes.map((c) => [c.levelId, c.to]), [[2, "verdict.not_completed"]]);
+  });
+
+  test("hands NIYABAT from Personal to the gift-package guard on L3Q1", () => {
+    const saved = { 1: { 0: "1990-01-01", 1: "No", 2: "No", 3: "Yes" }, 3: { 0: "Yes" } };
+    const re = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers: saved, resultPhrases: {}, healthByLevel: {} });
+    assert.equal(re.varsByLevel[2].NIYABAT, "choice");
+    assert.equal(re.statuses[3], "failed");
+
+    const noProxy = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers: { ...saved, 1: { 0: "1990-01-01", 1: "Yes" } }, resultPhrases: {}, healthByLevel: {} });
+    assert.equal(noProxy.statuses[3], "idle");
+  });
+});
+
+describe("niyabah follow-up", () => {
+  const niyabahTexts = buildTexts(source(readFixture("niyabah_questions.csv")), "sistani", "en");
+  const niyabahLogic = buildLogic(source(readFixture("niyabah_rules.csv")), "sistani");
+  const flow = niyabahFlow(niyabahTexts, "Sending a proxy");
+  const passed = Object.fromEntries(levels.map((l) => [l.id, "completed"]));
+  const replay = (answers, NIYABAT) => replayNiyabah({ flow, logic: niyabahLogic, answers, initialVars: { ...defaultVars(), NIYABAT } });
+
+  test("opens once every level has passed with a proxy duty", () => {
+    assert.equal(niyabahVars(levels, passed, { 2: { NIYABAT: "force" } }).NIYABAT, "force");
+    assert.equal(niyabahVars(levels, passed, { 1: { NIYABAT: "choice" } }).NIYABAT, "choice");
+    assert.equal(niyabahVars(levels, passed, { 2: { NIYABAT: false } }), null);
+    assert.equal(niyabahVars(levels, { ...passed, 4: "failed" }, { 2: { NIYABAT: "force" } }), null);
+  });
+
+  test("is not offered until its sheets have questions", () => {
+    assert.equal(niyabahFlow(buildTexts(source(readCsv("niyabah_questions.csv")), "sistani", "en"), "Sending a proxy"), null);
+    assert.equal(replayNiyabah({ flow: null, logic: niyabahLogic, answers: {}, initialVars: { ...defaultVars(), NIYABAT: "force" } }), null);
+  });
+
+  test("is a level of its own sheets, outside the level ids", () => {
+    assert.equal(flow.id, NIYABAH_FLOW);
+    assert.equal(flow.questions.length, 5);
+    assert.deepEqual(getLevelIds(niyabahTexts), []);
+    assert.equal(replayNiyabah({ flow, logic: niyabahLogic, answers: {}, initialVars: null }), null);
+  });
+
+  test("ends with the phrase for the proxy duty", () => {
+    const answers = { 0: "From the miqat", 1: "From my own wealth", 2: "Yes", 3: "No", 4: "Yes" };
+    const force = replay(answers, "force");
+    assert.equal(force.status, "completed");
+    assert.equal(force.result, "niyabah_ready");
+    assert.equal(force.vars.PRINT, "niyabah_miqat");
+    assert.equal(replay(answers, "choice").result, "niyabah_ready_choice");
+  });
+
+  test("fails when the proxy cannot serve, and drops answers that no longer apply", () => {
+    const unfit = replay({ 0: "From my home city", 1: "From my own wealth", 2: "Yes", 3: "Yes", 4: "Yes" }, "force");
+    assert.equal(unfit.status, "failed");
+    assert.equal(unfit.result, "niyabah_nayeb_owes_hajj");
+    assert.deepEqual(Object.keys(unfit.answers), ["0", "1", "2", "3"]);
+    assert.equal(replay({ 0: "By sea" }, "force").status, "idle");
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseExpression, parseGuard, evaluateExpression, evaluateGuard, expressionVars, expressionFunctions } from "../src/lib/expression.js";
+
+const run = (text, vars = {}) => evaluateExpression(parseExpression(text), vars);
+
+describe("expressions", () => {
+  test("computes with vars, precedence and parentheses", () => {
+    const vars = { SAVINGS: 12000, DEBTS: 1500.5, HAJJ_COST: 8000 };
+    assert.equal(run("SAVINGS - DEBTS - HAJJ_COST", vars), 2499.5);
+    assert.equal(run("2 + 3 * 4"), 14);
+    assert.equal(run("(2 + 3) * 4"), 20);
+    assert.equal(run("-(SAVINGS / 4) + .5", vars), -2999.5);
+  });
+
+  test("reads numeric strings but not booleans or missing vars", () => {
+    assert.equal(run("A + 1", { A: "41" }), 42);
+    assert.equal(run("A + 1", {}), null);
+    assert.equal(run("A + 1", { A: true }), null);
+    assert.equal(run("A / B", { A: 1, B: 0 }), null);
+  });
+
+  test("lists the vars an expression reads", () => {
+    assert.deepEqual(expressionVars(parseExpression("A - (B + A) * 2")), ["A", "B"]);
+  });
+
+  test("calls only the functions it is given", () => {
+    const functions = { MAX: Math.max, DOUBLE: (x) => x * 2 };
+    const ast = parseExpression("MAX(A, DOUBLE(B)) - 1");
+    assert.equal(evaluateExpression(ast, { A: 3, B: 4 }, functions), 7);
+    assert.deepEqual(expressionFunctions(ast), ["MAX", "DOUBLE"]);
+    assert.deepEqual(expressionVars(ast), ["A", "B"]);
+    assert.equal(evaluateExpression(ast, { A: 3, B: 4 }), null);
+    assert.equal(run("constructor(1)"), null);
+  });
+
+  test("rejects anything that is not arithmetic", () => {
+    assert.throws(() => parseExpression("A +"), /expected a number or var/);
+    assert.throws(() => parseExpression("(A + B"), /expected "\)"/);
+    assert.throws(() => parseExpression("A B"), /unexpected "B" at position 3/);
+    assert.throws(() => parseExpression("process.exit(1)"), /unexpected "\."/);
+    assert.throws(() => parseExpression("A = 1"), /unexpected "="/);
+  });
+});
+
+describe("guard expressions", () => {
+  const guard = (text, vars = {}) => evaluateGuard(parseGuard(text), vars);
+
+  test("NOT binds tighter than AND, AND tighter than OR", () => {
+    const vars = { GIFT: true, NIYABAT: false, DEBTS: false };
+    assert.equal(guard("GIFT AND NOT NIYABAT", vars), true);
+    assert.equal(guard("NIYABAT AND DEBTS OR GIFT", vars), true);
+    assert.equal(guard("NIYABAT AND (DEBTS OR GIFT)", vars), false);
+    assert.equal(guard("not gift or not niyabat", { gift: true, niyabat: true }), false);
+  });
+
+  test("compares vars with numbers, TRUE/FALSE and quoted text", () => {
+    assert.equal(guard("SAVINGS - DEBTS >= 1000", { SAVINGS: 1500, DEBTS: 500 }), true);
+    assert.equal(guard("NIYABAT == 'force' AND GIFT != TRUE", { NIYABAT: "force", GIFT: false }), true);
+    assert.equal(guard('NIYABAT == "force"', { NIYABAT: "choice" }), false);
+    assert.equal(guard("GIFT", { GIFT: "FALSE" }), false);
+    assert.equal(guard("MISSING OR 0"), false);
+  });
+
+  test("lists the vars a guard reads", () => {
+    assert.deepEqual(expressionVars(parseGuard("L3Q4_have_debts AND NOT (GIFT OR SAVINGS > 10)")), ["L3Q4_have_debts", "GIFT", "SAVINGS"]);
+  });
+
+  test("explains where a guard stops making sense", () => {
+    assert.throws(() => parseGuard("GIFT = TRUE"), /"=" at position 6 should be "=="/);
+    assert.throws(() => parseGuard("GIFT AND"), /expected a value at end of expression/);
+    assert.throws(() => parseGuard("AND GIFT"), /unexpected "AND" at position 1/);
+    assert.throws(() => parseGuard("(GIFT OR NIYABAT"), /expected "\)" at end of expression/);
+    assert.throws(() => parseGuard("A < B < C"), /unexpected "<" at position 7/);
+    assert.throws(() => parseExpression("A AND B"), /unexpected "AND" at position 3/);
+  });
+});
@@ -0,0 +1,37 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { buildTexts, buildPhrases, buildNoteCategories, buildLogic, buildLevelMeta, getLevelIds, getQuestionIds } from "../src/lib/engine.js";
+
+// The shipped sheets (csv/) as the test files read them
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const readCsv = (name) => fs.readFileSync(path.resolve(__dirname, "..", "csv", name), "utf8");
+// Placeholder sheets that exercise the niyabah flow; the published ones stay empty until scholars provide them
+export const readFixture = (name) => fs.readFileSync(path.resolve(__dirname, "fixtures", name), "utf8");
+export const source = (text) => ({ kind: "csv", data: text });
+
+// One marja's ruleset in one language, built from the shipped sheets the way the app builds it once they
+// are loaded: the raw sources, questions, rules, phrases, note categories and levels (levelOf builds one)
+export function loadRuleset(marja = "sistani", lang = "en") {
+  const sources = {
+    logic: source(readCsv("rules.csv")),
+    questions: source(readCsv("questions.csv")),
+    phrases: source(readCsv("phrases.csv")),
+    levels: source(readCsv("levels.csv")),
+  };
+  const texts = buildTexts(sources.questions, marja, lang);
+  const levelMeta = buildLevelMeta(sources.levels, marja, lang);
+  const levelOf = (id) => ({ ...levelMeta.find((m) => m.id === id), id, questions: getQuestionIds(texts, id) });
+  return {
+    sources,
+    texts,
+    logic: buildLogic(sources.logic, marja),
+    phrases: buildPhrases(sources.phrases, marja, lang),
+    noteCategories: buildNoteCategories(sources.phrases, marja),
+    levelMeta,
+    levelOf,
+    levels: getLevelIds(texts).map(levelOf),
+  };
+}
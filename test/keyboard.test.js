@@ -0,0 +1,34 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { choiceKeyAction } from "../src/lib/keyboard.js";
+
+describe("choiceKeyAction", () => {
+  test("arrows move between the choices and wrap around", () => {
+    assert.deepEqual(choiceKeyAction("ArrowRight", { count: 3, index: 0 }), { focus: 1 });
+    assert.deepEqual(choiceKeyAction("ArrowDown", { count: 3, index: 2 }), { focus: 0 });
+    assert.deepEqual(choiceKeyAction("ArrowUp", { count: 3, index: 0 }), { focus: 2 });
+    assert.deepEqual(choiceKeyAction("ArrowLeft", { count: 3 }), { focus: 2 });
+    assert.deepEqual(choiceKeyAction("End", { count: 3, index: 0 }), { focus: 2 });
+    assert.deepEqual(choiceKeyAction("Home", { count: 3, index: 2 }), { focus: 0 });
+  });
+
+  test("left and right follow the reading direction", () => {
+    assert.deepEqual(choiceKeyAction("ArrowLeft", { count: 2, index: 0, rtl: true }), { focus: 1 });
+    assert.deepEqual(choiceKeyAction("ArrowRight", { count: 2, index: 1, rtl: true }), { focus: 0 });
+  });
+
+  test("a digit answers that choice, in Latin or Arabic script", () => {
+    assert.deepEqual(choiceKeyAction("2", { count: 2, index: 0 }), { answer: 1 });
+    assert.deepEqual(choiceKeyAction("٣", { count: 3 }), { answer: 2 });
+    assert.deepEqual(choiceKeyAction("۱", { count: 3 }), { answer: 0 });
+    assert.equal(choiceKeyAction("3", { count: 2 }), null);
+    assert.equal(choiceKeyAction("0", { count: 2 }), null);
+  });
+
+  test("other keys are left to the browser", () => {
+    assert.equal(choiceKeyAction("Enter", { count: 2, index: 0 }), null);
+    assert.equal(choiceKeyAction("a", { count: 2, index: 0 }), null);
+    assert.equal(choiceKeyAction("ArrowDown", { count: 0 }), null);
+  });
+});
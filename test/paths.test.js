@@ -0,0 +1,83 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { buildLogic, enumeratePaths, pathScenarios } from "../src/lib/engine.js";
+import { renderGolden, diffGolden, GOLDEN_PATH } from "../scripts/enumerate-paths.js";
+import { publishSheets } from "../scripts/sync-csvs.js";
+import { SHEET_NAMES } from "../src/lib/sources.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rulesText = fs.readFileSync(path.resolve(__dirname, "..", "csv", "rules.csv"), "utf8");
+const niyabahRulesText = fs.readFileSync(path.resolve(__dirname, "..", "csv", "niyabah_rules.csv"), "utf8");
+const logic = buildLogic({ kind: "csv", data: rulesText }, "sistani");
+
+describe("enumeratePaths", () => {
+  test("level 1 covers every terminal branch", () => {
+    const paths = enumeratePaths(logic, 1);
+    const shapes = paths.map((p) => `${p.steps.map((s) => s.answer).slice(1).join("")}:${p.outcome}`);
+    // L1Q1 is a birth date: too young fails, an adult goes on, in between L1Q6 asks
+    assert.ok(shapes.includes(":FAIL"));
+    assert.ok(shapes.includes("Yes:END"));
+    assert.ok(shapes.includes("YesYes:END"));
+    assert.ok(shapes.includes("No:FAIL"));
+    assert.ok(paths.every((p) => p.outcome === "END" || p.outcome === "FAIL"));
+  });
+
+  test("no path in the shipped sheet loops or stops without a next node", () => {
+    for (const levelId of Object.keys(logic).map(Number)) {
+      for (const scenario of pathScenarios(logic, levelId)) {
+        for (const p of enumeratePaths(logic, levelId, scenario)) {
+          assert.ok(p.outcome !== "LOOP", `L${levelId} loops: ${p.steps.map((s) => s.nodeId).join(" > ")}`);
+        }
+      }
+    }
+  });
+
+  test("guards reading NIYABAT are walked once per value the sheet can set", () => {
+    const niyabat = pathScenarios(logic, 3).map((s) => s.NIYABAT);
+    assert.deepEqual([...new Set(niyabat)].map(String).sort(), ["choice", "false", "force"]);
+    assert.deepEqual(pathScenarios(logic, 1), [{}]);
+  });
+
+  test("a guard that fails under NIYABAT=force turns an END into a FAIL", () => {
+    const ends = (scenario) => enumeratePaths(logic, 3, scenario).filter((p) => p.outcome === "END").length;
+    assert.notEqual(ends({ NIYABAT: false }), ends({ NIYABAT: "force" }));
+  });
+});
+
+describe("golden verdicts", () => {
+  test("test/golden/paths.txt matches the current rules sheets", () => {
+    const golden = fs.readFileSync(GOLDEN_PATH, "utf8");
+    const current = renderGolden(rulesText, niyabahRulesText);
+    assert.ok(
+      golden === current,
+      "Verdicts changed:\n" + diffGolden(golden, current).join("\n") +
+        "\nReview the change, then run `npm run paths` to update the golden file."
+    );
+  });
+
+  test("a synced sheet that changes a verdict is staged and csv/ is left untouched", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "sync-"));
+    t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+    const dirs = { local: path.join(tmp, "csv"), public: path.join(tmp, "public"), staged: path.join(tmp, "staged"), golden: GOLDEN_PATH };
+    fs.mkdirSync(dirs.local);
+    fs.mkdirSync(dirs.public);
+    fs.writeFileSync(path.join(dirs.local, "rules.csv"), rulesText);
+
+    const sheets = Object.fromEntries(SHEET_NAMES.map((name) => [name, fs.readFileSync(path.resolve(__dirname, "..", "csv", `${name}.csv`), "utf8")]));
+    // too young for Hajj no longer fails outright but asks about bulugh
+    const rules = rulesText.replace("AGE,<,9,FAIL,A,", "AGE,<,9,L1Q6,,");
+    assert.notEqual(rules, rulesText);
+
+    const outcome = await publishSheets([{ name: "rules", txt: rules, headers: new Headers() }], { ...sheets, rules }, dirs);
+    assert.equal(outcome, "staged");
+    assert.equal(fs.readFileSync(path.join(dirs.local, "rules.csv"), "utf8"), rulesText);
+    assert.deepEqual(fs.readdirSync(dirs.public), []);
+    assert.equal(fs.readFileSync(path.join(dirs.staged, "rules.csv"), "utf8"), rules);
+  });
+});
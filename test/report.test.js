@@ -0,0 +1,74 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatDateAnswer } from "../src/lib/calendar.js";
+import { reevaluateLevels } from "../src/lib/engine.js";
+import { buildReport, reportColour, sheetVersion } from "../src/lib/report.js";
+import { loadRuleset } from "./helpers.js";
+
+const { texts, phrases, noteCategories, logic, levels } = loadRuleset("sistani", "en");
+const ui = (key) => ({ "answer.yes": "Oui", "answer.no": "Non" })[key] || key;
+
+// Same state the app holds after the answers were saved
+function reportFor(savedAnswers) {
+  const state = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers, resultPhrases: {}, healthByLevel: {} });
+  return buildReport({ levels, logic, texts, phrases, noteCategories, ...state, ui });
+}
+
+describe("buildReport", () => {
+  test("lists the answered path with the sheet's labels and the failure reason", () => {
+    const [personal] = reportFor({ 1: { 0: "1990-01-01", 1: "No", 2: "Yes" } });
+    assert.equal(personal.status, "failed");
+    assert.equal(personal.colour, "red");
+    assert.deepEqual(personal.steps.map((s) => [s.nodeId, s.answer]), [["L1Q1", formatDateAnswer("1990-01-01", undefined, ui)], ["L1Q2", "No"], ["L1Q3", "Yes"]]);
+    assert.equal(personal.steps[0].prompt, texts.L1.L1Q1.prompt);
+    assert.equal(personal.reason, phrases.A);
+  });
+
+  test("falls back to the UI Yes/No for questions without labels", () => {
+    const unlabelled = { ...texts, L1: { ...texts.L1, L1Q2: { ...texts.L1.L1Q2, labels: [], values: [] } } };
+    const state = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers: { 1: { 0: "1990-01-01", 1: "Yes" } }, resultPhrases: {}, healthByLevel: {} });
+    const [personal] = buildReport({ levels, logic, texts: unlabelled, phrases, ...state, ui });
+    assert.deepEqual(personal.steps.map((s) => s.answer).slice(1), ["Oui"]);
+  });
+
+  test("colours proxy verdicts on the level that decides them, and auto-completed Health green", () => {
+    const report = reportFor({ 1: { 0: "1990-01-01", 1: "No", 2: "No", 3: "Yes" }, 3: { 0: "No", 6: "Yes", 7: "Yes", 8: "Yes", 15: "No", 16: "No", 20: "Yes" } });
+    const byId = Object.fromEntries(report.map((e) => [e.id, e]));
+    assert.equal(byId[1].colour, "blue");
+    assert.equal(byId[1].verdict, "verdict.passed_choice");
+    assert.equal(byId[2].autoCompleted, true);
+    assert.equal(byId[2].colour, "green");
+    assert.equal(byId[3].status, "completed");
+    assert.equal(byId[3].colour, "green");
+    assert.equal(byId[4].colour, "grey");
+    assert.deepEqual(byId[4].steps, []);
+  });
+
+  test("carries each level's advisory notes with their category", () => {
+    const report = reportFor({ 1: { 0: "1990-01-01", 1: "No", 2: "No", 3: "Yes" }, 3: { 0: "No", 6: "Yes", 7: "Yes", 8: "Yes", 15: "Yes" } });
+    const financial = report.find((e) => e.id === 3);
+    assert.equal(financial.status, "failed");
+    assert.deepEqual(financial.notes, [{ key: "ZC", category: "duty", text: phrases.ZC }]);
+    assert.deepEqual(report[0].notes, []);
+  });
+
+  test("reportColour follows the Home card rules", () => {
+    assert.equal(reportColour({ status: "completed", healthState: "ORANGE", setsNiyabat: true }), "orange");
+    assert.equal(reportColour({ status: "completed", healthState: "ORANGE", setsNiyabat: false }), "green");
+    assert.equal(reportColour({ status: "idle" }), "grey");
+  });
+});
+
+describe("sheetVersion", () => {
+  test("hashes the sheet contents and keeps the latest fetch time", () => {
+    const a = sheetVersion({ rules: { kind: "csv", data: "x", fetchedAt: "2026-01-02T00:00:00.000Z" }, questions: { kind: "csv", data: "y", fetchedAt: "2026-01-01T00:00:00.000Z" } });
+    const b = sheetVersion({ questions: { kind: "csv", data: "y" }, rules: { kind: "csv", data: "x" } });
+    const c = sheetVersion({ questions: { kind: "csv", data: "y" }, rules: { kind: "csv", data: "z" } });
+    assert.match(a.hash, /^[0-9a-f]{8}$/);
+    assert.equal(a.hash, b.hash);
+    assert.notEqual(a.hash, c.hash);
+    assert.equal(a.fetchedAt, "2026-01-02T00:00:00.000Z");
+    assert.equal(b.fetchedAt, null);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { reevaluateLevels } from "../src/lib/engine.js";
+import { encodeShare, decodeShare, shareParam, rulesVersion } from "../src/lib/share.js";
+import { source, loadRuleset } from "./helpers.js";
+
+const { sources, logic, levels } = loadRuleset("sistani", "en");
+
+const replay = (savedAnswers) => reevaluateLevels({ levels, logic, statuses: {}, savedAnswers, resultPhrases: {}, healthByLevel: {} });
+
+describe("share links", () => {
+  test("round-trips marja, language, rules version and answers", () => {
+    const answers = { 1: { 0: "Yes", 1: "Yes" }, 3: { 0: "No", 2: "full package", 3: 0, 4: 1250.5 } };
+    const fragment = encodeShare({ marja: "khamenei", language: "ur", rules: "abcd1234", answers });
+    assert.match(fragment, /^share=[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeShare(shareParam("#" + fragment)), { marja: "khamenei", language: "ur", rules: "abcd1234", answers });
+  });
+
+  test("keeps non-Latin answer values intact", () => {
+    const answers = { 2: { 0: "كامل" } };
+    const fragment = encodeShare({ marja: "sistani", language: "ar", rules: "x", answers });
+    assert.deepEqual(decodeShare(shareParam(fragment)).answers, answers);
+  });
+
+  test("leaves out levels without answers", () => {
+    const fragment = encodeShare({ marja: "sistani", language: "en", rules: "x", answers: { 1: { 0: "Yes" }, 2: {}, 3: null } });
+    assert.deepEqual(Object.keys(decodeShare(shareParam(fragment)).answers), ["1"]);
+  });
+
+  test("replaying a decoded link gives the same verdicts as the original answers", () => {
+    const answers = { 1: { 0: "Yes", 1: "Yes" }, 3: { 0: "Yes", 1: "Yes" } };
+    const shared = decodeShare(shareParam(encodeShare({ marja: "sistani", language: "en", rules: rulesVersion(sources), answers })));
+    const original = replay(answers);
+    const fromLink = replay(shared.answers);
+    assert.deepEqual(fromLink.statuses, original.statuses);
+    assert.deepEqual(fromLink.healthByLevel, original.healthByLevel);
+    assert.equal(shared.rules, rulesVersion(sources));
+  });
+
+  test("returns null for URLs that are not share links or cannot be read", () => {
+    assert.equal(shareParam(""), null);
+    assert.equal(shareParam("#other=1"), null);
+    assert.equal(decodeShare("not base64!"), null);
+    assert.equal(decodeShare(Buffer.from(JSON.stringify({ v: 99, a: {} })).toString("base64url")), null);
+  });
+
+  test("falls back to the default marja and drops malformed answers", () => {
+    const param = Buffer.from(JSON.stringify({ v: 1, m: "unknown", a: { 1: { 0: true, x: false, 2: {} }, level: { 0: true } } })).toString("base64url");
+    assert.deepEqual(decodeShare(param), { marja: "sistani", language: null, rules: null, answers: { 1: { 0: "Yes" } } });
+  });
+});
+
+describe("rulesVersion", () => {
+  test("changes with the rules but not with question or phrase wording", () => {
+    const base = rulesVersion(sources);
+    assert.equal(rulesVersion({ ...sources, phrases: source("key,en\nA,changed\n") }), base);
+    assert.notEqual(rulesVersion({ ...sources, logic: source(sources.logic.data + "\n") }), base);
+  });
+});
@@ -0,0 +1,157 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { fileURLToPath } from "node:url";
+
+import { validateSheets } from "../src/lib/validate.js";
+import { SHEET_NAMES, parseSourceConfig, sheetOverrides, parseEmbedConfig, remoteUrl, validateBundle, csvToBundle, bundleSheetToCsv, rowsToCsv, decodeSheet } from "../src/lib/sources.js";
+import { readWorkbook } from "../src/lib/xlsx.js";
+import { readSourceConfig } from "../scripts/source-config.js";
+import { renderGolden } from "../scripts/enumerate-paths.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const sheets = Object.fromEntries(SHEET_NAMES.map((name) => [name, fs.readFileSync(path.join(ROOT, "csv", `${name}.csv`), "utf8")]));
+
+// A minimal .xlsx: a zip with the workbook, its relationships, shared strings and one sheet per tab.
+// Entries are stored, except the shared strings, which are deflated like Excel does.
+function xlsx(tabs, sharedStrings) {
+  const files = {
+    "xl/workbook.xml": `<workbook xmlns:r="r"><sheets>${Object.keys(tabs).map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<Relationships>${Object.keys(tabs).map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}</Relationships>`,
+    "xl/sharedStrings.xml": `<sst>${sharedStrings.map((s) => `<si>${s}</si>`).join("")}</sst>`,
+    ...Object.fromEntries(Object.values(tabs).map((xml, i) => [`xl/worksheets/sheet${i + 1}.xml`, `<worksheet><sheetData>${xml}</sheetData></worksheet>`])),
+  };
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const deflate = name.endsWith("sharedStrings.xml");
+    const data = deflate ? zlib.deflateRawSync(Buffer.from(text)) : Buffer.from(text);
+    const fileName = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(deflate ? 8 : 0, 8);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt16LE(fileName.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(deflate ? 8 : 0, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    local.push(header, fileName, data);
+    central.push(entry, fileName);
+    offset += header.length + fileName.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...local, directory, end]));
+}
+
+describe("source configuration", () => {
+  test("sheets left out are read from csv/<name>.csv", () => {
+    const config = parseSourceConfig({ sheets: { rules: { type: "csv", url: "https://example.org/rules.csv" } } });
+    assert.deepEqual(config.rules, { type: "csv", url: "https://example.org/rules.csv" });
+    assert.deepEqual(config.levels, { type: "file", path: "csv/levels.csv" });
+    assert.equal(remoteUrl(config.rules), "https://example.org/rules.csv");
+    assert.equal(remoteUrl(config.levels), null);
+  });
+
+  test("mistakes are reported with the sheet they are in", () => {
+    assert.throws(() => parseSourceConfig({ sheets: { rulez: { type: "csv", url: "x" } } }), /sheets\.rulez: unknown sheet/);
+    assert.throws(() => parseSourceConfig({ sheets: { rules: { type: "ods", url: "x" } } }), /sheets\.rules: type must be one of/);
+    assert.throws(() => parseSourceConfig({ sheets: { rules: { type: "csv" } } }), /needs a url/);
+    assert.throws(() => parseSourceConfig({ sheets: { rules: { type: "xlsx", url: "x", path: "y" } } }), /either a url or a path/);
+    assert.throws(() => parseSourceConfig({ sheets: { rules: { type: "gsheet", url: "https://docs.google.com/spreadsheets/d/e/x/pubhtml" } } }), /output=csv/);
+  });
+
+  test("a partial config replaces only the sheets it names", () => {
+    const overrides = sheetOverrides('{"sheets":{"rules":{"type":"csv","url":"https://example.org/rules.csv"}}}');
+    assert.deepEqual(overrides, { rules: { type: "csv", url: "https://example.org/rules.csv" } });
+    assert.deepEqual(sheetOverrides({}), {});
+    assert.throws(() => sheetOverrides({ sheets: { rules: { type: "csv" } } }), /sheets\.rules: a csv source needs a url/);
+  });
+
+  test("embedding pages may use their own sources only from the listed url prefixes", () => {
+    assert.deepEqual(parseEmbedConfig({}), { allowSources: [] });
+    assert.deepEqual(parseEmbedConfig('{"embed":{"allowSources":["https://example.org/sheets/"]}}'), { allowSources: ["https://example.org/sheets/"] });
+    assert.throws(() => parseEmbedConfig({ embed: { allowSources: "https://example.org/" } }), /embed\.allowSources/);
+    assert.throws(() => parseEmbedConfig({ embed: { allowSources: ["https://example.org"] } }), /embed\.allowSources/);
+    assert.throws(() => parseEmbedConfig({ embed: { allowSources: ["http://example.org/"] } }), /embed\.allowSources/);
+    assert.deepEqual(readSourceConfig({}).embed, { allowSources: [] });
+  });
+
+  test("the shipped config is read by the scripts, and the old env vars still override a sheet", () => {
+    const { sheets: shipped } = readSourceConfig({});
+    assert.equal(shipped.rules.type, "gsheet");
+    assert.equal(shipped.niyabah_rules.path, "csv/niyabah_rules.csv");
+    const { sheets: overridden } = readSourceConfig({ LOGIC_URL: "https://example.org/rules.csv" });
+    assert.deepEqual(overridden.rules, { type: "csv", url: "https://example.org/rules.csv" });
+    assert.throws(() => readSourceConfig({ SHEETS_CONFIG: "missing.config.json" }), /missing\.config\.json/);
+  });
+});
+
+describe("JSON bundles", () => {
+  const bundle = JSON.parse(JSON.stringify(csvToBundle(sheets)));
+
+  test("the shipped sheets round-trip through a bundle with the same verdicts", async () => {
+    assert.deepEqual(validateBundle(bundle), []);
+    const decoded = {};
+    for (const name of SHEET_NAMES) decoded[name] = await decodeSheet({ type: "json" }, name, JSON.stringify(bundle));
+    assert.deepEqual(validateSheets(decoded).errors, []);
+    assert.equal(renderGolden(decoded.rules, decoded.niyabah_rules), renderGolden(sheets.rules, sheets.niyabah_rules));
+  });
+
+  test("the schema's required fields and cell types are enforced", () => {
+    assert.deepEqual(validateBundle([]), ["the bundle must be a JSON object"]);
+    assert.deepEqual(validateBundle({ format: "hajj-eligibility-sheets", version: 2, sheets: { questions: [], phrases: [{ key: "A", text: { en: "x" } }], extra: [] } }), [
+      "version must be 1",
+      "sheets.phrases[0].text: must be text, a number, true/false or null",
+      "sheets.extra: unknown sheet",
+      "sheets.rules: required",
+    ]);
+    assert.deepEqual(validateBundle({ ...bundle, sheets: { ...bundle.sheets, rules: [{ level: "1", qId: "" }] } }), ["sheets.rules[0]: qId is required"]);
+  });
+
+  test("rows become CSV with every column any row uses", () => {
+    assert.equal(bundleSheetToCsv([{ key: "A", text: "Hello, world" }, { key: "B", category: "info", gift: true }]), 'key,text,category,gift\r\nA,"Hello, world",,\r\nB,,info,TRUE');
+    assert.equal(rowsToCsv([["a", 'say "hi"'], ["b"]]), 'a,"say ""hi"""\r\nb,');
+  });
+
+  test("a bundle without the configured sheet, or an HTML page instead of CSV, is an error", async () => {
+    await assert.rejects(decodeSheet({ type: "json", sheet: "other" }, "rules", JSON.stringify(bundle)), /no sheet "other"/);
+    await assert.rejects(decodeSheet({ type: "gsheet", url: "x" }, "rules", "<!DOCTYPE html><html>"), /HTML page/);
+  });
+});
+
+describe("XLSX workbooks", () => {
+  const workbook = xlsx(
+    {
+      phrases: '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+        + '<row r="2"><c r="A2" t="inlineStr"><is><t>A</t></is></c><c r="C2" t="s"><v>2</v></c></row>'
+        + '<row r="3"><c r="A3" t="str"><v>B</v></c><c r="B3"><v>1000</v></c><c r="C3" t="b"><v>1</v></c><c r="D3"/></row>',
+      other: '<row r="1"><c r="A1" t="inlineStr"><is><t>x</t></is></c></row>',
+    },
+    ["<t>key</t>", "<t>text</t>", '<r><t xml:space="preserve">Tom &amp; </t></r><r><t>Jerry, &#1581;</t></r>'],
+  );
+
+  test("tabs read as rows of cell text", async () => {
+    const tabs = await readWorkbook(workbook);
+    assert.deepEqual(Object.keys(tabs), ["phrases", "other"]);
+    assert.deepEqual(tabs.phrases, [["key", "text"], ["A", "", "Tom & Jerry, ح"], ["B", "1000", "TRUE", ""]]);
+  });
+
+  test("the configured tab becomes the sheet's CSV", async () => {
+    assert.equal(await decodeSheet({ type: "xlsx", url: "x" }, "phrases", workbook), 'key,text,,\r\nA,,"Tom & Jerry, ح",\r\nB,1000,TRUE,');
+    assert.equal(await decodeSheet({ type: "xlsx", url: "x", sheet: "other" }, "phrases", workbook), "x");
+    await assert.rejects(decodeSheet({ type: "xlsx", url: "x" }, "rules", workbook), /no tab "rules" \(tabs: phrases, other\)/);
+    await assert.rejects(readWorkbook(new Uint8Array(64)), /not an xlsx workbook/);
+  });
+});
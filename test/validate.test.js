@@ -0,0 +1,218 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateSheets, formatIssue } from "../src/lib/validate.js";
+import { readCsv } from "./helpers.js";
+
+const QUESTIONS = [
+  "level,qId,order,question_text,help_text,label1,label2,label3",
+  "1,L1Q1,1,First?,,,,",
+  "1,L1Q2,2,Second?,,,,",
+  "1,L1Q3,3,Package?,,full,partial,",
+].join("\n");
+const PHRASES = ["key,text", "A,Failed", "K,Passed"].join("\n");
+const RULES_HEADER = "level,qId,input_type,field,option_label,option_value,next,fail_reason,set_vars,phrase,guard_if_var,guard_op,guard_value,guard_next,guard_reason,fallback";
+const RULES = [
+  RULES_HEADER,
+  "1,L1Q1,bool,f1,Yes,TRUE,L1Q2,,,,,,,,,",
+  "1,L1Q1,bool,f1,No,FALSE,FAIL,A,,,,,,,,",
+  "1,L1Q2,bool,f2,Yes,TRUE,L1Q3,,,,,,,,,",
+  "1,L1Q2,bool,f2,No,FALSE,END,,END_PHRASE=K,,,,,,,",
+  "1,L1Q3,options,f3,full,full,END,,,,,,,,,",
+  "1,L1Q3,options,f3,partial,partial,FAIL,A,,,,,,,,",
+];
+
+const validate = (rules, { questions = QUESTIONS, phrases = PHRASES } = {}) =>
+  validateSheets({ questions, phrases, rules: rules.join("\n") });
+const messages = (issues) => issues.map(formatIssue);
+
+describe("validateSheets", () => {
+  test("a consistent sheet set has no issues", () => {
+    assert.deepEqual(validate(RULES), { errors: [], warnings: [] });
+  });
+
+  test("the shipped sheets only carry the known warnings", () => {
+    const { errors, warnings } = validateSheets({
+      questions: readCsv("questions.csv"),
+      phrases: readCsv("phrases.csv"),
+      rules: readCsv("rules.csv"),
+      levels: readCsv("levels.csv"),
+      niyabah_questions: readCsv("niyabah_questions.csv"),
+      niyabah_rules: readCsv("niyabah_rules.csv"),
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages(warnings), [
+      'rules.csv row 72: phrase "K" on L4Q3 = No is set on a route that does not fail',
+      'rules.csv row 72: fail_reason "K" on L4Q3 = No is ignored because next is END',
+      "rules.csv row 83: L6Q4 is unreachable from the first question of level 6",
+      'rules.csv row 86: phrase "K" on L6Q5 = No is set on a route that does not fail',
+    ]);
+  });
+
+  test("next, guard_next and fallback must name a question of the same level", () => {
+    const rules = [...RULES];
+    rules[3] = "1,L1Q2,bool,f2,Yes,TRUE,L1Q9,,,,NIYABAT,==,force,L2Q1,,L1Q8";
+    assert.deepEqual(messages(validate(rules).errors), [
+      'rules.csv row 4: next "L1Q9" of L1Q2 is not a question of level 1',
+      'rules.csv row 4: guard_next "L2Q1" of L1Q2 is not a question of level 1',
+      'rules.csv row 4: fallback "L1Q8" of L1Q2 is not a question of level 1',
+    ]);
+  });
+
+  test("reason and phrase keys must exist in phrases.csv", () => {
+    const rules = [...RULES];
+    rules[2] = "1,L1Q1,bool,f1,No,FALSE,FAIL,Q,END_PHRASE=R;PRINT=S,T,,,,,,";
+    assert.deepEqual(messages(validate(rules).errors), [
+      'rules.csv row 3: fail_reason "Q" of L1Q1 is not a key in phrases.csv',
+      'rules.csv row 3: phrase "T" of L1Q1 is not a key in phrases.csv',
+      'rules.csv row 3: END_PHRASE "R" of L1Q1 is not a key in phrases.csv',
+      'rules.csv row 3: PRINT "S" of L1Q1 is not a key in phrases.csv',
+    ]);
+  });
+
+  test("every rules qId needs a question row", () => {
+    const questions = QUESTIONS.split("\n").filter((l) => !l.startsWith("1,L1Q2")).join("\n");
+    assert.deepEqual(messages(validate(RULES, { questions }).errors), ["rules.csv row 4: L1Q2 has no row in questions.csv"]);
+  });
+
+  test("option routes and question labels must match both ways", () => {
+    const rules = [...RULES];
+    rules[6] = "1,L1Q3,options,f3,Partial,Partial,FAIL,A,,,,,,,,";
+    assert.deepEqual(messages(validate(rules).errors), [
+      'questions.csv row 6: label "partial" of L1Q3 has no route in rules.csv',
+      'rules.csv row 7: option "Partial" of L1Q3 matches no label in questions.csv',
+    ]);
+  });
+
+  test("a second unguarded route for the same answer is an error, a guarded one is not", () => {
+    const guarded = [...RULES.slice(0, 3), "1,L1Q2,bool,f2,Yes,TRUE,END,,,,GIFT,==,TRUE,END,K,", ...RULES.slice(3)];
+    assert.deepEqual(validate(guarded).errors, []);
+    const duplicate = [...RULES, "1,L1Q2,bool,f2,Yes,TRUE,END,,,,,,,,,"];
+    assert.deepEqual(messages(validate(duplicate).errors), ["rules.csv row 8: duplicate unguarded route for L1Q2 = Yes (first on row 4)"]);
+  });
+
+  test("unreachable nodes and ignored values are warnings", () => {
+    const rules = [...RULES];
+    rules[4] = "1,L1Q2,bool,f2,No,FALSE,END,A,END_PHRASE=K,K,,,,,,";
+    rules[1] = "1,L1Q1,bool,f1,Yes,TRUE,END,,,,,,,,,";
+    const { errors, warnings } = validate(rules);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages(warnings), [
+      "rules.csv row 4: L1Q2 is unreachable from the first question of level 1",
+      'rules.csv row 5: phrase "K" on L1Q2 = No is set on a route that does not fail',
+      'rules.csv row 5: fail_reason "A" on L1Q2 = No is ignored because next is END',
+      "rules.csv row 6: L1Q3 is unreachable from the first question of level 1",
+    ]);
+  });
+
+  test("number/currency routes need a comparison and computed set_vars must parse", () => {
+    const questions = [QUESTIONS, "1,L1Q4,4,Savings?,,,,", "1,L1Q5,5,Cost?,,,,"].join("\n");
+    const rules = [...RULES];
+    rules[5] = "1,L1Q3,options,f3,full,full,L1Q4,,,,,,,,,";
+    rules.push(
+      "1,L1Q4,currency,SAVINGS,,>= 1,L1Q5,,,,,,,,,",
+      "1,L1Q4,currency,SAVINGS,,< 1,FAIL,A,,,,,,,,",
+      "1,L1Q5,currency,COST,,,END,,SURPLUS = =SAVINGS - COST,,SURPLUS,<,0,FAIL,A,",
+    );
+    assert.deepEqual(validate(rules, { questions }).errors, []);
+
+    rules[7] = "1,L1Q4,currency,SAVINGS,,at least 1,L1Q5,,,,,,,,,";
+    rules[9] = "1,L1Q5,currency,COST,,,END,,SURPLUS = =SAVINGS - (COST,,SURPLUS,<,0,FAIL,A,";
+    rules[1] = "1,L1Q1,boolean,f1,Yes,TRUE,L1Q2,,,,,,,,,";
+    assert.deepEqual(messages(validate(rules, { questions }).errors), [
+      'rules.csv row 2: input_type "boolean" of L1Q1 is not one of bool, options, options3, number, currency, date',
+      'rules.csv row 8: option_value "at least 1" of currency question L1Q4 is not a comparison like ">= 1000"',
+      'rules.csv row 10: set_vars SURPLUS of L1Q5 is not a valid formula (SURPLUS = =expression): expected ")" at end of expression',
+    ]);
+
+    // a formula without its leading "=" stays text; hyphenated plain values are not mistaken for one
+    rules[9] = "1,L1Q5,currency,COST,,,END,,SURPLUS = SAVINGS - COST;PACKAGE=full-package,,,,,,";
+    assert.deepEqual(messages(validate(rules, { questions }).warnings), [
+      'rules.csv row 10: set_vars SURPLUS of L1Q5 is the text "SAVINGS - COST"; write SURPLUS = =SAVINGS - COST to compute it',
+    ]);
+  });
+
+  test("date routes compare ISO dates and computed set_vars only call known functions", () => {
+    const questions = [QUESTIONS, "1,L1Q4,4,Born on?,,,,"].join("\n");
+    const rules = [...RULES];
+    rules[5] = "1,L1Q3,options,f3,full,full,L1Q4,,,,,,,,,";
+    rules.push("1,L1Q4,date,BIRTH,,>= 1990-01-01,END,,AGE = =LUNAR_AGE(BIRTH),,AGE,<,15,FAIL,A,");
+    assert.deepEqual(validate(rules, { questions }).errors, []);
+
+    rules[7] = "1,L1Q4,date,BIRTH,,>= 01/01/1990,END,,AGE = =AGE_OF(BIRTH),,AGE,<,15,FAIL,A,";
+    assert.deepEqual(messages(validate(rules, { questions }).errors), [
+      "rules.csv row 8: set_vars AGE of L1Q4 calls unknown function AGE_OF",
+      'rules.csv row 8: option_value ">= 01/01/1990" of date question L1Q4 is not a comparison like ">= 2010-01-01"',
+    ]);
+  });
+
+  test("guard_expr must parse, call known functions and read vars that exist", () => {
+    const rules = RULES.map((line) => line + ",");
+    rules[0] = RULES_HEADER + ",guard_expr";
+    rules[4] = "1,L1Q2,bool,f2,No,FALSE,END,,END_PHRASE=K,,,,,FAIL,A,,f1 AND NOT NIYABAT";
+    assert.deepEqual(validate(rules), { errors: [], warnings: [] });
+
+    rules[3] = "1,L1Q2,bool,f2,Yes,TRUE,L1Q3,,,,GIFT,==,TRUE,FAIL,A,,GIFT = TRUE";
+    rules[4] = "1,L1Q2,bool,f2,No,FALSE,END,,END_PHRASE=K,,,,,FAIL,A,,AGE_OF(f1) > 1 OR GIFTS";
+    const { errors, warnings } = validate(rules);
+    assert.deepEqual(messages(errors), [
+      "rules.csv row 4: guard_expr and guard_if_var of L1Q2 are both set",
+      'rules.csv row 4: guard_expr of L1Q2 is not a valid expression: "=" at position 6 should be "=="',
+      "rules.csv row 5: guard_expr of L1Q2 calls unknown function AGE_OF",
+    ]);
+    assert.deepEqual(messages(warnings), ["rules.csv row 5: guard_expr of L1Q2 reads GIFTS, which no question or set_vars sets"]);
+  });
+
+  test("every PRINT key needs a phrase and note categories must be known", () => {
+    const rules = [...RULES];
+    rules[2] = "1,L1Q1,bool,f1,No,FALSE,FAIL,A,PRINT=K;PRINT=Q,,,,,,,,";
+    const phrases = ["key,text,category", "A,Failed,", "K,Passed,duty", "Q,Queried,wajib"].join("\n");
+    const { errors, warnings } = validate(rules, { phrases });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages(warnings), ['phrases.csv row 4: category "wajib" of Q is not one of duty, proxy, info; the note is shown as info']);
+
+    rules[2] = "1,L1Q1,bool,f1,No,FALSE,FAIL,A,PRINT=K;PRINT=R,,,,,,,,";
+    assert.deepEqual(messages(validate(rules, { phrases }).errors), ['rules.csv row 3: PRINT "R" of L1Q1 is not a key in phrases.csv']);
+  });
+
+  test("levels.csv requirements must name known levels and must not loop", () => {
+    const levels = [
+      "level,title,icon,requires,auto_complete_if_var,auto_complete_op,auto_complete_value",
+      "1,One,User,2,,,",
+      "2,Two,User,1;7,NIYABAT,,force",
+      "3,Three,User,,,,",
+    ].join("\n");
+    const { errors, warnings } = validateSheets({ questions: QUESTIONS, phrases: PHRASES, rules: RULES.join("\n"), levels });
+    assert.deepEqual(messages(errors), [
+      "levels.csv row 2: level 1 requires itself through 2",
+      "levels.csv row 3: level 2 has no questions in questions.csv",
+      "levels.csv row 3: auto_complete_op of level 2 is empty",
+      "levels.csv row 3: level 2 requires unknown level 7",
+      "levels.csv row 3: level 2 requires itself through 1;7",
+      "levels.csv row 4: level 3 has no questions in questions.csv",
+    ]);
+    assert.deepEqual(warnings, []);
+    const noRow = validateSheets({ questions: QUESTIONS, phrases: PHRASES, rules: RULES.join("\n"), levels: "level,title\n2,Two" });
+    assert.deepEqual(messages(noRow.warnings), ["questions.csv row 2: level 1 has no row in levels.csv"]);
+  });
+
+  test("the niyabah follow-up sheets are checked as a flow of their own", () => {
+    const niyabah = (rules) => validateSheets({
+      questions: QUESTIONS, phrases: PHRASES, rules: RULES.join("\n"),
+      niyabah_questions: "level,qId,order,question_text,label1,label2\nN,LNQ1,1,Proxy ready?,Yes,No",
+      niyabah_rules: [RULES_HEADER, ...rules].join("\n"),
+    });
+    assert.deepEqual(niyabah([
+      "N,LNQ1,bool,n1,Yes,TRUE,END,,END_PHRASE=K,,NIYABAT,==,choice,END,K,",
+      "N,LNQ1,bool,n1,Yes,TRUE,END,,END_PHRASE=K,,,,,,,",
+      "N,LNQ1,bool,n1,No,FALSE,FAIL,A,,,,,,,,",
+    ]), { errors: [], warnings: [] });
+    assert.deepEqual(messages(niyabah([
+      "N,LNQ1,bool,n1,Yes,TRUE,LNQ2,,,,,,,,,",
+      "N,LNQ2,bool,n2,No,FALSE,FAIL,R,,,,,,,,",
+    ]).errors), [
+      'niyabah_rules.csv row 3: LNQ2 has no row in niyabah_questions.csv',
+      'niyabah_rules.csv row 3: fail_reason "R" of LNQ2 is not a key in phrases.csv',
+    ]);
+  });
+});
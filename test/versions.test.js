@@ -0,0 +1,58 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { sheetVersion } from "../src/lib/report.js";
+import { SHEET_SOURCES, snapshotId, sheetHashes, emptyManifest, addVersion, findVersion, rulesRelease, isApprovedSheet } from "../src/lib/versions.js";
+import { readCsv } from "./helpers.js";
+
+const sheets = Object.fromEntries(Object.keys(SHEET_SOURCES).map((name) => [name, readCsv(`${name}.csv`)]));
+// the shipped sheets as the app loads them
+const sources = Object.fromEntries(Object.entries(SHEET_SOURCES).map(([name, key]) => [key, { kind: "csv", data: sheets[name], fetchedAt: "2026-03-01T10:00:00.000Z" }]));
+
+describe("sheet versions", () => {
+  test("a snapshot id is the rules version the app computes for the same sheets", () => {
+    assert.equal(snapshotId(sheets), sheetVersion(sources).hash);
+    assert.notEqual(snapshotId({ ...sheets, rules: sheets.rules + "\r\n" }), snapshotId(sheets));
+    assert.deepEqual(Object.keys(sheetHashes(sheets)), Object.keys(SHEET_SOURCES));
+  });
+
+  test("the shipped sheets are a recorded snapshot", () => {
+    const manifest = JSON.parse(readCsv("versions/manifest.json"));
+    assert.ok(manifest.versions.some((v) => v.id === snapshotId(sheets)));
+    assert.deepEqual(JSON.parse(fs.readFileSync(new URL("../public/csv/versions.json", import.meta.url), "utf8")), manifest);
+  });
+
+  test("recording a version makes it active and keeps the first date of a repeated sheet set", () => {
+    let manifest = addVersion(emptyManifest(), { id: "aaaa1111", createdAt: "2026-01-01T00:00:00.000Z", source: "sync", sheets: {} });
+    manifest = addVersion(manifest, { id: "bbbb2222", createdAt: "2026-02-01T00:00:00.000Z", source: "sync", sheets: {} });
+    manifest = addVersion(manifest, { id: "aaaa1111", createdAt: "2026-03-01T00:00:00.000Z", source: "sync", sheets: {} });
+    assert.equal(manifest.active, "aaaa1111");
+    assert.deepEqual(manifest.versions.map((v) => [v.id, v.createdAt]), [["aaaa1111", "2026-01-01T00:00:00.000Z"], ["bbbb2222", "2026-02-01T00:00:00.000Z"]]);
+  });
+
+  test("a live rules sheet is approved only once a published snapshot has it", () => {
+    const manifest = JSON.parse(readCsv("versions/manifest.json"));
+    assert.equal(isApprovedSheet(manifest, "rules", sheets.rules), true);
+    assert.equal(isApprovedSheet(manifest, "rules", sheets.rules.replace("AGE,<,9,FAIL,A,", "AGE,<,9,L1Q6,,")), false);
+    assert.equal(isApprovedSheet(null, "rules", sheets.rules), false);
+  });
+
+  test("versions are found by an unambiguous id prefix", () => {
+    const manifest = { ...emptyManifest(), versions: [{ id: "ab12cd34" }, { id: "ab99ef00" }, { id: "c0ffee00" }] };
+    assert.equal(findVersion(manifest, "C0F").id, "c0ffee00");
+    assert.throws(() => findVersion(manifest, "ab"), /matches 2 versions/);
+    assert.throws(() => findVersion(manifest, "ff"), /no sheet version/);
+    assert.throws(() => findVersion(manifest, ""), /no sheet version/);
+  });
+
+  test("the app's release carries the snapshot date and whether it is pinned", () => {
+    const id = snapshotId(sheets);
+    const manifest = { active: id, pinned: true, versions: [{ id, createdAt: "2026-02-01T00:00:00.000Z", source: "sync", sheets: {} }] };
+    assert.deepEqual(rulesRelease(manifest, sources), { id, createdAt: "2026-02-01T00:00:00.000Z", fetchedAt: "2026-03-01T10:00:00.000Z", pinned: true });
+    // a live edit that no sync recorded yet
+    const live = { ...sources, logic: { kind: "csv", data: sheets.rules + "\r\n" } };
+    assert.deepEqual({ ...rulesRelease(manifest, live), id: null }, { id: null, createdAt: null, fetchedAt: "2026-03-01T10:00:00.000Z", pinned: false });
+    assert.equal(rulesRelease(null, sources).id, id);
+  });
+});
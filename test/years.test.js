@@ -0,0 +1,63 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { reevaluateLevels, incomingVars, overallStatus } from "../src/lib/engine.js";
+import { isoToDay, dayToIso } from "../src/lib/calendar.js";
+import { currentHajjYear, yearVars, gregorianYearOf, pastYears, mustaqarrConclusion } from "../src/lib/years.js";
+import { loadRuleset } from "./helpers.js";
+
+const { logic, levels } = loadRuleset("sistani", "en");
+
+const allCompleted = Object.fromEntries(levels.map((l) => [l.id, "completed"]));
+const personalFailed = { 1: "failed" };
+
+describe("evaluation years", () => {
+  test("the current year is the next Hajj season until its days of tashriq end", () => {
+    assert.equal(currentHajjYear(new Date(2025, 5, 10)), 1446);
+    assert.equal(currentHajjYear(new Date(2025, 5, 11)), 1447);
+  });
+
+  test("earlier years are evaluated as of 1 Dhu al-Hijjah of that year", () => {
+    assert.deepEqual(yearVars(1447, 1447), {});
+    const vars = yearVars(1440, 1447);
+    assert.equal(vars.HAJJ_YEAR, 1440);
+    assert.equal(dayToIso(vars.TODAY), "2019-08-03");
+    assert.deepEqual(pastYears(1447, 3), [1446, 1445, 1444]);
+    assert.equal(gregorianYearOf(1440), 2019);
+  });
+
+  test("the year's vars reach every level it replays", () => {
+    const baseVars = yearVars(1440, 1447);
+    assert.equal(incomingVars(levels, 3, {}, {}, baseVars).TODAY, isoToDay("2019-08-03"));
+    const re = reevaluateLevels({ levels, logic, statuses: {}, savedAnswers: { 1: { 0: "1990-01-01", 1: "Yes" } }, resultPhrases: {}, healthByLevel: {}, baseVars });
+    assert.equal(re.varsByLevel[1].HAJJ_YEAR, 1440);
+  });
+});
+
+describe("mustaqarrConclusion", () => {
+  const conclude = (statusesByYear, performedSince) => mustaqarrConclusion({ levels, statusesByYear, currentYear: 1447, performedSince });
+
+  test("an earlier obligatory year makes Hajj mustaqarr even if this year fails", () => {
+    const result = conclude({ 1447: personalFailed, 1440: allCompleted, 1442: allCompleted, 1443: personalFailed });
+    assert.equal(result.status, "mustaqarr");
+    assert.equal(result.year, 1440);
+    assert.deepEqual(result.verdicts.map((v) => [v.year, v.verdict]), [[1447, "failed"], [1443, "failed"], [1442, "completed"], [1440, "completed"]]);
+  });
+
+  test("performing Hajj after that year settles it", () => {
+    assert.deepEqual(conclude({ 1447: personalFailed, 1440: allCompleted }, true).status, "performed");
+  });
+
+  test("without an earlier obligation the current year decides", () => {
+    assert.equal(conclude({ 1447: allCompleted, 1440: personalFailed }).status, "obligatory");
+    assert.equal(conclude({ 1447: personalFailed, 1440: { 1: "completed" } }).status, "not_obligatory");
+    assert.equal(conclude({ 1447: { 1: "completed" } }).status, "incomplete");
+    assert.equal(conclude({ 1447: {}, 1440: {} }).verdicts.length, 0);
+  });
+
+  test("overallStatus matches the Home banner", () => {
+    assert.equal(overallStatus(levels, allCompleted), "completed");
+    assert.equal(overallStatus(levels, { ...allCompleted, 4: "failed" }), "failed");
+    assert.equal(overallStatus(levels, { 1: "completed" }), null);
+  });
+});
@@ -1,10 +1,74 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import fs from "fs";
 import path from "path";
+import { createHash } from "crypto";
+import { readSourceConfig } from "./scripts/source-config.js";
 
-export default defineConfig({
-  plugins: [react()],
-  resolve: {
-    alias: { "@": path.resolve(__dirname, "src") },
-  },
+// Builds dist/sw.js from src/sw.js with this build's files (hashed bundle, the pages and everything in
+// public/ except dotfiles such as csv/.meta.json, all under the base path), so the service worker
+// precaches exactly this build, and the remote sheet urls it serves stale-while-revalidate
+function serviceWorker(sheetUrls) {
+  let publicDir;
+  let base;
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith("."))
+    .flatMap((entry) => (entry.isDirectory() ? walk(path.join(dir, entry.name)) : [path.join(dir, entry.name)]));
+
+  return {
+    name: "service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+      base = config.base;
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash("sha256");
+      const publicFiles = publicDir && fs.existsSync(publicDir) ? walk(publicDir) : [];
+      for (const file of publicFiles) hash.update(fs.readFileSync(file));
+      const bundled = Object.keys(bundle).filter((name) => !name.endsWith(".map"));
+      const precache = [...new Set([
+        base + "index.html",
+        ...bundled.map((name) => base + name),
+        ...publicFiles.map((file) => base + path.relative(publicDir, file).split(path.sep).join("/")),
+      ])].sort();
+      hash.update(precache.join("\n"));
+
+      const source = fs.readFileSync(path.resolve(__dirname, "src/sw.js"), "utf8")
+        .replace('"__BUILD__"', JSON.stringify(hash.digest("hex").slice(0, 12)))
+        .replace('["__PRECACHE__"]', JSON.stringify(precache))
+        .replace('["__SHEET_URLS__"]', JSON.stringify(sheetUrls));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  // sheets.config.json (or SHEETS_CONFIG, also read from .env files) reaches the app as VITE_SHEETS_CONFIG
+  const { sheets, embed } = readSourceConfig({ ...loadEnv(mode, process.cwd(), ""), ...process.env });
+  const sheetUrls = [...new Set(Object.values(sheets).map((entry) => entry.url).filter(Boolean))];
+  return {
+    plugins: [react(), serviceWorker(sheetUrls)],
+    define: {
+      "import.meta.env.VITE_SHEETS_CONFIG": JSON.stringify(JSON.stringify({ sheets, embed })),
+    },
+    resolve: {
+      alias: { "@": path.resolve(__dirname, "src") },
+    },
+    // The app, the page partner sites frame (embed.html) and the <hajj-eligibility> element that frames it,
+    // kept at a fixed name so partners can link to it (see src/lib/embed.js)
+    build: {
+      rollupOptions: {
+        input: {
+          main: path.resolve(__dirname, "index.html"),
+          embed: path.resolve(__dirname, "embed.html"),
+          widget: path.resolve(__dirname, "src/widget.js"),
+        },
+        output: {
+          entryFileNames: (chunk) => (chunk.name === "widget" ? "widget.js" : "assets/[name]-[hash].js"),
+        },
+      },
+    },
+  };
 });